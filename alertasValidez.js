@@ -0,0 +1,214 @@
+/**
+ * Alertas de validez crítica deduplicadas y escalonadas
+ *
+ * Un cheque pierde validez a los 30 días de su vencimiento (si ese día no es
+ * hábil, al terminar el siguiente día hábil). Se avisa una vez
+ * cuando entra en la ventana crítica (por defecto quedan 5 días; la regla
+ * validez_critica puede cambiarlo) y después solo en los puntos de
+ * escalamiento configurados en VALIDEZ_ESCALAMIENTO (días restantes, por
+ * defecto "3,0": quedan 3 días y último día).
+ *
+ * El estado por cheque se guarda en la tabla `bot_alertas_validez`. Un cheque
+ * reconocido ("me ocupo") no vuelve a notificarse.
+ */
+
+const supabase = require('./supabaseClient');
+const fechas = require('./fechas');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Días de validez de un cheque después de su vencimiento
+const DIAS_VALIDEZ = 30;
+
+// Días restantes a partir de los cuales el cheque está en ventana crítica (por defecto)
+const DIAS_VENTANA = 5;
+
+// Ids por cada delete de estados obsoletos
+const TAMANIO_LOTE = 200;
+
+// Puntos de escalamiento (días restantes), de mayor a menor
+const ESCALAMIENTO = [...new Set(
+  (process.env.VALIDEZ_ESCALAMIENTO || '3,0')
+    .split(',')
+    .map(d => parseInt(d, 10))
+    .filter(d => Number.isInteger(d) && d >= 0)
+)].sort((a, b) => b - a);
+
+/**
+ * Último día en que se puede depositar un cheque
+ */
+function ultimoDiaValido(cheque) {
+  const limite = fechas.sumarDias(fechas.inicioDelDia(cheque.fvto), DIAS_VALIDEZ);
+  return fechas.proximoDiaHabil(limite);
+}
+
+/**
+ * Días que le quedan de validez a un cheque (0 = último día)
+ */
+function diasRestantes(cheque, hoy) {
+  return Math.round((ultimoDiaValido(cheque).getTime() - hoy.getTime()) / DIA_MS);
+}
+
+/**
+ * Cheques en validez crítica según el umbral (días desde el vencimiento;
+ * por defecto, los que están en la ventana crítica)
+ */
+function chequesEnValidezCritica(cheques, hoy, umbral = DIAS_VALIDEZ - DIAS_VENTANA) {
+  return cheques.filter(c => {
+    const restantes = diasRestantes(c, hoy);
+    return restantes >= 0 && restantes <= DIAS_VALIDEZ - umbral;
+  });
+}
+
+/**
+ * Nivel de alerta según los días restantes
+ * null = fuera de la ventana, 0 = ingreso, 1..N = puntos de escalamiento
+ */
+function nivelAlerta(restantes, diasVentana = DIAS_VENTANA) {
+  if (restantes < 0 || restantes > diasVentana) return null;
+
+  let nivel = 0;
+  ESCALAMIENTO.forEach((punto, i) => {
+    if (restantes <= punto && punto < diasVentana) nivel = i + 1;
+  });
+  return nivel;
+}
+
+/**
+ * Descripción de un nivel de alerta
+ */
+function describirNivel(nivel) {
+  if (nivel === 0) return 'Ingresaron en validez crítica';
+  const punto = ESCALAMIENTO[nivel - 1];
+  return punto === 0 ? 'Último día de validez' : `Quedan ${punto} días o menos`;
+}
+
+/**
+ * Estado guardado de los cheques indicados (chequeId -> estado)
+ */
+async function cargarEstado(ids) {
+  const estado = new Map();
+  if (ids.length === 0) return estado;
+
+  const { data, error } = await supabase
+    .from('bot_alertas_validez')
+    .select('cheque_id, nivel, reconocido_por, reconocido_en')
+    .in('cheque_id', ids);
+
+  if (error) throw error;
+
+  (data || []).forEach(fila => {
+    estado.set(fila.cheque_id, {
+      nivel: fila.nivel,
+      reconocidoPor: fila.reconocido_por,
+      reconocidoEn: fila.reconocido_en
+    });
+  });
+  return estado;
+}
+
+/**
+ * Borrar el estado de los cheques que ya salieron de la ventana
+ * `idsVigentes` son los que están en la ventana de alguna regla validez_critica:
+ * se limpia una vez por corrida con todas, porque el estado es por cheque.
+ * Se leen los cheques guardados con `leerTodas` (el lector paginado de
+ * consultas.js, que depende de este módulo) y se borran por id los que no
+ * siguen vigentes (la lista de vigentes puede ser larga para ir en la URL del filtro)
+ */
+async function limpiarEstado(idsVigentes, leerTodas) {
+  const guardados = await leerTodas(opciones => supabase
+    .from('bot_alertas_validez')
+    .select('cheque_id', opciones)
+    .order('cheque_id', { ascending: true }));
+
+  const vigentes = new Set(idsVigentes);
+  const obsoletos = guardados.map(f => f.cheque_id).filter(id => !vigentes.has(id));
+
+  for (let i = 0; i < obsoletos.length; i += TAMANIO_LOTE) {
+    const { error } = await supabase
+      .from('bot_alertas_validez')
+      .delete()
+      .in('cheque_id', obsoletos.slice(i, i + TAMANIO_LOTE));
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Detectar qué cheques deben notificarse ahora
+ * Devuelve [{ cheque, restantes, nivel }] con los que entraron en la ventana
+ * o subieron de nivel y no fueron reconocidos. El nuevo nivel se guarda con
+ * registrarNotificadas() después de enviar el aviso: si el envío falla, la
+ * próxima corrida vuelve a avisar. El estado viejo lo borra limpiarEstado().
+ */
+async function detectarNovedades(cheques, hoy, diasVentana = DIAS_VENTANA) {
+  const enVentana = cheques
+    .map(cheque => {
+      const restantes = diasRestantes(cheque, hoy);
+      return { cheque, restantes, nivel: nivelAlerta(restantes, diasVentana) };
+    })
+    .filter(a => a.nivel !== null);
+
+  const ids = enVentana.map(a => String(a.cheque.id));
+  const estado = await cargarEstado(ids);
+
+  const novedades = enVentana.filter(a => {
+    const previo = estado.get(String(a.cheque.id));
+    if (previo?.reconocidoPor) return false;
+    return !previo || a.nivel > previo.nivel;
+  });
+
+  return novedades;
+}
+
+/**
+ * Guardar el nivel de las novedades ya notificadas
+ */
+async function registrarNotificadas(novedades) {
+  if (novedades.length === 0) return;
+
+  const ahora = new Date().toISOString();
+  const { error } = await supabase
+    .from('bot_alertas_validez')
+    .upsert(novedades.map(a => ({
+      cheque_id: String(a.cheque.id),
+      nivel: a.nivel,
+      notificado_en: ahora
+    })), { onConflict: 'cheque_id' });
+
+  if (error) throw error;
+}
+
+/**
+ * Marcar un cheque como "en gestión"
+ * Devuelve el email de quien ya lo había reconocido, o null si lo reconoce ahora
+ */
+async function reconocer(chequeId, email) {
+  const estado = await cargarEstado([String(chequeId)]);
+  const previo = estado.get(String(chequeId));
+  if (previo?.reconocidoPor) return previo.reconocidoPor;
+
+  const { error } = await supabase
+    .from('bot_alertas_validez')
+    .upsert({
+      cheque_id: String(chequeId),
+      nivel: previo?.nivel ?? 0,
+      reconocido_por: email,
+      reconocido_en: new Date().toISOString()
+    }, { onConflict: 'cheque_id' });
+
+  if (error) throw error;
+  return null;
+}
+
+module.exports = {
+  DIAS_VALIDEZ,
+  diasRestantes,
+  chequesEnValidezCritica,
+  nivelAlerta,
+  describirNivel,
+  detectarNovedades,
+  limpiarEstado,
+  registrarNotificadas,
+  reconocer
+};
@@ -0,0 +1,379 @@
+/**
+ * API JSON de solo lectura para tableros (GET /api/...)
+ *
+ * La única escritura es POST /api/sincronizacion, que llama el proceso de
+ * sincronización al terminar de cargar cheques_valores o saldos_contables_sync
+ * para descartar la caché de consultas.js. Se autentica con su propio secreto
+ * (SINCRONIZACION_SECRET): las claves de API_KEYS solo leen.
+ *
+ * Devuelve las mismas cifras que los comandos del bot, calculadas con
+ * tesoreria.js, concentracion.js y clientes.js. Cada pedido debe traer una
+ * de las claves de API_KEYS ("nombre:clave,otro:clave2") en el encabezado
+ * `Authorization: Bearer <clave>` o `X-API-Key`.
+ *
+ * Filtros comunes (query string):
+ *   empresa       código o alias (sin empresa = todas)
+ *   desde, hasta  AAAA-MM-DD, ambos inclusive, por día de acreditación
+ *   rango         lo mismo que /vencimientos ("semana", "+30", "noviembre", "15/11 30/11")
+ */
+
+const crypto = require('crypto');
+const consultas = require('./consultas');
+const tesoreria = require('./tesoreria');
+const reglas = require('./reglas');
+const concentracion = require('./concentracion');
+const clientes = require('./clientes');
+const rangos = require('./rangos');
+const cuitUtil = require('./cuit');
+const metricas = require('./metricas');
+const { obtenerEmpresas, buscarEmpresa, empresaDeSaldo } = require('./empresas');
+const { hoy: fechaDeHoy, aISO, sumarDias, inicioDelDia, diaDeAcreditacion, acreditadosEntre } = require('./fechas');
+
+const PREFIJO = '/api/';
+
+// Largo mínimo recomendado de una clave
+const LARGO_MINIMO_CLAVE = 16;
+
+// Emisores del ranking de concentración por defecto y máximos
+const TOP_DEFECTO = 10;
+const TOP_MAXIMO = 100;
+
+/**
+ * Error con el código HTTP a responder
+ */
+function errorHttp(status, mensaje) {
+  return Object.assign(new Error(mensaje), { status });
+}
+
+function huella(clave) {
+  return crypto.createHash('sha256').update(clave).digest('hex');
+}
+
+/**
+ * Clave única leída de la variable `variable` (Map vacío si no está definida)
+ */
+function claveDeVariable(env, variable, nombre) {
+  const claves = new Map();
+  const secreto = String(env[variable] || '').trim();
+  if (secreto) {
+    if (secreto.length < LARGO_MINIMO_CLAVE) {
+      console.warn(`⚠️ ${variable} tiene menos de ${LARGO_MINIMO_CLAVE} caracteres`);
+    }
+    claves.set(huella(secreto), nombre);
+  }
+  return claves;
+}
+
+/**
+ * Claves habilitadas a partir de API_KEYS, SINCRONIZACION_SECRET y METRICAS_TOKEN
+ * Devuelve { claves, clavesSincronizacion, clavesMetricas } (Map(huella -> nombre);
+ * sin claves la parte correspondiente queda deshabilitada). clavesMetricas
+ * protege GET /metrics, que atiende el servidor del bot.
+ */
+function configurarApi(env = process.env) {
+  const claves = new Map();
+  String(env.API_KEYS || '').split(',').map(x => x.trim()).filter(Boolean).forEach((item, i) => {
+    const separador = item.indexOf(':');
+    const nombre = separador > 0 ? item.slice(0, separador) : `clave${i + 1}`;
+    const clave = separador > 0 ? item.slice(separador + 1) : item;
+
+    if (clave.length < LARGO_MINIMO_CLAVE) {
+      console.warn(`⚠️ La clave de API "${nombre}" tiene menos de ${LARGO_MINIMO_CLAVE} caracteres`);
+    }
+    claves.set(huella(clave), nombre);
+  });
+
+  return {
+    claves,
+    clavesSincronizacion: claveDeVariable(env, 'SINCRONIZACION_SECRET', 'sincronizacion'),
+    clavesMetricas: claveDeVariable(env, 'METRICAS_TOKEN', 'metricas')
+  };
+}
+
+/**
+ * Nombre de la clave con que se autenticó el pedido (null si no es válida)
+ */
+function autenticar(req, claves) {
+  const autorizacion = String(req.headers.authorization || '');
+  const clave = autorizacion.toLowerCase().startsWith('bearer ')
+    ? autorizacion.slice(7).trim()
+    : String(req.headers['x-api-key'] || '').trim();
+
+  if (!clave) return null;
+  return claves.get(huella(clave)) || null;
+}
+
+/**
+ * Empresa del parámetro `empresa` (null = todas)
+ */
+function empresaDePedido(params) {
+  const texto = params.get('empresa');
+  if (!texto || texto.toLowerCase() === 'todas') return null;
+
+  const empresa = buscarEmpresa(texto);
+  if (!empresa) throw errorHttp(400, `Empresa desconocida: ${texto}`);
+  return empresa.codigo;
+}
+
+/**
+ * Fecha AAAA-MM-DD de un parámetro
+ */
+function fechaDePedido(params, nombre) {
+  const texto = params.get(nombre);
+  const fecha = /^\d{4}-\d{2}-\d{2}$/.test(texto || '') ? inicioDelDia(texto) : null;
+  if (!fecha || isNaN(fecha) || aISO(fecha) !== texto) {
+    throw errorHttp(400, `${nombre} debe tener el formato AAAA-MM-DD`);
+  }
+  return fecha;
+}
+
+/**
+ * Rango [desde, hasta) de los parámetros rango o desde/hasta
+ * Devuelve null si no se indicó (y no hay `porDefecto`)
+ */
+function rangoDePedido(params, hoy, porDefecto = null) {
+  if (params.has('rango')) {
+    const rango = rangos.interpretarRango(params.get('rango'), hoy);
+    if (!rango) throw errorHttp(400, `Rango no reconocido o de más de ${rangos.MAX_DIAS} días`);
+    return rango;
+  }
+
+  if (params.has('desde') || params.has('hasta')) {
+    if (!params.has('desde') || !params.has('hasta')) throw errorHttp(400, 'Indicá desde y hasta');
+    const rango = { desde: fechaDePedido(params, 'desde'), hasta: sumarDias(fechaDePedido(params, 'hasta'), 1) };
+    if (rango.hasta <= rango.desde) throw errorHttp(400, 'hasta no puede ser anterior a desde');
+    return rango;
+  }
+
+  return porDefecto ? rangos.interpretarRango(porDefecto, hoy) : null;
+}
+
+/**
+ * Rango para la respuesta (hasta inclusive)
+ */
+function rangoJson(rango) {
+  return rango ? { desde: aISO(rango.desde), hasta: aISO(sumarDias(rango.hasta, -1)) } : null;
+}
+
+/**
+ * Cheque para la respuesta: columnas de cheques_valores y día de acreditación
+ */
+function chequeJson(c) {
+  return {
+    id: c.id,
+    empresa: c.empresa || null,
+    cuitfirm: c.cuitfirm || null,
+    origen: c.origen || null,
+    implocal: tesoreria.importe(c),
+    fvto: c.fvto ? aISO(inicioDelDia(c.fvto)) : null,
+    acreditacion: c.fvto ? aISO(diaDeAcreditacion(c.fvto)) : null,
+    fecden: c.fecden ? aISO(inicioDelDia(c.fecden)) : null,
+    destino: c.destino || null
+  };
+}
+
+/**
+ * Cheques en cartera, filtrados por el rango si se indicó
+ */
+async function chequesDelPedido(empresa, rango) {
+  const cheques = await consultas.chequesEnCartera(empresa);
+  return rango ? acreditadosEntre(cheques, rango.desde, rango.hasta) : cheques;
+}
+
+/**
+ * Totales de cheques (con empresa, el desglose solo trae esa empresa)
+ */
+function totales(cheques, empresa) {
+  const datos = tesoreria.totalesCheques(cheques);
+  return empresa ? { ...datos, porEmpresa: datos.porEmpresa.filter(g => g.codigo === empresa) } : datos;
+}
+
+// Endpoints: ruta -> async ({ params, hoy, empresa, argumento }) => datos
+
+async function empresas() {
+  return {
+    empresas: obtenerEmpresas().map(e => ({ codigo: e.codigo, nombre: e.nombre, alias: e.alias }))
+  };
+}
+
+async function cartera({ params, hoy, empresa }) {
+  const rango = rangoDePedido(params, hoy);
+  const cheques = await chequesDelPedido(empresa, rango);
+  return { rango: rangoJson(rango), ...totales(cheques, empresa) };
+}
+
+async function vencimientos({ params, hoy, empresa }) {
+  const rango = rangoDePedido(params, hoy, 'semana');
+  const cheques = await consultas.consultarVencimientos(rango, empresa);
+  return {
+    rango: rangoJson(rango),
+    ...totales(cheques, empresa),
+    porDia: tesoreria.agruparPorDia(cheques),
+    cheques: cheques.map(chequeJson)
+  };
+}
+
+async function saldos({ empresa }) {
+  const lista = await consultas.saldosContables(empresa);
+  const cuentaJson = s => ({
+    codigo_cuenta: s.codigo_cuenta,
+    nombre_cuenta: s.nombre_cuenta,
+    empresa: empresaDeSaldo(s),
+    saldo_total: tesoreria.saldoDe(s)
+  });
+  return {
+    total: tesoreria.totalSaldos(lista),
+    porEmpresa: tesoreria.agruparSaldosPorEmpresa(lista).map(g => ({
+      codigo: g.codigo,
+      nombre: g.nombre,
+      subtotal: g.subtotal,
+      cuentas: g.cuentas.map(cuentaJson)
+    }))
+  };
+}
+
+async function alertas({ hoy, empresa }) {
+  const disparadas = reglas.evaluarAlertas({
+    cheques: await consultas.chequesEnCartera(empresa),
+    saldos: await consultas.saldosContables(empresa),
+    hoy
+  });
+  return {
+    alertas: disparadas.map(({ regla, titulo, resumen, detalle }) => ({ regla, titulo, resumen, detalle }))
+  };
+}
+
+async function concentracionCuit({ params, hoy, empresa }) {
+  const rango = rangoDePedido(params, hoy);
+  const top = Math.min(parseInt(params.get('top'), 10) || TOP_DEFECTO, TOP_MAXIMO);
+  const { total, emisores, hhi, ranking, sinCuit } = concentracion.calcularConcentracion(await chequesDelPedido(empresa, rango));
+  const umbral = reglas.umbralConcentracion(empresa);
+
+  return {
+    rango: rangoJson(rango),
+    total,
+    emisores,
+    hhi,
+    nivel: concentracion.nivelHhi(hhi).nombre,
+    umbral,
+    superanUmbral: ranking.filter(x => x.participacion > umbral).length,
+    sinCuit,
+    ranking: ranking.slice(0, top).map(x => ({ ...x, proximo: x.proximo ? aISO(inicioDelDia(x.proximo)) : null }))
+  };
+}
+
+async function cuit({ params, hoy, empresa, argumento }) {
+  let texto;
+  try {
+    texto = decodeURIComponent(argumento || '');
+  } catch (error) {
+    throw errorHttp(400, 'CUIT mal codificado en la URL');
+  }
+
+  const validacion = cuitUtil.validarCuit(texto);
+  if (!validacion.valido) throw errorHttp(400, validacion.motivo);
+
+  const rango = rangoDePedido(params, hoy);
+  let cheques = await consultas.consultarChequesCuit(validacion.cuit, empresa);
+  if (rango) cheques = acreditadosEntre(cheques, rango.desde, rango.hasta);
+
+  const ficha = clientes.calcularFichaCuit(cheques, hoy);
+  return {
+    cuit: cuitUtil.formatearCuit(validacion.cuit),
+    rango: rangoJson(rango),
+    ...ficha,
+    primerVencimiento: ficha.primerVencimiento ? aISO(inicioDelDia(ficha.primerVencimiento)) : null,
+    ultimoVencimiento: ficha.ultimoVencimiento ? aISO(inicioDelDia(ficha.ultimoVencimiento)) : null,
+    cheques: cheques.map(chequeJson)
+  };
+}
+
+const ENDPOINTS = {
+  empresas,
+  cartera,
+  vencimientos,
+  saldos,
+  alertas,
+  concentracion: concentracionCuit,
+  cuit
+};
+
+// Acciones (POST): ruta -> async () => datos
+
+async function sincronizacion() {
+  consultas.invalidarCache();
+  console.log('🔄 Sincronización avisada por la API: caché de consultas descartada');
+  return { cache: 'invalidada' };
+}
+
+const ACCIONES = {
+  sincronizacion
+};
+
+const existe = (rutas, nombre) => Object.prototype.hasOwnProperty.call(rutas, nombre);
+
+function responderJson(res, status, cuerpo) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(cuerpo));
+}
+
+/**
+ * Atender un pedido HTTP si es para la API
+ * Devuelve false si el pedido es para otra ruta y no lo respondió.
+ */
+async function atenderPedido(req, res, config) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  if (!url.pathname.startsWith(PREFIJO)) return false;
+
+  // /api/<endpoint>[/<argumento>]
+  const [nombre, argumento, ...sobra] = url.pathname.slice(PREFIJO.length).split('/');
+
+  // Las acciones usan el secreto de sincronización; las lecturas, API_KEYS
+  const claves = existe(ACCIONES, nombre) ? config.clavesSincronizacion : config.claves;
+  if (claves.size === 0) {
+    const variable = existe(ACCIONES, nombre) ? 'SINCRONIZACION_SECRET' : 'API_KEYS';
+    responderJson(res, 503, { error: `API no configurada (definí ${variable})` });
+    return true;
+  }
+  if (!autenticar(req, claves)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    responderJson(res, 401, { error: 'Clave de API inválida o faltante' });
+    return true;
+  }
+
+  const rutas = { GET: ENDPOINTS, POST: ACCIONES }[req.method];
+  if (!rutas || (!existe(rutas, nombre) && (existe(ENDPOINTS, nombre) || existe(ACCIONES, nombre)))) {
+    res.setHeader('Allow', existe(ACCIONES, nombre) ? 'POST' : 'GET');
+    responderJson(res, 405, { error: existe(ACCIONES, nombre) ? 'Solo se admite POST' : 'Solo se admite GET' });
+    return true;
+  }
+
+  const endpoint = existe(rutas, nombre) ? rutas[nombre] : null;
+  if (!endpoint || sobra.length > 0 || (argumento !== undefined && nombre !== 'cuit')) {
+    responderJson(res, 404, { error: 'Endpoint inexistente', endpoints: Object.keys(ENDPOINTS) });
+    return true;
+  }
+
+  await metricas.medirHandler(`api:${nombre}`, async () => {
+    try {
+      const hoy = fechaDeHoy();
+      const empresa = empresaDePedido(url.searchParams);
+      const datos = await endpoint({ params: url.searchParams, hoy, empresa, argumento });
+      responderJson(res, 200, { generado: new Date().toISOString(), hoy: aISO(hoy), empresa, ...datos });
+    } catch (error) {
+      if (error.status) {
+        responderJson(res, error.status, { error: error.message });
+        return;
+      }
+      metricas.registrarError(`Error en API /${nombre}:`, error);
+      responderJson(res, 500, { error: 'Error interno' });
+    }
+  });
+  return true;
+}
+
+module.exports = {
+  configurarApi,
+  autenticar,
+  atenderPedido
+};
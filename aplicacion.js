@@ -0,0 +1,2659 @@
+/**
+ * Armado del bot de Tesorería: comandos, notificaciones programadas y
+ * servidor HTTP (webhook de Telegram, API JSON, salud y métricas)
+ *
+ * crearAplicacion() arma todo sin abrir el puerto ni empezar a recibir
+ * mensajes: index.js lo arranca con iniciar() y lo detiene con detener(), y
+ * los tests (test/) hacen lo mismo con Supabase, Telegram y cron falsos.
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+const http = require('http');
+const cron = require('node-cron');
+const usuarios = require('./usuarios');
+const verificacion = require('./verificacion');
+const { crearEnviador } = require('./enviadorCodigos');
+const permisos = require('./permisos');
+const crypto = require('crypto');
+const preferencias = require('./preferencias');
+const empresas = require('./empresas');
+const { obtenerEmpresas, nombreEmpresa, buscarEmpresa } = empresas;
+const alertasValidez = require('./alertasValidez');
+const reglas = require('./reglas');
+const listados = require('./listados');
+const rangos = require('./rangos');
+const fechas = require('./fechas');
+const flujo = require('./flujo');
+const exportar = require('./exportar');
+const reporte = require('./reporte');
+const concentracion = require('./concentracion');
+const cuitUtil = require('./cuit');
+const clientes = require('./clientes');
+const historial = require('./historial');
+const movimientos = require('./movimientos');
+const salidas = require('./salidas');
+const planificacion = require('./planificacion');
+const consultas = require('./consultas');
+const tesoreria = require('./tesoreria');
+const { filtrarPorEmpresa, filtrarSaldosPorEmpresa } = tesoreria;
+const webhook = require('./webhook');
+const metricas = require('./metricas');
+const salud = require('./salud');
+const api = require('./api');
+const { formatearMoneda, formatearFecha, escaparMarkdown } = require('./formato');
+
+/**
+ * Armar el bot con sus handlers, tareas programadas y servidor HTTP
+ * `puerto` es el del servidor HTTP (0 = uno libre)
+ * Devuelve { bot, server, iniciar, detener }
+ */
+function crearAplicacion({ token, puerto = process.env.PORT || 3000 }) {
+  // Modo de recepción: webhook si hay WEBHOOK_URL, si no polling (desarrollo local)
+  const recepcion = webhook.configurarWebhook({ token });
+  
+  // true una vez cargados los usuarios (antes los updates del webhook se rechazan)
+  let recibiendo = false;
+  
+  // Crear instancia del bot (el polling o el webhook arrancan después de cargar los usuarios)
+  const bot = new TelegramBot(token, { polling: { autoStart: false } });
+  
+  // Almacén de usuarios autorizados (chatId -> { email, role, registradoEn, ultimaActividad })
+  const usuariosAutorizados = new Map();
+  
+  // Almacén de chatIds para notificaciones
+  const chatIdsParaNotificaciones = new Set();
+  
+  // Preferencias de notificación (chatId -> { tipos, empresa, silencioDesde, silencioHasta })
+  const preferenciasUsuarios = new Map();
+  
+  // Notificaciones retenidas por horario de silencio (chatId -> [mensajes])
+  const notificacionesRetenidas = new Map();
+  
+  // Medio de envío de los códigos de verificación (CODIGO_ENVIO)
+  const enviadorCodigos = crearEnviador();
+  
+  console.log('🤖 Bot de Tesorería Grande State iniciado...');
+  
+  // ============================================================
+  // FUNCIONES DE UTILIDAD
+  // ============================================================
+  
+  // Respuesta a un chat que no pasó la verificación, según el resultado
+  const AVISOS_AUTORIZACION = {
+    no_autorizado: '⚠️ No estás autorizado. Usá /start para registrarte.',
+    error: '❌ No pudimos verificar tu acceso. Intentá de nuevo en unos minutos.'
+  };
+  
+  /**
+   * Verificar si un usuario está autorizado
+   * Además de estar registrado, su email debe seguir activo en allowed_users.
+   * Devuelve 'autorizado', 'no_autorizado' o 'error' (allowed_users no
+   * respondió: el registro se mantiene y se puede reintentar)
+   */
+  async function verificarAutorizacion(chatId) {
+    const usuario = usuariosAutorizados.get(chatId);
+    if (!usuario) return 'no_autorizado';
+    
+    let permitido;
+    try {
+      permitido = await usuarios.buscarUsuarioPermitido(usuario.email);
+    } catch (error) {
+      console.error('Error verificando autorización:', error);
+      return 'error';
+    }
+    
+    if (!permitido) {
+      console.log(`🚫 Acceso revocado para ${usuario.email} (chat ${chatId})`);
+      await darDeBajaUsuario(chatId);
+      return 'no_autorizado';
+    }
+    
+    // Mantener el rol sincronizado con allowed_users
+    usuario.role = permitido.role;
+    return 'autorizado';
+  }
+  
+  /**
+   * Quitar un chat de memoria y de la tabla bot_usuarios
+   */
+  async function darDeBajaUsuario(chatId) {
+    usuariosAutorizados.delete(chatId);
+    chatIdsParaNotificaciones.delete(chatId);
+    
+    try {
+      await usuarios.eliminarUsuario(chatId);
+    } catch (error) {
+      console.error(`Error eliminando usuario ${chatId}:`, error);
+    }
+  }
+  
+  /**
+   * Registrar un comando protegido
+   * Verifica registro y permisos del rol en un único lugar antes de ejecutar el handler
+   */
+  function registrarComando(comando, regex, handler) {
+    bot.onText(regex, async (msg, match) => {
+      const chatId = msg.chat.id;
+      
+      const autorizacion = await verificarAutorizacion(chatId);
+      if (autorizacion !== 'autorizado') {
+        bot.sendMessage(chatId, AVISOS_AUTORIZACION[autorizacion]);
+        return;
+      }
+      
+      const usuario = usuariosAutorizados.get(chatId);
+      
+      if (!permisos.puedeUsarComando(usuario.role, comando)) {
+        bot.sendMessage(chatId, 
+          `🔒 Tu rol (${usuario.role || 'sin rol'}) no tiene acceso a /${comando}.\n\n` +
+          `Usá /ayuda para ver los comandos habilitados o pedí acceso al administrador.`
+        );
+        return;
+      }
+      
+      await metricas.medirHandler(`/${comando}`, () => handler(msg, match, usuario));
+    });
+  }
+  
+  // Acciones de botones inline (prefijo -> { permiso, handler })
+  const accionesCallback = new Map();
+  
+  /**
+   * Registrar una acción para botones inline
+   * El callback_data tiene la forma "prefijo:arg1:arg2". Si se indica un permiso
+   * (comando o acción de permisos.js), el rol del usuario debe tenerlo.
+   * El handler puede devolver un texto para mostrar como aviso.
+   */
+  function registrarAccion(prefijo, permiso, handler) {
+    accionesCallback.set(prefijo, { permiso, handler });
+  }
+  
+  /**
+   * Preferencias de notificación de un chat (o las por defecto)
+   */
+  function preferenciasDe(chatId) {
+    return preferenciasUsuarios.get(chatId) || preferencias.preferenciasPorDefecto();
+  }
+  
+  /**
+   * Separar la empresa de los argumentos de un comando ("/semana po")
+   * Acepta código o alias de empresa y "todas"; si no se indica, se usa la
+   * empresa por defecto del usuario (/empresa)
+   * Devuelve { empresa, resto } (empresa null = todas)
+   */
+  function empresaDeArgumentos(chatId, texto) {
+    let empresa = preferenciasDe(chatId).empresa;
+    
+    const resto = String(texto || '').trim().split(/\s+/).filter(arg => {
+      if (!arg) return false;
+      if (arg.toLowerCase() === 'todas') {
+        empresa = null;
+        return false;
+      }
+      const encontrada = buscarEmpresa(arg);
+      if (encontrada) empresa = encontrada.codigo;
+      return !encontrada;
+    });
+    
+    return { empresa, resto: resto.join(' ') };
+  }
+  
+  /**
+   * Cantidad indicada en los argumentos ("/flujo 30"), entre 1 y `maximo`
+   * Sin número se usa `defecto`; un número menor a 1 cuenta como 1
+   */
+  function cantidadDeArgumento(resto, defecto, maximo) {
+    const cantidad = parseInt(resto, 10);
+    if (Number.isNaN(cantidad)) return defecto;
+    return Math.min(Math.max(cantidad, 1), maximo);
+  }
+  
+  /**
+   * Línea con la empresa consultada (vacía si son todas)
+   */
+  function lineaEmpresa(empresa) {
+    return empresa ? `🏢 ${escaparMarkdown(nombreEmpresa(empresa))}\n` : '';
+  }
+  
+  /**
+   * Detalle de cantidad y monto por empresa, en el orden del registro
+   */
+  function desglosePorEmpresa(cheques) {
+    return tesoreria.agruparPorEmpresa(cheques)
+      .map(g => `• ${escaparMarkdown(g.nombre)}: ${formatearMoneda(g.monto)} (${g.cantidad})`)
+      .join('\n');
+  }
+  
+  /**
+   * Editar el mensaje de un botón inline
+   * Ignora el error de Telegram cuando el contenido no cambió
+   */
+  async function editarMensaje(query, texto, opciones = {}) {
+    try {
+      await bot.editMessageText(texto, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        ...opciones
+      });
+    } catch (error) {
+      if (!String(error.message).includes('message is not modified')) throw error;
+    }
+  }
+  
+  // ============================================================
+  // COMANDO /start - REGISTRO DE USUARIO
+  // ============================================================
+  
+  bot.onText(/\/start/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    if (usuariosAutorizados.has(chatId)) {
+      bot.sendMessage(chatId, 
+        `✅ Ya estás registrado.\n\n` +
+        `Usá /ayuda para ver los comandos disponibles.`
+      );
+      return;
+    }
+    
+    bot.sendMessage(chatId, 
+      `🏦 *Bot de Tesorería - Grande State*\n\n` +
+      `Para usar este bot necesitás estar autorizado.\n\n` +
+      `Por favor, ingresá tu email corporativo.\n` +
+      `Te vamos a enviar un código de verificación.`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+  
+  // ============================================================
+  // MANEJO DE MENSAJES (registro: email + código de verificación)
+  // ============================================================
+  
+  bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const texto = msg.text;
+    
+    // Ignorar comandos y mensajes de usuarios ya registrados
+    if (!texto || texto.startsWith('/')) return;
+    if (usuariosAutorizados.has(chatId)) return;
+    
+    // Paso 2: el usuario escribe el código que recibió por email
+    if (verificacion.tieneVerificacionPendiente(chatId) && /^\s*\d{6}\s*$/.test(texto)) {
+      await confirmarCodigo(chatId, texto);
+      return;
+    }
+    
+    // Paso 1: el usuario envía su email
+    if (texto.includes('@')) {
+      await solicitarCodigo(chatId, texto.toLowerCase().trim());
+      return;
+    }
+    
+    if (verificacion.tieneVerificacionPendiente(chatId)) {
+      bot.sendMessage(chatId, '🔑 Ingresá el código de 6 dígitos que te enviamos por email.');
+    }
+  });
+  
+  /**
+   * Validar el email contra allowed_users y enviarle un código
+   */
+  async function solicitarCodigo(chatId, email) {
+    let data;
+    try {
+      data = await usuarios.buscarUsuarioPermitido(email);
+    } catch (error) {
+      console.log('Error buscando usuarios:', error);
+      bot.sendMessage(chatId, '❌ Error verificando autorización. Intentá de nuevo más tarde.');
+      return;
+    }
+    
+    if (!data) {
+      bot.sendMessage(chatId, 
+        `❌ Email no autorizado.\n\n` +
+        `El email *${escaparMarkdown(email)}* no está en la lista de usuarios permitidos.\n\n` +
+        `Contactá al administrador.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const desafio = verificacion.iniciarVerificacion(chatId, data);
+    
+    if (!desafio.ok) {
+      bot.sendMessage(chatId, '⏳ Pediste demasiados códigos. Esperá una hora e intentá de nuevo.');
+      return;
+    }
+    
+    try {
+      await enviadorCodigos.enviar(data.email, desafio.codigo, verificacion.MINUTOS_VALIDEZ);
+    } catch (error) {
+      console.error('Error enviando código de verificación:', error);
+      verificacion.cancelarVerificacion(chatId);
+      bot.sendMessage(chatId, '❌ No pudimos enviarte el código. Intentá de nuevo más tarde.');
+      return;
+    }
+    
+    bot.sendMessage(chatId, 
+      `📧 Te enviamos un código de verificación a *${escaparMarkdown(email)}*.\n\n` +
+      `Escribilo acá para completar el registro.\n` +
+      `Vence en ${verificacion.MINUTOS_VALIDEZ} minutos.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  /**
+   * Verificar el código ingresado y, si es correcto, registrar el chat
+   */
+  async function confirmarCodigo(chatId, codigo) {
+    const resultado = verificacion.verificarCodigo(chatId, codigo);
+    
+    if (resultado.estado === 'incorrecto') {
+      bot.sendMessage(chatId, `❌ Código incorrecto. Te quedan ${resultado.restantes} intentos.`);
+      return;
+    }
+    
+    if (resultado.estado !== 'ok') {
+      const motivo = resultado.estado === 'bloqueado'
+        ? 'Superaste la cantidad de intentos.'
+        : 'El código venció.';
+      bot.sendMessage(chatId, `❌ ${motivo}\n\nEnviá tu email de nuevo para recibir otro código.`);
+      return;
+    }
+    
+    const data = resultado.usuario;
+    
+    // Registrar usuario
+    try {
+      const usuario = await usuarios.guardarUsuario(chatId, data);
+      usuariosAutorizados.set(chatId, usuario);
+      chatIdsParaNotificaciones.add(chatId);
+    } catch (error) {
+      console.error('Error guardando usuario:', error);
+      bot.sendMessage(chatId, '❌ Error registrando tu usuario. Intentá de nuevo más tarde.');
+      return;
+    }
+    
+    bot.sendMessage(chatId, 
+      `✅ *¡Registro exitoso!*\n\n` +
+      `Bienvenido/a al Bot de Tesorería.\n` +
+      `Email: ${escaparMarkdown(data.email)}\n` +
+      `Rol: ${escaparMarkdown(data.role || 'sin rol')}\n\n` +
+      `Usá /ayuda para ver los comandos disponibles.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  // ============================================================
+  // BOTONES INLINE (CALLBACK QUERIES)
+  // ============================================================
+  
+  bot.on('callback_query', async (query) => {
+    const chatId = query.message?.chat.id;
+    const [prefijo, ...args] = (query.data || '').split(':');
+    const accion = accionesCallback.get(prefijo);
+    
+    if (!chatId || !accion) {
+      bot.answerCallbackQuery(query.id);
+      return;
+    }
+    
+    const autorizacion = await verificarAutorizacion(chatId);
+    if (autorizacion !== 'autorizado') {
+      bot.answerCallbackQuery(query.id, { text: AVISOS_AUTORIZACION[autorizacion], show_alert: true });
+      return;
+    }
+    
+    const usuario = usuariosAutorizados.get(chatId);
+    
+    if (accion.permiso && !permisos.tienePermiso(usuario.role, accion.permiso)) {
+      bot.answerCallbackQuery(query.id, { text: '🔒 Tu rol no tiene acceso a esta acción.', show_alert: true });
+      return;
+    }
+    
+    await metricas.medirHandler(`boton:${prefijo}`, async () => {
+      try {
+        const aviso = await accion.handler(query, args, usuario);
+        bot.answerCallbackQuery(query.id, aviso ? { text: aviso } : undefined);
+      } catch (error) {
+        metricas.registrarError(`Error en acción ${prefijo}:`, error);
+        bot.answerCallbackQuery(query.id, { text: '❌ Error procesando la acción.' });
+      }
+    });
+  });
+  
+  // ============================================================
+  // CONFIRMACIONES (botones Confirmar / Cancelar)
+  // ============================================================
+  
+  // Vigencia de una confirmación pendiente
+  const MINUTOS_CONFIRMACION = 5;
+  
+  // Confirmaciones pendientes (id -> { chatId, permiso, ejecutar, expira })
+  const confirmacionesPendientes = new Map();
+  
+  /**
+   * Pedir confirmación antes de ejecutar una acción
+   * `permiso` (comando o acción de permisos.js) se vuelve a verificar al confirmar.
+   * `ejecutar` recibe el usuario que confirma y devuelve el texto final del mensaje
+   */
+  async function pedirConfirmacion(chatId, permiso, texto, ejecutar) {
+    const id = crypto.randomBytes(4).toString('hex');
+    
+    confirmacionesPendientes.set(id, {
+      chatId,
+      permiso,
+      ejecutar,
+      expira: Date.now() + MINUTOS_CONFIRMACION * 60 * 1000
+    });
+    
+    await bot.sendMessage(chatId, texto, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Confirmar', callback_data: `conf:${id}:si` },
+          { text: '✖️ Cancelar', callback_data: `conf:${id}:no` }
+        ]]
+      }
+    });
+  }
+  
+  registrarAccion('conf', null, async (query, [id, respuesta], usuario) => {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const pendiente = confirmacionesPendientes.get(id);
+    confirmacionesPendientes.delete(id);
+    
+    if (!pendiente || pendiente.chatId !== chatId || Date.now() > pendiente.expira) {
+      await bot.editMessageText('⌛ Esta confirmación ya no es válida.', { chat_id: chatId, message_id: messageId });
+      return;
+    }
+    
+    if (respuesta !== 'si') {
+      await bot.editMessageText('✖️ Acción cancelada.', { chat_id: chatId, message_id: messageId });
+      return;
+    }
+    
+    if (!permisos.tienePermiso(usuario.role, pendiente.permiso)) {
+      return '🔒 Tu rol ya no tiene acceso a esta acción.';
+    }
+    
+    const resultado = await pendiente.ejecutar(usuario);
+    await bot.editMessageText(resultado, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' });
+  });
+  
+  // ============================================================
+  // COMANDO /ayuda - LISTA DE COMANDOS
+  // ============================================================
+  
+  registrarComando('ayuda', /\/ayuda/, async (msg, match, usuario) => {
+    const chatId = msg.chat.id;
+    const comandos = permisos.comandosPermitidos(usuario.role);
+    
+    if (comandos.every(c => c.comando === 'ayuda')) {
+      bot.sendMessage(chatId, 
+        `📋 *Comandos Disponibles*\n\n` +
+        `Tu rol (${usuario.role || 'sin rol'}) no tiene comandos habilitados.\n` +
+        `Contactá al administrador.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const lista = comandos
+      .map(c => `${c.emoji} ${c.uso || '/' + c.comando} - ${c.descripcion}`)
+      .join('\n');
+    
+    const alias = obtenerEmpresas().map(e => e.alias[0] || e.codigo).join(', ');
+    
+    bot.sendMessage(chatId, 
+      `📋 *Comandos Disponibles*\n\n` +
+      lista + `\n\n` +
+      `🏢 Los comandos de consulta aceptan una empresa (${escaparMarkdown(alias)} o todas), ` +
+      `por ejemplo /semana po.`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+  
+  // ============================================================
+  // COMANDO /cartera - TOTAL EN CARTERA
+  // ============================================================
+  
+  registrarComando('cartera', /\/cartera(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa } = empresaDeArgumentos(chatId, match[1]);
+    
+    try {
+      const cheques = await consultas.chequesEnCartera(empresa);
+      const { total: totalMonto, cantidad } = tesoreria.totalesCheques(cheques);
+      
+      // Separar por empresa (solo cuando se consultan todas)
+      const porEmpresa = empresa ? '' : `🏢 *Por Empresa:*\n${desglosePorEmpresa(cheques)}\n\n`;
+      
+      bot.sendMessage(chatId, 
+        `💰 *CARTERA DE CHEQUES*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `📊 *Total:* ${formatearMoneda(totalMonto)}\n` +
+        `📋 *Cantidad:* ${cantidad} cheques\n\n` +
+        porEmpresa +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /cartera:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener datos de cartera.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /vencimientos - VENCIMIENTOS POR RANGO (LISTADO PAGINADO)
+  // /hoy, /manana y /semana son atajos de /vencimientos
+  // ============================================================
+  
+  /**
+   * Armar el mensaje paginado de los vencimientos de un rango
+   */
+  function armarVencimientos(rango, empresa, cheques, pagina, orden) {
+    const { titulo, frase } = rangos.describirRango(rango, fechas.hoy());
+    const unDia = rango.hasta - rango.desde <= 24 * 60 * 60 * 1000;
+    
+    // Un día no hábil no tiene acreditaciones: avisar cuándo se acreditan
+    const motivo = unDia ? fechas.motivoNoHabil(rango.desde) : null;
+    const aviso = motivo
+      ? `ℹ️ ${formatearFecha(rango.desde)} no es día hábil (${escaparMarkdown(motivo)}): ` +
+        `lo que vence ese día se acredita el ${fechas.fechaConDia(fechas.proximoDiaHabil(rango.desde))}.\n\n`
+      : '';
+    
+    if (cheques.length === 0) {
+      return {
+        texto: 
+          `📅 *${titulo}*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          aviso +
+          `✅ No hay cheques que se acrediten ${frase}.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+        opciones: { parse_mode: 'Markdown' }
+      };
+    }
+    
+    const { total: totalMonto } = tesoreria.totalesCheques(cheques);
+    
+    // Agrupar por empresa (solo cuando se consultan todas)
+    const porEmpresa = empresa ? '' : `🏢 *Por empresa:*\n${desglosePorEmpresa(cheques)}\n\n`;
+    
+    // Agrupar por día de acreditación cuando el rango abarca más de un día
+    const porDia = unDia ? '' : `📆 *Por día:*\n` + tesoreria.agruparPorDia(cheques)
+      .map(d => `• ${fechas.fechaConDia(fechas.inicioDelDia(d.fecha))}: ${d.cantidad} cheques - ${formatearMoneda(d.monto)}`)
+      .join('\n') + '\n\n';
+    
+    const prefijo = `lst:${rangos.compactar(rango.desde)}:${rangos.compactar(rango.hasta)}:${empresa || '-'}`;
+    const listado = listados.armarPagina(cheques, { pagina, orden, prefijo });
+    
+    return {
+      texto: 
+        `📅 *${titulo}*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        aviso +
+        `⚠️ *Cantidad:* ${cheques.length} cheques\n` +
+        `💰 *Total:* ${formatearMoneda(totalMonto)}\n\n` +
+        porEmpresa +
+        porDia +
+        `${listado.texto}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+      opciones: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: listado.teclado } }
+    };
+  }
+  
+  /**
+   * Enviar la primera página de los vencimientos de un rango
+   */
+  async function enviarVencimientos(chatId, rango, empresa) {
+    try {
+      const cheques = await consultas.consultarVencimientos(rango, empresa);
+      const { texto, opciones } = armarVencimientos(rango, empresa, cheques, 0, 'f');
+      bot.sendMessage(chatId, texto, opciones);
+    } catch (error) {
+      metricas.registrarError('Error en /vencimientos:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener vencimientos.');
+    }
+  }
+  
+  registrarComando('vencimientos', /\/vencimientos(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    const rango = resto ? rangos.interpretarRango(resto, fechas.hoy()) : null;
+    
+    if (!rango) {
+      bot.sendMessage(chatId, 
+        `⚠️ Indicá un rango de fechas (hasta ${rangos.MAX_DIAS} días). Ejemplos:\n\n` +
+        `/vencimientos 15/11 30/11\n` +
+        `/vencimientos 20/11\n` +
+        `/vencimientos noviembre\n` +
+        `/vencimientos próximo mes po\n` +
+        `/vencimientos +30`
+      );
+      return;
+    }
+    
+    await enviarVencimientos(chatId, rango, empresa);
+  });
+  
+  registrarComando('hoy', /\/hoy(?:\s+(.+))?/, async (msg, match) => {
+    const { empresa } = empresaDeArgumentos(msg.chat.id, match[1]);
+    await enviarVencimientos(msg.chat.id, rangos.interpretarRango('hoy', fechas.hoy()), empresa);
+  });
+  
+  registrarComando('manana', /\/manana(?:\s+(.+))?/, async (msg, match) => {
+    const { empresa } = empresaDeArgumentos(msg.chat.id, match[1]);
+    await enviarVencimientos(msg.chat.id, rangos.interpretarRango('manana', fechas.hoy()), empresa);
+  });
+  
+  registrarComando('semana', /\/semana(?:\s+(.+))?/, async (msg, match) => {
+    const { empresa } = empresaDeArgumentos(msg.chat.id, match[1]);
+    await enviarVencimientos(msg.chat.id, rangos.interpretarRango('semana', fechas.hoy()), empresa);
+  });
+  
+  // ◀️ ▶️ ↕️ Navegación del listado: lst:<desde>:<hasta>:<empresa|->:<página>:<orden>
+  registrarAccion('lst', 'vencimientos', async (query, [desde, hasta, codigo, pagina, orden]) => {
+    const rango = { desde: rangos.expandir(desde), hasta: rangos.expandir(hasta) };
+    if (!rango.desde || !rango.hasta) return;
+    
+    const empresa = codigo === '-' ? null : codigo;
+    const cheques = await consultas.consultarVencimientos(rango, empresa);
+    const { texto, opciones } = armarVencimientos(rango, empresa, cheques, Number(pagina) || 0, orden);
+    await editarMensaje(query, texto, opciones);
+  });
+  
+  // 🔎 Ficha de un cheque: chq:<id>
+  registrarAccion('chq', 'cartera', async (query, [id], usuario) => {
+    const cheque = await consultas.consultarCheque(id);
+    if (!cheque) return '⚠️ El cheque ya no existe.';
+    
+    // Depositar / Entregar / Anular, solo en cartera y para roles habilitados
+    const opciones = { parse_mode: 'Markdown' };
+    if (!cheque.fecden && permisos.tienePermiso(usuario.role, 'registrar_salidas')) {
+      opciones.reply_markup = {
+        inline_keyboard: [Object.entries(salidas.TIPOS_SALIDA).map(([tipo, datos]) => ({
+          text: datos.boton,
+          callback_data: `sal:${cheque.id}:${tipo}`
+        }))]
+      };
+    }
+    
+    await bot.sendMessage(query.message.chat.id, listados.armarDetalleCheque(cheque), opciones);
+  });
+  
+  // ============================================================
+  // DEPOSITAR / ENTREGAR / ANULAR CHEQUES (desde la ficha)
+  // ============================================================
+  
+  // Salidas que esperan que el usuario escriba el destino (chatId -> { chequeId, tipo, expira })
+  const salidasPendientes = new Map();
+  
+  /**
+   * Línea corta de un cheque para mensajes de salida
+   */
+  function resumenCheque(cheque) {
+    return `👤 ${escaparMarkdown(cheque.origen || 'S/N')} (${escaparMarkdown(cheque.cuitfirm || 'S/D')})\n` +
+      `💰 ${formatearMoneda(cheque.implocal)} - Vto ${formatearFecha(cheque.fvto)}`;
+  }
+  
+  // 🏦 🤝 🚫 Inicio de una salida: sal:<id>:<dep|ent|anu>
+  registrarAccion('sal', 'registrar_salidas', async (query, [id, tipo]) => {
+    const chatId = query.message.chat.id;
+    const datos = salidas.TIPOS_SALIDA[tipo];
+    if (!datos) return;
+    
+    const cheque = await consultas.consultarCheque(id);
+    if (!cheque) return '⚠️ El cheque ya no existe.';
+    if (cheque.fecden) return `⚠️ El cheque ya salió de cartera el ${formatearFecha(cheque.fecden)}.`;
+    
+    // Una salida a la vez por chat: si había otra esperando el destino, se avisa que se descarta
+    const anterior = salidasPendientes.get(chatId);
+    const descartada = anterior && Date.now() <= anterior.expira && (anterior.chequeId !== id || anterior.tipo !== tipo)
+      ? `⚠️ Se descartó la acción pendiente (${salidas.TIPOS_SALIDA[anterior.tipo].accion} el cheque ${escaparMarkdown(anterior.chequeId)}).\n\n`
+      : '';
+    
+    salidasPendientes.set(chatId, {
+      chequeId: id,
+      tipo,
+      expira: Date.now() + MINUTOS_CONFIRMACION * 60 * 1000
+    });
+    
+    await bot.sendMessage(chatId, 
+      descartada +
+      `${datos.boton} *CHEQUE ${escaparMarkdown(cheque.id)}*\n\n` +
+      `${resumenCheque(cheque)}\n\n` +
+      `✍️ Escribí ${datos.pregunta}, o "cancelar".`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+  
+  // Destino escrito por el usuario: pedir confirmación y registrar la salida
+  bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const texto = (msg.text || '').trim();
+    const pendiente = salidasPendientes.get(chatId);
+    
+    if (!pendiente || !texto || texto.startsWith('/')) return;
+    salidasPendientes.delete(chatId);
+    
+    if (Date.now() > pendiente.expira) {
+      bot.sendMessage(chatId, '⌛ Pasó demasiado tiempo. Volvé a elegir la acción desde la ficha del cheque.');
+      return;
+    }
+    if (texto.toLowerCase() === 'cancelar') {
+      bot.sendMessage(chatId, '✖️ Acción cancelada.');
+      return;
+    }
+    if (!usuariosAutorizados.has(chatId)) return;
+    
+    const { chequeId, tipo } = pendiente;
+    const datos = salidas.TIPOS_SALIDA[tipo];
+    const destino = salidas.destinoDe(tipo, texto);
+    
+    await pedirConfirmacion(chatId, 'registrar_salidas',
+      `${datos.boton} *CONFIRMAR*\n\n` +
+      `El cheque ${escaparMarkdown(chequeId)} quedará ${datos.pasado} con fecha de hoy.\n` +
+      `📍 Destino: ${escaparMarkdown(destino)}\n\n` +
+      `¿Confirmás?`,
+      async (usuario) => {
+        let resultado;
+        try {
+          resultado = await salidas.registrarSalida({ chequeId, tipo, destino: texto, usuario, chatId, hoy: fechas.hoy() });
+        } catch (error) {
+          metricas.registrarError(`Error registrando la salida del cheque ${chequeId}:`, error);
+          await avisarAdministradores(
+            `❌ *SALIDA NO REGISTRADA*\n\n` +
+            `No se pudo ${datos.accion} el cheque ${escaparMarkdown(chequeId)} (pedido por ${escaparMarkdown(usuario.email)}): ` +
+            `${escaparMarkdown(error.message || String(error))}`,
+            { excluir: chatId }
+          );
+          return `❌ No se pudo registrar la salida: el cheque ${escaparMarkdown(chequeId)} sigue en cartera. Se avisó a los administradores.`;
+        }
+        
+        if (!resultado.ok) {
+          return resultado.cheque
+            ? `⚠️ El cheque ya había salido de cartera el ${formatearFecha(resultado.cheque.fecden)}` +
+              (resultado.cheque.destino ? ` (${escaparMarkdown(resultado.cheque.destino)}).` : '.')
+            : '⚠️ El cheque ya no existe.';
+        }
+        
+        const { cheque } = resultado;
+        await enviarNotificacionATodos((empresa) => {
+          if (empresa && cheque.empresa !== empresa) return null;
+          return `${datos.boton.split(' ')[0]} *CHEQUE ${datos.pasado.toUpperCase()}*\n` +
+            lineaEmpresa(cheque.empresa) +
+            `━━━━━━━━━━━━━━━━━━\n\n` +
+            `${resumenCheque(cheque)}\n` +
+            `📍 Destino: ${escaparMarkdown(cheque.destino)}\n\n` +
+            `✍️ Registrado por ${escaparMarkdown(usuario.email)}`;
+        }, 'salidas_cheques', { excluir: chatId });
+        
+        return `✅ Cheque ${escaparMarkdown(cheque.id)} registrado como ${datos.pasado}.\n\n` +
+          `${resumenCheque(cheque)}\n` +
+          `📍 Destino: ${escaparMarkdown(cheque.destino)}`;
+      }
+    );
+  });
+  
+  // ============================================================
+  // COMANDO /saldos - SALDOS DE TESORERÍA
+  // ============================================================
+  
+  /**
+   * Detalle de cuentas (una por bloque, con semáforo)
+   */
+  function detalleCuentas(saldos) {
+    return saldos.map(s => {
+      const emoji = s.saldo_total >= 0 ? '🟢' : '🔴';
+      return `${emoji} *${escaparMarkdown(s.nombre_cuenta)}*\n   ${formatearMoneda(s.saldo_total)}`;
+    }).join('\n\n');
+  }
+  
+  registrarComando('saldos', /\/saldos(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa } = empresaDeArgumentos(chatId, match[1]);
+    
+    try {
+      const saldos = await consultas.saldosContables(empresa);
+      
+      if (saldos.length === 0) {
+        bot.sendMessage(chatId, 
+          `🏦 *SALDOS DE TESORERÍA*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `⚠️ No hay datos de saldos disponibles.\n` +
+          (empresa
+            ? `Revisá las cuentas asignadas a la empresa.\n\n`
+            : `Ejecutá una sincronización desde el sistema.\n\n`) +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const totalGeneral = tesoreria.totalSaldos(saldos);
+      
+      // Con todas las empresas, agrupar las cuentas por empresa con subtotal
+      const detalle = empresa
+        ? detalleCuentas(saldos)
+        : tesoreria.agruparSaldosPorEmpresa(saldos)
+          .map(g => `🏢 *${escaparMarkdown(g.nombre)}* (${formatearMoneda(g.subtotal)})\n\n${detalleCuentas(g.cuentas)}`)
+          .join('\n\n');
+      
+      bot.sendMessage(chatId, 
+        `🏦 *SALDOS DE TESORERÍA*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `${detalle}\n\n` +
+        `━━━━━━━━━━━━━━━━━━\n` +
+        `💰 *TOTAL:* ${formatearMoneda(totalGeneral)}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /saldos:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener saldos de tesorería.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /alertas - ALERTAS CRÍTICAS
+  // ============================================================
+  
+  registrarComando('alertas', /\/alertas(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa } = empresaDeArgumentos(chatId, match[1]);
+    
+    try {
+      // Evaluar las reglas configuradas (las mismas que usan las notificaciones)
+      const disparadas = reglas.evaluarAlertas({
+        cheques: await consultas.chequesEnCartera(empresa),
+        saldos: await consultas.saldosContables(empresa),
+        hoy: fechas.hoy()
+      });
+      
+      if (disparadas.length === 0) {
+        bot.sendMessage(chatId, 
+          `⚠️ *ALERTAS CRÍTICAS*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `✅ No hay alertas activas.\n\n` +
+          `Se evaluaron ${reglas.obtenerReglas().length} reglas.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      bot.sendMessage(chatId, 
+        `⚠️ *ALERTAS CRÍTICAS*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `${disparadas.map(reglas.formatearResultado).join('\n\n')}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /alertas:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener alertas.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /cuit - CONSULTAR CUIT ESPECÍFICO
+  // ============================================================
+  
+  /**
+   * Enviar la ficha de un CUIT: cartera, cronograma de vencimientos,
+   * historial y plazo promedio
+   */
+  async function enviarConsultaCuit(chatId, cuit, empresa) {
+    try {
+      const cheques = await consultas.consultarChequesCuit(cuit, empresa);
+      
+      if (cheques.length === 0) {
+        bot.sendMessage(chatId, 
+          `🔍 *CONSULTA CUIT*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `No se encontraron cheques para el CUIT: ${cuitUtil.formatearCuit(cuit)}\n\n` +
+          `Si no recordás el número exacto, buscá por nombre con /cliente.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      bot.sendMessage(chatId, 
+        `🔍 *CONSULTA CUIT: ${cuitUtil.formatearCuit(cuit)}*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `${clientes.armarFichaCuit(cuit, cheques, fechas.hoy())}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /cuit:', error);
+      bot.sendMessage(chatId, '❌ Error al consultar CUIT.');
+    }
+  }
+  
+  /**
+   * Teclado con un botón por cliente encontrado (abre la ficha del CUIT)
+   */
+  function tecladoClientes(encontrados, empresa) {
+    return encontrados
+      .filter(c => c.cuit)
+      .map(c => [{
+        text: `🔎 ${c.nombre} (${cuitUtil.formatearCuit(c.cuit)})`.slice(0, 60),
+        callback_data: `cuit:${cuitUtil.soloDigitos(c.cuit)}:${empresa || '-'}`
+      }]);
+  }
+  
+  registrarComando('cuit', /\/cuit (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    
+    // Búsqueda parcial explícita: /cuit parcial 12345678
+    const parcial = resto.match(/^parcial\s+(.+)/i);
+    if (parcial) {
+      const digitos = cuitUtil.soloDigitos(parcial[1]);
+      if (digitos.length < 8) {
+        bot.sendMessage(chatId, '⚠️ Para buscar por parte del CUIT indicá al menos 8 dígitos. Ejemplo: /cuit parcial 12345678');
+        return;
+      }
+      
+      try {
+        const cheques = await consultas.buscarCuitParcial(digitos, empresa);
+        
+        // Un resultado por CUIT distinto
+        const porCuit = new Map();
+        cheques.forEach(c => {
+          if (!porCuit.has(c.cuitfirm)) porCuit.set(c.cuitfirm, { cuit: c.cuitfirm, nombre: c.origen || 'S/N' });
+        });
+        
+        if (porCuit.size === 0) {
+          bot.sendMessage(chatId, `🔍 No hay CUITs que contengan ${digitos}.`);
+          return;
+        }
+        
+        bot.sendMessage(chatId, 
+          `🔍 *CUITs que contienen ${digitos}* (${porCuit.size})\n\n` +
+          `Elegí uno para ver su ficha:`,
+          { parse_mode: 'Markdown', reply_markup: { inline_keyboard: tecladoClientes([...porCuit.values()].slice(0, clientes.MAX_RESULTADOS), empresa) } }
+        );
+      } catch (error) {
+        metricas.registrarError('Error en /cuit parcial:', error);
+        bot.sendMessage(chatId, '❌ Error al consultar CUIT.');
+      }
+      return;
+    }
+    
+    const validacion = cuitUtil.validarCuit(resto);
+    
+    if (!validacion.valido) {
+      bot.sendMessage(chatId, 
+        `⚠️ CUIT inválido: ${validacion.motivo}\n\n` +
+        `Ejemplo: /cuit 20-12345678-6\n` +
+        `Para buscar por nombre usá /cliente, o por parte del número /cuit parcial 12345678.`
+      );
+      return;
+    }
+    
+    await enviarConsultaCuit(chatId, validacion.cuit, empresa);
+  });
+  
+  // Manejar /cuit sin parámetro
+  registrarComando('cuit', /^\/cuit$/, async (msg) => {
+    const chatId = msg.chat.id;
+    bot.sendMessage(chatId, '⚠️ Debés indicar el CUIT. Ejemplo: /cuit 20-12345678-6');
+  });
+  
+  // 🔎 Ficha de un CUIT desde un botón: cuit:<cuit>:<empresa|->
+  registrarAccion('cuit', 'cuit', async (query, [cuit, codigo]) => {
+    await enviarConsultaCuit(query.message.chat.id, cuit, codigo && codigo !== '-' ? codigo : null);
+  });
+  
+  // ============================================================
+  // COMANDO /cliente - BÚSQUEDA DE CLIENTES POR NOMBRE
+  // ============================================================
+  
+  registrarComando('cliente', /\/cliente(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    
+    if (clientes.normalizar(resto).length < 3) {
+      bot.sendMessage(chatId, '⚠️ Indicá al menos 3 letras del nombre. Ejemplo: /cliente martinez');
+      return;
+    }
+    
+    try {
+      // Se filtra en la base por el nombre; solo si no aparece nada se buscan
+      // errores de tipeo sobre todos los cheques
+      let encontrados = clientes.buscarClientes(
+        await consultas.buscarChequesPorNombre(clientes.normalizar(resto), empresa), resto
+      );
+      if (encontrados.length === 0) {
+        const cheques = await consultas.todosLosCheques('cuitfirm, origen, implocal, fecden', empresa);
+        encontrados = clientes.buscarClientes(cheques, resto);
+      }
+      
+      if (encontrados.length === 0) {
+        bot.sendMessage(chatId, 
+          `👤 *BÚSQUEDA DE CLIENTES*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `No se encontraron clientes para "${escaparMarkdown(resto)}".`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const lista = encontrados.map((c, i) => 
+        `${i + 1}. *${escaparMarkdown(c.nombre || 'S/N')}*\n` +
+        `   CUIT ${escaparMarkdown(c.cuit ? cuitUtil.formatearCuit(c.cuit) : 'S/D')} - ` +
+        `${c.enCartera} en cartera (${formatearMoneda(c.monto)}) de ${c.cantidad}`
+      ).join('\n');
+      
+      bot.sendMessage(chatId, 
+        `👤 *BÚSQUEDA DE CLIENTES*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `${lista}\n\n` +
+        (encontrados.length === clientes.MAX_RESULTADOS ? `Se muestran los primeros ${clientes.MAX_RESULTADOS}; afiná la búsqueda para ver otros.\n` : '') +
+        `Elegí un cliente para ver su ficha:`,
+        { parse_mode: 'Markdown', reply_markup: { inline_keyboard: tecladoClientes(encontrados, empresa) } }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /cliente:', error);
+      bot.sendMessage(chatId, '❌ Error al buscar clientes.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /concentracion - RANKING DE EXPOSICIÓN POR CUIT
+  // ============================================================
+  
+  // Emisores listados por defecto y máximos
+  const CONCENTRACION_TOP_DEFECTO = 10;
+  const CONCENTRACION_TOP_MAXIMO = 30;
+  
+  registrarComando('concentracion', /\/concentracion(?:\s+(.+))?/, async (msg, match, usuario) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    const top = cantidadDeArgumento(resto, CONCENTRACION_TOP_DEFECTO, CONCENTRACION_TOP_MAXIMO);
+    
+    try {
+      const cheques = await consultas.chequesEnCartera(empresa);
+      const { total, emisores, hhi, ranking, sinCuit } = concentracion.calcularConcentracion(cheques);
+      
+      if (total <= 0 && sinCuit.cantidad === 0) {
+        bot.sendMessage(chatId, 
+          `🎯 *CONCENTRACIÓN POR CUIT*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `✅ No hay cheques en cartera.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      // Umbral de la regla de concentración (la misma de /alertas)
+      const umbral = reglas.umbralConcentracion(empresa);
+      
+      const visibles = ranking.slice(0, top);
+      const filas = visibles.map((x, i) => {
+        const distancia = umbral - x.participacion;
+        const marca = distancia < 0
+          ? '🔴 supera el umbral'
+          : `a ${distancia.toFixed(1)} pp del umbral`;
+        return `${i + 1}. *${escaparMarkdown(x.origen)}*\n` +
+          `   CUIT ${escaparMarkdown(cuitUtil.formatearCuit(x.cuit))} - ${x.cantidad} cheques\n` +
+          `   ${formatearMoneda(x.monto)} (${x.participacion.toFixed(1)}%) - ${marca}\n` +
+          `   Próximo vto: ${formatearFecha(x.proximo)}`;
+      }).join('\n');
+      
+      const nivel = concentracion.nivelHhi(hhi);
+      const excedidos = ranking.filter(x => x.participacion > umbral).length;
+      
+      // Botones para ver la ficha de cada CUIT (como /cuit)
+      const teclado = [];
+      if (permisos.tienePermiso(usuario.role, 'cuit')) {
+        const botones = visibles.map((x, i) => ({ text: `🔎 ${i + 1}`, callback_data: `cuit:${cuitUtil.soloDigitos(x.cuit)}:${empresa || '-'}` }));
+        for (let i = 0; i < botones.length; i += 5) {
+          teclado.push(botones.slice(i, i + 5));
+        }
+      }
+      
+      // Los cheques sin CUIT no entran en el ranking ni en el índice
+      const lineaSinCuit = sinCuit.cantidad > 0
+        ? `❔ *Sin CUIT:* ${sinCuit.cantidad} cheques - ${formatearMoneda(sinCuit.monto)} (fuera del ranking)\n`
+        : '';
+      
+      bot.sendMessage(chatId, 
+        `🎯 *CONCENTRACIÓN POR CUIT*\n` +
+        lineaEmpresa(empresa) + `\n` +
+        `💰 *Cartera con CUIT:* ${formatearMoneda(total)} (${emisores} emisores)\n` +
+        lineaSinCuit +
+        `${nivel.emoji} *Índice Herfindahl:* ${Math.round(hhi)} (concentración ${nivel.nombre})\n` +
+        `📏 *Umbral:* ${umbral}% - ${excedidos} CUITs lo superan\n\n` +
+        `📋 *Top ${visibles.length}:*\n${filas}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown', reply_markup: { inline_keyboard: teclado } }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /concentracion:', error);
+      bot.sendMessage(chatId, '❌ Error al calcular la concentración.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /resumen - RESUMEN EJECUTIVO COMPLETO
+  // ============================================================
+  
+  registrarComando('resumen', /\/resumen(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa } = empresaDeArgumentos(chatId, match[1]);
+    
+    try {
+      const cheques = await consultas.chequesEnCartera(empresa);
+      const { cartera, vencimientos, saldos, validezCritica } = tesoreria.calcularResumen({
+        cheques,
+        saldos: await consultas.saldosContables(empresa),
+        hoy: fechas.hoy(),
+        umbralValidez: reglas.umbralValidez()
+      });
+      const { proximoHabil } = vencimientos;
+      const etiquetaManana = proximoHabil.esManana
+        ? 'Mañana'
+        : `Próx. hábil (${fechas.fechaConDia(proximoHabil.fecha)})`;
+      const linea = (etiqueta, v) => `   ${etiqueta}: ${v.cantidad} (${formatearMoneda(v.monto)})\n`;
+      
+      bot.sendMessage(chatId, 
+        `📊 *RESUMEN EJECUTIVO*\n` +
+        lineaEmpresa(empresa) +
+        `━━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `💰 *CARTERA*\n` +
+        `   Total: ${formatearMoneda(cartera.total)}\n` +
+        `   Cheques: ${cartera.cantidad}\n\n` +
+        (empresa ? '' : `🏢 *POR EMPRESA*\n${desglosePorEmpresa(cheques)}\n\n`) +
+        `📅 *VENCIMIENTOS*\n` +
+        linea('Hoy', vencimientos.hoy) +
+        linea(etiquetaManana, proximoHabil) +
+        linea('7 días', vencimientos.semana) +
+        linea('15 días', vencimientos.quincena) + `\n` +
+        `🏦 *TESORERÍA*\n` +
+        `   Saldo Total: ${formatearMoneda(saldos)}\n\n` +
+        `⚠️ *ALERTAS*\n` +
+        `   Validez crítica: ${validezCritica} cheques\n\n` +
+        `━━━━━━━━━━━━━━━━━━━━━\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /resumen:', error);
+      bot.sendMessage(chatId, '❌ Error al generar resumen.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /flujo - PROYECCIÓN DE FLUJO DE FONDOS
+  // ============================================================
+  
+  // Días de proyección por defecto y máximos
+  const FLUJO_DIAS_DEFECTO = 15;
+  const FLUJO_DIAS_MAXIMO = 60;
+  
+  // Saldo mínimo deseado para el total de todas las empresas (FLUJO_MINIMO);
+  // cada empresa usa el suyo (flujo_minimo del registro de empresas)
+  const FLUJO_MINIMO = Number(process.env.FLUJO_MINIMO) || 0;
+  
+  registrarComando('flujo', /\/flujo(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    const dias = cantidadDeArgumento(resto, FLUJO_DIAS_DEFECTO, FLUJO_DIAS_MAXIMO);
+    
+    try {
+      const hoy = fechas.hoy();
+      const empresasFlujo = obtenerEmpresas().filter(e => !empresa || e.codigo === empresa);
+      const minimo = empresa ? empresasFlujo[0]?.flujoMinimo || 0 : FLUJO_MINIMO;
+      const proyeccion = flujo.proyectarFlujo({
+        saldos: await consultas.saldosContables(empresa),
+        cheques: await consultas.chequesEnCartera(empresa),
+        hoy,
+        dias,
+        minimo,
+        empresas: empresasFlujo
+      });
+      
+      const { total } = proyeccion;
+      const fechaCorta = f => f.toLocaleDateString('es-AR', { timeZone: 'UTC', day: '2-digit', month: '2-digit' });
+      
+      // Primer día debajo de cero y debajo del mínimo de una serie
+      const avisosSerie = (serie, minimoSerie, prefijo = '') => {
+        const avisos = [];
+        if (serie.primerDiaNegativo) {
+          avisos.push(`${prefijo}🔴 Saldo negativo desde el ${fechaCorta(serie.primerDiaNegativo)}`);
+        }
+        if (minimoSerie > 0 && serie.primerDiaBajoMinimo && serie.primerDiaBajoMinimo !== serie.primerDiaNegativo) {
+          avisos.push(`${prefijo}🟡 Debajo del mínimo (${formatearMoneda(minimoSerie)}) desde el ${fechaCorta(serie.primerDiaBajoMinimo)}`);
+        }
+        return avisos;
+      };
+      
+      // Día por día (total)
+      const detalle = total.dias.map(d => {
+        const emoji = d.saldo < 0 ? '🔴' : d.saldo < minimo ? '🟡' : '🟢';
+        const marca = d.fecha === total.primerDiaNegativo || d.fecha === total.primerDiaBajoMinimo ? ' ⬅️' : '';
+        const ingreso = d.ingresos > 0 ? ` (+${formatearMoneda(d.ingresos)})` : '';
+        return `${emoji} ${fechaCorta(d.fecha)}: ${formatearMoneda(d.saldo)}${ingreso}${marca}`;
+      }).join('\n');
+      
+      const avisos = avisosSerie(total, minimo);
+      
+      // Resumen por empresa (solo cuando se consultan todas)
+      const porEmpresa = empresasFlujo.map(e => {
+        const serie = proyeccion.porEmpresa[e.codigo];
+        const aviso = avisosSerie(serie, e.flujoMinimo, '\n   ').join('');
+        return `• *${escaparMarkdown(e.nombre)}*: ${formatearMoneda(serie.inicial)} → ${formatearMoneda(serie.final)}\n` +
+          `   Cobranzas: ${formatearMoneda(serie.cobranzas)}${aviso}`;
+      }).join('\n');
+      
+      const sinAsignar = proyeccion.sinAsignar !== 0
+        ? `• Saldos sin empresa asignada: ${formatearMoneda(proyeccion.sinAsignar)}\n`
+        : '';
+      
+      bot.sendMessage(chatId, 
+        `💵 *FLUJO PROYECTADO - ${dias} DÍAS*\n` +
+        lineaEmpresa(empresa) +
+        `━━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `🏦 Saldo inicial: ${formatearMoneda(total.inicial)}\n` +
+        `📥 Cobranzas esperadas: ${formatearMoneda(total.cobranzas)}\n` +
+        `💰 Saldo final: ${formatearMoneda(total.final)}\n\n` +
+        (avisos.length > 0 ? `${avisos.join('\n')}\n\n` : '✅ El saldo se mantiene sobre el mínimo.\n\n') +
+        (empresa ? '' : `🏢 *Por empresa:*\n${porEmpresa}\n${sinAsignar}\n`) +
+        `📆 *Día por día (total):*\n${detalle}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /flujo:', error);
+      bot.sendMessage(chatId, '❌ Error al proyectar el flujo de fondos.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /planificar - DEPÓSITOS PARA CUBRIR CUENTAS EN ROJO
+  // ============================================================
+  
+  // Horizonte de cheques a acreditarse (días) por defecto y máximo
+  const PLANIFICAR_DIAS_DEFECTO = 7;
+  const PLANIFICAR_DIAS_MAXIMO = 30;
+  
+  // Cheques detallados por lote
+  const PLANIFICAR_MAX_DETALLE = 8;
+  
+  /**
+   * Propuesta de una cuenta (Markdown)
+   */
+  function armarPropuesta(plan) {
+    const { saldo, minimo, faltante, lotes, propuesto, restante } = plan;
+    const lineas = [
+      `🔴 *${escaparMarkdown(saldo.nombre_cuenta)}*` +
+        (plan.empresa ? ` (${escaparMarkdown(nombreEmpresa(plan.empresa))})` : ''),
+      `   Saldo: ${formatearMoneda(saldo.saldo_total)} | Mínimo: ${formatearMoneda(minimo)}`,
+      `   Faltan: ${formatearMoneda(faltante)}`
+    ];
+    
+    lotes.forEach((lote, i) => {
+      const dia = lote.fecha.getTime() === fechas.hoy().getTime() ? 'hoy' : fechas.fechaConDia(lote.fecha);
+      lineas.push(`📦 *Lote ${i + 1} - ${dia}:* ${lote.cheques.length} cheques - ${formatearMoneda(lote.monto)}` +
+        ` (acumulado ${formatearMoneda(lote.acumulado)})`);
+      lote.cheques.slice(0, PLANIFICAR_MAX_DETALLE).forEach(({ cheque, restantes }) => {
+        lineas.push(`   • ${escaparMarkdown(cheque.origen || 'S/N')} - ${formatearMoneda(cheque.implocal)} - ` +
+          `Vto ${formatearFecha(cheque.fvto)} (${restantes} días de validez)`);
+      });
+      if (lote.cheques.length > PLANIFICAR_MAX_DETALLE) {
+        lineas.push(`   • ... y ${lote.cheques.length - PLANIFICAR_MAX_DETALLE} cheques más`);
+      }
+    });
+    
+    if (lotes.length === 0) {
+      lineas.push('⚠️ No hay cheques depositables en el período para esta cuenta.');
+    } else if (restante > 0) {
+      lineas.push(`⚠️ Con los cheques disponibles quedan sin cubrir ${formatearMoneda(restante)}.`);
+    } else {
+      lineas.push(`✅ Cubre el faltante (excedente ${formatearMoneda(propuesto - faltante)}).`);
+    }
+    
+    return lineas.join('\n');
+  }
+  
+  registrarComando('planificar', /\/planificar(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    const dias = cantidadDeArgumento(resto, PLANIFICAR_DIAS_DEFECTO, PLANIFICAR_DIAS_MAXIMO);
+    
+    try {
+      const planes = planificacion.planificarDepositos({
+        saldos: await consultas.saldosContables(empresa),
+        cheques: await consultas.chequesEnCartera(empresa),
+        hoy: fechas.hoy(),
+        dias,
+        minimoDe: reglas.minimoDeCuenta
+      });
+      
+      if (planes.length === 0) {
+        bot.sendMessage(chatId, 
+          `🧮 *PLANIFICACIÓN DE DEPÓSITOS*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `✅ Ninguna cuenta está por debajo de su mínimo.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const faltante = planes.reduce((sum, p) => sum + p.faltante, 0);
+      const propuesto = planes.reduce((sum, p) => sum + p.propuesto, 0);
+      const sinCubrir = planes.reduce((sum, p) => sum + p.restante, 0);
+      const cantidad = planes.reduce((sum, p) => sum + p.lotes.reduce((n, l) => n + l.cheques.length, 0), 0);
+      
+      bot.sendMessage(chatId, 
+        `🧮 *PLANIFICACIÓN DE DEPÓSITOS - ${dias} DÍAS*\n` +
+        lineaEmpresa(empresa) +
+        `━━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `${planes.map(armarPropuesta).join('\n\n')}\n\n` +
+        `━━━━━━━━━━━━━━━━━━━━━\n` +
+        `📉 *Faltante total:* ${formatearMoneda(faltante)}\n` +
+        `📥 *A depositar:* ${cantidad} cheques - ${formatearMoneda(propuesto)}\n` +
+        (sinCubrir > 0 ? `⚠️ *Sin cubrir:* ${formatearMoneda(sinCubrir)}\n` : '') +
+        `\nPrioriza los cheques más cercanos a perder validez y no cubre más del ` +
+        `${Math.round(planificacion.MAX_PARTICIPACION_EMISOR * 100)}% de una cuenta con un mismo emisor ` +
+        `mientras haya alternativas.\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /planificar:', error);
+      bot.sendMessage(chatId, '❌ Error al planificar los depósitos.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /movimientos - INGRESOS Y SALIDAS DE CARTERA
+  // ============================================================
+  
+  /**
+   * Detectar los movimientos nuevos de la cartera (ingresos y salidas)
+   * Si hubo, la cartera cambió desde la última sincronización: se descarta la caché
+   */
+  async function actualizarMovimientos() {
+    const cheques = await consultas.todosLosCheques(movimientos.COLUMNAS);
+    const nuevos = await movimientos.detectarMovimientos(cheques, fechas.hoy());
+    
+    if (nuevos.length > 0) consultas.invalidarCache();
+    return nuevos;
+  }
+  
+  /**
+   * Mensaje de movimientos de un día (de una empresa o de todas)
+   */
+  function armarMensajeMovimientos(titulo, fecha, empresa, delDia) {
+    const filtrados = empresa ? delDia.filter(m => m.empresa === empresa) : delDia;
+    
+    return `🔄 *${titulo}*\n` +
+      `📅 ${fechas.fechaConDia(fecha)}\n` +
+      lineaEmpresa(empresa) +
+      `━━━━━━━━━━━━━━━━━━━━━\n\n` +
+      `${movimientos.armarMovimientos(filtrados, { porEmpresa: !empresa })}`;
+  }
+  
+  registrarComando('movimientos', /\/movimientos(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    const hoy = fechas.hoy();
+    
+    let fecha = hoy;
+    if (resto.toLowerCase() === 'ayer') {
+      fecha = fechas.sumarDias(hoy, -1);
+    } else if (resto) {
+      const rango = rangos.interpretarRango(resto, hoy);
+      fecha = rango && rango.hasta - rango.desde === 24 * 60 * 60 * 1000 && rango.desde <= hoy ? rango.desde : null;
+    }
+    
+    if (!fecha) {
+      bot.sendMessage(chatId, 
+        `⚠️ Indicá un día (hoy o anterior). Ejemplos:\n\n` +
+        `/movimientos\n` +
+        `/movimientos ayer\n` +
+        `/movimientos 15/10 po`
+      );
+      return;
+    }
+    
+    try {
+      // Los de hoy se actualizan en el momento
+      if (fecha.getTime() === hoy.getTime()) await actualizarMovimientos();
+      const delDia = await movimientos.cargarMovimientos(fecha);
+      
+      bot.sendMessage(chatId, 
+        armarMensajeMovimientos('MOVIMIENTOS DE CARTERA', fecha, empresa, delDia) + `\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /movimientos:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener los movimientos.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /evolucion - HISTORIAL DE CARTERA Y SALDOS
+  // ============================================================
+  
+  // Días de historial por defecto y máximos
+  const EVOLUCION_DIAS_DEFECTO = 7;
+  const EVOLUCION_DIAS_MAXIMO = 90;
+  
+  // Foto diaria de cartera y saldos (hora Argentina)
+  const HISTORIAL_CRON = '50 23 * * *';
+  const HISTORIAL_HORA = '23:50';
+  
+  /**
+   * Datos actuales y fotos anteriores de un tipo ('cartera' o 'saldos'),
+   * filtrados por empresa, listos para historial.calcularEvolucion
+   */
+  async function consultarEvolucion(tipo, empresa, desde, hoy) {
+    const datos = {};
+    if (tipo === 'cartera') {
+      datos.cheques = await consultas.chequesEnCartera(empresa);
+    } else {
+      datos.saldos = await consultas.saldosContables(empresa);
+    }
+    
+    const fotos = (await historial.cargarFotos(desde, hoy))
+      .filter(f => f.tipo === tipo && (!empresa || f.empresa === empresa));
+    
+    return historial.calcularEvolucion(historial.valoresActuales(tipo, datos), fotos, hoy);
+  }
+  
+  /**
+   * Interpretar el período de /evolucion ("30", "+30", "semana", "mes")
+   * Devuelve la cantidad de días o null si no se reconoce
+   */
+  function diasDeEvolucion(texto) {
+    const t = String(texto || '').trim().toLowerCase();
+    if (!t) return EVOLUCION_DIAS_DEFECTO;
+    if (t === 'semana') return 7;
+    if (t === 'mes') return 30;
+    const m = /^\+?(\d+)$/.exec(t);
+    return m && Number(m[1]) >= 1 ? Math.min(Number(m[1]), EVOLUCION_DIAS_MAXIMO) : null;
+  }
+  
+  registrarComando('evolucion', /\/evolucion(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa, resto } = empresaDeArgumentos(chatId, match[1]);
+    
+    const args = resto.split(/\s+/).filter(Boolean);
+    const tipo = ['cartera', 'saldos'].includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'cartera';
+    const dias = diasDeEvolucion(args.join(' '));
+    
+    if (dias === null) {
+      bot.sendMessage(chatId, 
+        `⚠️ Indicá qué y cuántos días mostrar (hasta ${EVOLUCION_DIAS_MAXIMO}). Ejemplos:\n\n` +
+        `/evolucion\n` +
+        `/evolucion saldos\n` +
+        `/evolucion cartera 30\n` +
+        `/evolucion saldos mes po`
+      );
+      return;
+    }
+    
+    try {
+      const hoy = fechas.hoy();
+      // Una semana más de fotos para encontrar la de referencia semanal
+      const desde = fechas.sumarDias(hoy, -(Math.max(dias, 7) + 7));
+      const { total, items, referencias, serie } = await consultarEvolucion(tipo, empresa, desde, hoy);
+      const titulo = tipo === 'cartera' ? 'CARTERA' : 'SALDOS';
+      const referencia = fecha => fecha ? ` (${fechas.fechaConDia(fechas.inicioDelDia(fecha))})` : '';
+      
+      if (serie.length === 1) {
+        bot.sendMessage(chatId, 
+          `📈 *EVOLUCIÓN DE ${titulo}*\n` +
+          lineaEmpresa(empresa) + `\n` +
+          `💰 *Ahora:* ${formatearMoneda(total.actual)}\n\n` +
+          `ℹ️ Todavía no hay historial guardado: la foto diaria se toma a las ${HISTORIAL_HORA}.\n\n` +
+          `⏰ ${fechas.fechaHoraArgentina()}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      // Detalle por empresa (cartera) o por cuenta (saldos)
+      const detalle = items
+        .filter(i => i.actual !== 0 || (i.dia ?? 0) !== 0)
+        .map(i => 
+          `• *${escaparMarkdown(i.nombre)}*: ${formatearMoneda(i.actual)}\n` +
+          `   Día: ${historial.formatearVariacion(i.dia, i.actual)} | Semana: ${historial.formatearVariacion(i.semana, i.actual)}`
+        ).join('\n');
+      const mostrarDetalle = tipo === 'saldos' || !empresa;
+      
+      // Día por día del período (la última fila es la de ahora)
+      const limite = rangos.aISO(fechas.sumarDias(hoy, -dias));
+      const porDia = serie
+        .map((punto, i) => ({ ...punto, delta: i > 0 ? punto.monto - serie[i - 1].monto : null }))
+        .filter(punto => punto.fecha >= limite)
+        .map(punto => {
+          const dia = punto.fecha === rangos.aISO(hoy) ? 'Ahora' : fechas.fechaConDia(fechas.inicioDelDia(punto.fecha));
+          const cambio = punto.delta === null ? '' : ` ${historial.formatearVariacion(punto.delta, punto.monto)}`;
+          return `• ${dia}: ${formatearMoneda(punto.monto)}${cambio}`;
+        }).join('\n');
+      
+      bot.sendMessage(chatId, 
+        `📈 *EVOLUCIÓN DE ${titulo} - ${dias} DÍAS*\n` +
+        lineaEmpresa(empresa) +
+        `━━━━━━━━━━━━━━━━━━━━━\n\n` +
+        `💰 *Ahora:* ${formatearMoneda(total.actual)}\n` +
+        `   vs día anterior${referencia(referencias.dia)}: ${historial.formatearVariacion(total.dia, total.actual)}\n` +
+        `   vs semana anterior${referencia(referencias.semana)}: ${historial.formatearVariacion(total.semana, total.actual)}\n\n` +
+        (mostrarDetalle && detalle ? `${tipo === 'cartera' ? '🏢 *Por empresa:*' : '🏦 *Por cuenta:*'}\n${detalle}\n\n` : '') +
+        `📆 *Día por día:*\n${porDia}\n\n` +
+        `⏰ ${fechas.fechaHoraArgentina()}`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      metricas.registrarError('Error en /evolucion:', error);
+      bot.sendMessage(chatId, '❌ Error al obtener la evolución.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /exportar - EXPORTAR CHEQUES A CSV / XLSX
+  // ============================================================
+  
+  const USO_EXPORTAR = 
+    `⚠️ Indicá qué exportar. Ejemplos:\n\n` +
+    `/exportar cartera\n` +
+    `/exportar vencimientos noviembre\n` +
+    `/exportar vencimientos 15/11 30/11 po csv\n` +
+    `/exportar cuit 20-12345678-6\n\n` +
+    `Opcional: empresa (ge, po o todas) y formato (xlsx por defecto, o csv).`;
+  
+  const TIPOS_ARCHIVO = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+  
+  registrarComando('exportar', /\/exportar(?:\s+(.+))?/, async (msg, match, usuario) => {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const tipo = (args.shift() || '').toLowerCase();
+    
+    // Formato al final (xlsx por defecto)
+    let formato = 'xlsx';
+    if (args.length > 0 && TIPOS_ARCHIVO[args[args.length - 1].toLowerCase()]) {
+      formato = args.pop().toLowerCase();
+    }
+    
+    // Filtro de empresa (mismos códigos y alias que en pantalla)
+    const { empresa, resto } = empresaDeArgumentos(chatId, args.join(' '));
+    
+    if (!['cartera', 'vencimientos', 'cuit'].includes(tipo)) {
+      bot.sendMessage(chatId, USO_EXPORTAR);
+      return;
+    }
+    
+    if (!permisos.puedeUsarComando(usuario.role, tipo)) {
+      bot.sendMessage(chatId, `🔒 Tu rol (${usuario.role || 'sin rol'}) no tiene acceso a /${tipo}.`);
+      return;
+    }
+    
+    try {
+      let cheques;
+      let titulo;
+      
+      if (tipo === 'cartera') {
+        cheques = await consultas.chequesEnCartera(empresa);
+        titulo = 'Cartera';
+      } else if (tipo === 'vencimientos') {
+        const rango = rangos.interpretarRango(resto || 'semana', fechas.hoy());
+        if (!rango) {
+          bot.sendMessage(chatId, USO_EXPORTAR);
+          return;
+        }
+        cheques = await consultas.consultarVencimientos(rango, empresa);
+        titulo = rangos.describirRango(rango, fechas.hoy()).titulo;
+      } else {
+        const validacion = cuitUtil.validarCuit(resto.split(' ')[0]);
+        if (!validacion.valido) {
+          bot.sendMessage(chatId, `⚠️ CUIT inválido: ${validacion.motivo}\n\nEjemplo: /exportar cuit 20-12345678-6`);
+          return;
+        }
+        cheques = await consultas.consultarChequesCuit(validacion.cuit, empresa);
+        titulo = `CUIT ${cuitUtil.formatearCuit(validacion.cuit)}`;
+      }
+      
+      if (cheques.length === 0) {
+        bot.sendMessage(chatId, `📄 No hay cheques para exportar (${titulo}, ${nombreEmpresa(empresa)}).`);
+        return;
+      }
+      
+      const archivo = formato === 'csv'
+        ? exportar.generarCsv(cheques)
+        : await exportar.generarXlsx(cheques, titulo);
+      
+      const nombre = `${tipo}_${rangos.aISO(fechas.hoy())}${empresa ? '_' + empresa.toLowerCase() : ''}.${formato}`;
+      const total = tesoreria.sumarImportes(cheques);
+      
+      await bot.sendDocument(chatId, archivo, {
+        caption: `📄 ${titulo} - ${nombreEmpresa(empresa)}\n${cheques.length} cheques - ${formatearMoneda(total)}`
+      }, {
+        filename: nombre,
+        contentType: TIPOS_ARCHIVO[formato]
+      });
+      
+    } catch (error) {
+      metricas.registrarError('Error en /exportar:', error);
+      bot.sendMessage(chatId, '❌ Error al generar la exportación.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /reporte - REPORTE EJECUTIVO EN PDF
+  // ============================================================
+  
+  /**
+   * Generar el reporte ejecutivo en PDF con los datos actuales
+   * (de una empresa, o de todas si no se indica)
+   * Devuelve { buffer, nombre }
+   */
+  async function generarReporte(empresa = null) {
+    const hoy = fechas.hoy();
+    const datos = {
+      cheques: await consultas.chequesEnCartera(empresa),
+      saldos: await consultas.saldosContables(empresa),
+      hoy
+    };
+    
+    const buffer = await reporte.generarReportePdf({
+      ...datos,
+      alertas: reglas.evaluarReglas(reglas.obtenerReglas(), datos),
+      empresas: obtenerEmpresas().filter(e => !empresa || e.codigo === empresa)
+    });
+    
+    const sufijo = empresa ? '_' + empresa.toLowerCase() : '';
+    return { buffer, nombre: `reporte_tesoreria_${rangos.aISO(hoy)}${sufijo}.pdf` };
+  }
+  
+  registrarComando('reporte', /\/reporte(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const { empresa } = empresaDeArgumentos(chatId, match[1]);
+    
+    try {
+      bot.sendChatAction(chatId, 'upload_document').catch(() => {});
+      const { buffer, nombre } = await generarReporte(empresa);
+      
+      await bot.sendDocument(chatId, buffer, {
+        caption: `📑 Reporte ejecutivo de tesorería - ${nombreEmpresa(empresa)}\n⏰ ${fechas.fechaHoraArgentina()}`
+      }, {
+        filename: nombre,
+        contentType: 'application/pdf'
+      });
+      
+    } catch (error) {
+      metricas.registrarError('Error en /reporte:', error);
+      bot.sendMessage(chatId, '❌ Error al generar el reporte.');
+    }
+  });
+  
+  // ============================================================
+  // COMANDO /notificaciones - PREFERENCIAS DE NOTIFICACIÓN
+  // ============================================================
+  
+  // Horarios de silencio ofrecidos como botones [desde, hasta]
+  const SILENCIOS_SUGERIDOS = [[22, 7], [20, 8]];
+  
+  /**
+   * Armar el mensaje y el teclado de preferencias de un usuario
+   */
+  function vistaNotificaciones(chatId, usuario) {
+    const prefs = preferenciasDe(chatId);
+    const tipos = permisos.notificacionesPermitidas(usuario.role);
+    
+    const detalleTipos = tipos.length > 0
+      ? tipos.map(tipo => {
+        const activo = preferencias.quiereTipo(prefs, tipo) ? '✅' : '❌';
+        return `${activo} ${permisos.NOTIFICACIONES[tipo].descripcion}`;
+      }).join('\n')
+      : 'Tu rol no recibe notificaciones automáticas.';
+    
+    const texto = 
+      `🔔 *NOTIFICACIONES*\n\n` +
+      `📋 *Alertas:*\n${detalleTipos}\n\n` +
+      `🏢 *Empresa por defecto:* ${escaparMarkdown(nombreEmpresa(prefs.empresa))}\n` +
+      `🌙 *Silencio:* ${preferencias.describirSilencio(prefs)}\n\n` +
+      `Durante el silencio solo llegan las alertas críticas; el resto se entrega al terminar.\n` +
+      `Horario a medida: /notificaciones silencio 23 7`;
+    
+    const marcar = (seleccionado, etiqueta) => (seleccionado ? '● ' : '') + etiqueta;
+    
+    const teclado = [
+      ...tipos.map(tipo => [{
+        text: `${preferencias.quiereTipo(prefs, tipo) ? '✅' : '❌'} ${permisos.NOTIFICACIONES[tipo].descripcion}`,
+        callback_data: `notif:tipo:${tipo}`
+      }]),
+      [
+        { text: marcar(!prefs.empresa, 'Todas'), callback_data: 'notif:empresa:todas' },
+        ...obtenerEmpresas().map(e => ({
+          text: marcar(prefs.empresa === e.codigo, e.nombre),
+          callback_data: `notif:empresa:${e.codigo}`
+        }))
+      ],
+      [
+        { text: marcar(prefs.silencioDesde === null || prefs.silencioDesde === undefined, 'Sin silencio'), callback_data: 'notif:silencio:no' },
+        ...SILENCIOS_SUGERIDOS.map(([desde, hasta]) => ({
+          text: marcar(prefs.silencioDesde === desde && prefs.silencioHasta === hasta, `${desde}h a ${hasta}h`),
+          callback_data: `notif:silencio:${desde}-${hasta}`
+        }))
+      ]
+    ];
+    
+    return { texto, opciones: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: teclado } } };
+  }
+  
+  /**
+   * Guardar preferencias en Supabase y en memoria
+   */
+  async function actualizarPreferencias(chatId, prefs) {
+    await preferencias.guardarPreferencias(chatId, prefs);
+    preferenciasUsuarios.set(chatId, prefs);
+  }
+  
+  registrarComando('notificaciones', /\/notificaciones(?:\s+(.+))?/, async (msg, match, usuario) => {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().toLowerCase().split(/\s+/);
+    
+    // Horario de silencio a medida: /notificaciones silencio 23 7 | no
+    if (args[0] === 'silencio') {
+      const prefs = { ...preferenciasDe(chatId) };
+      
+      if (args[1] === 'no') {
+        prefs.silencioDesde = null;
+        prefs.silencioHasta = null;
+      } else {
+        const desde = Number(args[1]);
+        const hasta = Number(args[2]);
+        const horaValida = h => Number.isInteger(h) && h >= 0 && h <= 23;
+        
+        if (!horaValida(desde) || !horaValida(hasta) || desde === hasta) {
+          bot.sendMessage(chatId, '⚠️ Indicá dos horas distintas entre 0 y 23. Ejemplo: /notificaciones silencio 23 7');
+          return;
+        }
+        prefs.silencioDesde = desde;
+        prefs.silencioHasta = hasta;
+      }
+      
+      try {
+        await actualizarPreferencias(chatId, prefs);
+      } catch (error) {
+        metricas.registrarError('Error en /notificaciones:', error);
+        bot.sendMessage(chatId, '❌ Error al guardar las preferencias.');
+        return;
+      }
+    }
+    
+    const { texto, opciones } = vistaNotificaciones(chatId, usuario);
+    bot.sendMessage(chatId, texto, opciones);
+  });
+  
+  registrarAccion('notif', 'notificaciones', async (query, [campo, valor], usuario) => {
+    const chatId = query.message.chat.id;
+    const prefs = { ...preferenciasDe(chatId) };
+    
+    if (campo === 'tipo') {
+      const activos = prefs.tipos || permisos.notificacionesPermitidas(usuario.role);
+      prefs.tipos = activos.includes(valor)
+        ? activos.filter(t => t !== valor)
+        : [...activos, valor];
+    } else if (campo === 'empresa') {
+      prefs.empresa = valor === 'todas' ? null : valor;
+    } else if (campo === 'silencio') {
+      const [desde, hasta] = valor === 'no' ? [null, null] : valor.split('-').map(Number);
+      prefs.silencioDesde = desde;
+      prefs.silencioHasta = hasta;
+    }
+    
+    await actualizarPreferencias(chatId, prefs);
+    
+    const { texto, opciones } = vistaNotificaciones(chatId, usuario);
+    await editarMensaje(query, texto, opciones);
+    return '✅ Preferencias guardadas';
+  });
+  
+  // ============================================================
+  // COMANDO /empresa - EMPRESA POR DEFECTO
+  // La misma preferencia filtra los comandos y las notificaciones
+  // ============================================================
+  
+  /**
+   * Armar el mensaje y el teclado de la empresa por defecto
+   */
+  function vistaEmpresa(chatId) {
+    const actual = preferenciasDe(chatId).empresa;
+    const marcar = (seleccionado, etiqueta) => (seleccionado ? '● ' : '') + etiqueta;
+    
+    const texto = 
+      `🏢 *EMPRESA POR DEFECTO*\n\n` +
+      `Actual: *${escaparMarkdown(nombreEmpresa(actual))}*\n\n` +
+      `Los comandos y las notificaciones muestran esta empresa salvo que indiques otra ` +
+      `(ej. /semana po o /semana todas).`;
+    
+    const teclado = [[
+      { text: marcar(!actual, 'Todas'), callback_data: 'emp:todas' },
+      ...obtenerEmpresas().map(e => ({
+        text: marcar(actual === e.codigo, e.nombre),
+        callback_data: `emp:${e.codigo}`
+      }))
+    ]];
+    
+    return { texto, opciones: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: teclado } } };
+  }
+  
+  registrarComando('empresa', /\/empresa(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const texto = (match[1] || '').trim();
+    
+    if (texto) {
+      const encontrada = texto.toLowerCase() === 'todas' ? null : buscarEmpresa(texto);
+      
+      if (encontrada === null && texto.toLowerCase() !== 'todas') {
+        const opciones = obtenerEmpresas().map(e => `${e.alias[0] || e.codigo} (${e.nombre})`).join(', ');
+        bot.sendMessage(chatId, `⚠️ Empresa desconocida. Opciones: ${opciones} o todas.`);
+        return;
+      }
+      
+      try {
+        await actualizarPreferencias(chatId, { ...preferenciasDe(chatId), empresa: encontrada?.codigo || null });
+      } catch (error) {
+        metricas.registrarError('Error en /empresa:', error);
+        bot.sendMessage(chatId, '❌ Error al guardar la empresa por defecto.');
+        return;
+      }
+    }
+    
+    const { texto: vista, opciones } = vistaEmpresa(chatId);
+    bot.sendMessage(chatId, vista, opciones);
+  });
+  
+  registrarAccion('emp', 'empresa', async (query, [codigo]) => {
+    const chatId = query.message.chat.id;
+    const empresa = codigo === 'todas' ? null : buscarEmpresa(codigo)?.codigo;
+    if (empresa === undefined) return '⚠️ La empresa ya no existe.';
+    
+    await actualizarPreferencias(chatId, { ...preferenciasDe(chatId), empresa });
+    
+    const { texto, opciones } = vistaEmpresa(chatId);
+    await editarMensaje(query, texto, opciones);
+    return `✅ Empresa por defecto: ${nombreEmpresa(empresa)}`;
+  });
+  
+  // ============================================================
+  // COMANDOS DE ADMINISTRACIÓN (/usuarios, /revocar, /broadcast)
+  // ============================================================
+  
+  registrarComando('usuarios', /\/usuarios/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    if (usuariosAutorizados.size === 0) {
+      bot.sendMessage(chatId, '👥 No hay chats registrados.');
+      return;
+    }
+    
+    const lista = [...usuariosAutorizados.entries()]
+      .sort(([, a], [, b]) => a.email.localeCompare(b.email))
+      .map(([id, u]) => {
+        const actividad = u.ultimaActividad
+          ? fechas.fechaHoraArgentina(new Date(u.ultimaActividad))
+          : 'sin actividad';
+        return `• ${escaparMarkdown(u.email)} (${escaparMarkdown(u.role || 'sin rol')})\n` +
+          `   Chat: ${id} - Última actividad: ${actividad}`;
+      })
+      .join('\n\n');
+    
+    bot.sendMessage(chatId, 
+      `👥 *USUARIOS REGISTRADOS* (${usuariosAutorizados.size})\n\n` +
+      `${lista}\n\n` +
+      `⏰ ${fechas.fechaHoraArgentina()}`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+  
+  registrarComando('revocar', /\/revocar(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const email = (match[1] || '').toLowerCase().trim();
+    
+    if (!email) {
+      bot.sendMessage(chatId, '⚠️ Debés indicar el email. Ejemplo: /revocar usuario@grandestate.com');
+      return;
+    }
+    
+    const chats = [...usuariosAutorizados.entries()]
+      .filter(([, u]) => u.email.toLowerCase() === email)
+      .map(([id]) => id);
+    
+    if (chats.length === 0) {
+      bot.sendMessage(chatId, `⚠️ No hay chats registrados con el email ${email}.`);
+      return;
+    }
+    
+    await pedirConfirmacion(chatId, 'revocar',
+      `🚫 *REVOCAR ACCESO*\n\n` +
+      `Se desconectarán ${chats.length} chat(s) de *${escaparMarkdown(email)}*.\n\n` +
+      `¿Confirmás?`,
+      async () => {
+        for (const id of chats) {
+          await darDeBajaUsuario(id);
+          bot.sendMessage(id, '🚫 Tu acceso al Bot de Tesorería fue revocado por un administrador.')
+            .catch(error => console.error(`Error avisando revocación a ${id}:`, error.message));
+        }
+        
+        return `✅ Acceso revocado para *${escaparMarkdown(email)}* (${chats.length} chat(s)).\n\n` +
+          `Si no debe volver a registrarse, desactivalo en allowed\\_users.`;
+      }
+    );
+  });
+  
+  registrarComando('broadcast', /\/broadcast(?:\s+([\s\S]+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const texto = (match[1] || '').trim();
+    
+    if (!texto) {
+      bot.sendMessage(chatId, '⚠️ Debés indicar el mensaje. Ejemplo: /broadcast Mañana no hay sincronización.');
+      return;
+    }
+    
+    const mensaje = `📢 *ANUNCIO*\n\n${escaparMarkdown(texto)}`;
+    
+    await pedirConfirmacion(chatId, 'broadcast',
+      `📢 *BROADCAST*\n\n` +
+      `Se enviará a ${chatIdsParaNotificaciones.size} chat(s):\n\n` +
+      `${mensaje}\n\n` +
+      `¿Confirmás?`,
+      async () => {
+        const { enviados, fallidos } = await enviarNotificacionATodos(mensaje);
+        return `✅ Anuncio enviado a ${enviados} chat(s)` +
+          (fallidos > 0 ? ` (${fallidos} con error).` : '.');
+      }
+    );
+  });
+  
+  // ============================================================
+  // NOTIFICACIONES AUTOMÁTICAS (CRON JOBS)
+  // ============================================================
+  
+  // Registrar la última actividad de los usuarios registrados
+  bot.on('message', (msg) => {
+    const usuario = usuariosAutorizados.get(msg.chat.id);
+    if (!usuario) return;
+    
+    usuarios.registrarActividad(msg.chat.id)
+      .then(fecha => { usuario.ultimaActividad = fecha; })
+      .catch(error => console.error('Error registrando actividad:', error.message));
+  });
+  
+  /**
+   * Enviar notificación a todos los usuarios registrados
+   * Si se indica un tipo, solo a quienes lo reciben por rol y por preferencia.
+   * `mensaje` puede ser un texto, un objeto { texto, teclado, documento } o una función
+   * (empresa) => mensaje | null, para armar el mensaje según la empresa elegida
+   * por cada usuario (null = no enviar).
+   * Las notificaciones no críticas se retienen durante el horario de silencio
+   * (opciones.critica permite marcar como crítico un envío puntual).
+   * opciones.excluir es un chat que no la recibe (por ejemplo, quien la originó).
+   * Devuelve la cantidad de envíos exitosos, fallidos y retenidos
+   */
+  async function enviarNotificacionATodos(mensaje, tipo, opciones = {}) {
+    const resultado = { enviados: 0, fallidos: 0, retenidos: 0 };
+    const mensajesPorEmpresa = new Map();
+    const critica = !tipo || opciones.critica || permisos.NOTIFICACIONES[tipo]?.critica;
+    
+    for (const chatId of chatIdsParaNotificaciones) {
+      const usuario = usuariosAutorizados.get(chatId);
+      if (!usuario || chatId === opciones.excluir) continue;
+      
+      const prefs = preferenciasDe(chatId);
+      if (tipo && !permisos.recibeNotificacion(usuario.role, tipo)) continue;
+      if (tipo && !preferencias.quiereTipo(prefs, tipo)) continue;
+      
+      let contenido = mensaje;
+      if (typeof mensaje === 'function') {
+        if (!mensajesPorEmpresa.has(prefs.empresa)) {
+          mensajesPorEmpresa.set(prefs.empresa, mensaje(prefs.empresa));
+        }
+        contenido = mensajesPorEmpresa.get(prefs.empresa);
+      }
+      if (!contenido) continue;
+      
+      if (!critica && preferencias.estaEnSilencio(prefs)) {
+        if (!notificacionesRetenidas.has(chatId)) notificacionesRetenidas.set(chatId, []);
+        notificacionesRetenidas.get(chatId).push(contenido);
+        resultado.retenidos++;
+        metricas.contarNotificacion('retenida');
+        continue;
+      }
+      
+      if (await enviarNotificacion(chatId, contenido)) {
+        resultado.enviados++;
+      } else {
+        resultado.fallidos++;
+      }
+    }
+    
+    return resultado;
+  }
+  
+  /**
+   * Avisar a los administradores registrados (errores que hay que revisar)
+   * opciones.excluir es un chat que no lo recibe
+   */
+  async function avisarAdministradores(texto, opciones = {}) {
+    for (const [chatId, usuario] of usuariosAutorizados) {
+      if (chatId === opciones.excluir || permisos.normalizarRol(usuario.role) !== 'admin') continue;
+      await enviarNotificacion(chatId, texto);
+    }
+  }
+  
+  /**
+   * Enviar una notificación a un chat
+   * `contenido` es un texto o { texto, teclado, documento: { buffer, nombre, contentType } };
+   * con documento, el texto va como epígrafe del archivo
+   * Devuelve false si falló (y da de baja al usuario si bloqueó el bot)
+   */
+  async function enviarNotificacion(chatId, contenido) {
+    const { texto, teclado, documento } = typeof contenido === 'string' ? { texto: contenido } : contenido;
+    const opciones = { parse_mode: 'Markdown' };
+    if (teclado) opciones.reply_markup = { inline_keyboard: teclado };
+    
+    try {
+      if (documento) {
+        await bot.sendDocument(chatId, documento.buffer, { ...opciones, caption: texto }, {
+          filename: documento.nombre,
+          contentType: documento.contentType
+        });
+      } else {
+        await bot.sendMessage(chatId, texto, opciones);
+      }
+      metricas.contarNotificacion('enviada');
+      return true;
+    } catch (error) {
+      console.error(`Error enviando notificación a ${chatId}:`, error.message);
+      metricas.contarNotificacion('fallida');
+      // Si el usuario bloqueó el bot, removerlo
+      if (error.response?.statusCode === 403) {
+        await darDeBajaUsuario(chatId);
+      }
+      return false;
+    }
+  }
+  
+  // 🌙 ENTREGA DE NOTIFICACIONES RETENIDAS - Cada hora
+  cron.schedule('0 * * * *', metricas.tarea('notificaciones_retenidas', async () => {
+    for (const [chatId, mensajes] of notificacionesRetenidas) {
+      if (!usuariosAutorizados.has(chatId)) {
+        notificacionesRetenidas.delete(chatId);
+        continue;
+      }
+      if (preferencias.estaEnSilencio(preferenciasDe(chatId))) continue;
+      
+      notificacionesRetenidas.delete(chatId);
+      for (const contenido of mensajes) {
+        if (!await enviarNotificacion(chatId, contenido)) break;
+      }
+    }
+  }));
+  
+  // 🕗 RESUMEN DIARIO - 8:00 AM hora Argentina, solo días hábiles
+  cron.schedule('0 8 * * *', metricas.tarea('resumen_diario', async () => {
+    if (!fechas.esDiaHabil(fechas.hoy())) return;
+    console.log('📤 Enviando resumen diario...');
+    
+    try {
+      const todos = await consultas.chequesEnCartera();
+      const saldos = await consultas.saldosContables();
+      const hoy = fechas.hoy();
+      
+      // Fotos de los últimos días para comparar con el día anterior
+      let fotos = [];
+      try {
+        fotos = await historial.cargarFotos(fechas.sumarDias(hoy, -7), hoy);
+      } catch (error) {
+        console.error('Error cargando historial para el resumen diario:', error);
+      }
+      
+      await enviarNotificacionATodos((empresa) => {
+        const cheques = filtrarPorEmpresa(todos, empresa);
+        const saldosEmpresa = filtrarSaldosPorEmpresa(saldos, empresa);
+        const resumen = tesoreria.calcularResumen({
+          cheques,
+          saldos: saldosEmpresa,
+          hoy,
+          umbralValidez: reglas.umbralValidez()
+        });
+        
+        // Variación contra la foto del día anterior (vacía si no hay)
+        const variacionDia = (tipo, datos) => {
+          const { total } = historial.calcularEvolucion(
+            historial.valoresActuales(tipo, datos),
+            fotos.filter(f => f.tipo === tipo && (!empresa || f.empresa === empresa)),
+            hoy
+          );
+          return total.dia === null ? '' : `\n   ${historial.formatearVariacion(total.dia, total.actual)} vs ayer`;
+        };
+        
+        return `☀️ *RESUMEN DIARIO*\n` +
+          `${formatearFecha(hoy)}\n` +
+          lineaEmpresa(empresa) +
+          `━━━━━━━━━━━━━━━━━━\n\n` +
+          `💰 Cartera: ${formatearMoneda(resumen.cartera.total)}${variacionDia('cartera', { cheques })}\n` +
+          `📋 Cheques: ${resumen.cartera.cantidad}\n` +
+          `🏦 Tesorería: ${formatearMoneda(resumen.saldos)}${variacionDia('saldos', { saldos: saldosEmpresa })}\n\n` +
+          `📅 Se acreditan hoy: ${resumen.vencimientos.hoy.cantidad} cheques\n` +
+          `   ${formatearMoneda(resumen.vencimientos.hoy.monto)}\n\n` +
+          `Usá /resumen para más detalles.`;
+      }, 'resumen_diario');
+      
+    } catch (error) {
+      metricas.registrarError('Error en resumen diario:', error);
+    }
+  }), { timezone: fechas.ZONA_HORARIA });
+  
+  // 🕕 ALERTA VENCIMIENTOS DEL PRÓXIMO DÍA HÁBIL - 6:00 PM hora Argentina, solo días hábiles
+  cron.schedule('0 18 * * *', metricas.tarea('vencimientos_manana', async () => {
+    const hoy = fechas.hoy();
+    if (!fechas.esDiaHabil(hoy)) return;
+    console.log('📤 Enviando alerta de vencimientos mañana...');
+    
+    try {
+      const todos = await consultas.chequesEnCartera();
+      
+      await enviarNotificacionATodos((empresa) => {
+        // Viernes o víspera de feriado: lo que vence hasta el próximo día hábil
+        const { fecha, esManana, cantidad, monto } = tesoreria.vencimientosProximoHabil(filtrarPorEmpresa(todos, empresa), hoy);
+        
+        if (cantidad === 0) return null; // No enviar si no hay vencimientos
+        
+        const cuando = esManana ? 'mañana' : `el ${fechas.fechaConDia(fecha)}`;
+        
+        return `🔔 *ALERTA: VENCIMIENTOS ${esManana ? 'MAÑANA' : 'PRÓXIMO DÍA HÁBIL'}*\n` +
+          lineaEmpresa(empresa) +
+          `━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
+          `⚠️ ${cantidad} cheques se acreditan ${cuando}\n` +
+          `💰 Total: ${formatearMoneda(monto)}\n\n` +
+          `Usá /manana para ver el detalle.`;
+      }, 'vencimientos_manana');
+      
+    } catch (error) {
+      metricas.registrarError('Error en alerta vencimientos:', error);
+    }
+  }), { timezone: fechas.ZONA_HORARIA });
+  
+  // 🔄 DETECCIÓN DE MOVIMIENTOS DE CARTERA - Cada 30 minutos
+  cron.schedule('*/30 * * * *', metricas.tarea('deteccion_movimientos', async () => {
+    try {
+      const nuevos = await actualizarMovimientos();
+      if (nuevos.length > 0) console.log(`🔄 ${nuevos.length} movimientos de cartera detectados`);
+    } catch (error) {
+      metricas.registrarError('Error detectando movimientos de cartera:', error);
+    }
+  }));
+  
+  // 🌆 MOVIMIENTOS DEL DÍA - 7:00 PM hora Argentina (solo si hubo movimientos)
+  cron.schedule('0 19 * * *', metricas.tarea('movimientos_diarios', async () => {
+    console.log('📤 Enviando movimientos del día...');
+    
+    try {
+      await actualizarMovimientos();
+      const hoy = fechas.hoy();
+      const delDia = await movimientos.cargarMovimientos(hoy);
+      
+      await enviarNotificacionATodos((empresa) => {
+        if (!delDia.some(m => !empresa || m.empresa === empresa)) return null;
+        return armarMensajeMovimientos('MOVIMIENTOS DEL DÍA', hoy, empresa, delDia) + `\n\n` +
+          `Usá /movimientos [fecha] para consultar otros días.`;
+      }, 'movimientos_diarios');
+      
+    } catch (error) {
+      metricas.registrarError('Error en movimientos del día:', error);
+    }
+  }), { timezone: fechas.ZONA_HORARIA });
+  
+  // 📸 FOTO DIARIA DE CARTERA Y SALDOS - Para /evolucion y el resumen diario
+  cron.schedule(HISTORIAL_CRON, metricas.tarea('foto_diaria', async () => {
+    console.log('📸 Guardando foto diaria de cartera y saldos...');
+    
+    try {
+      const filas = await historial.guardarFoto({
+        cheques: await consultas.chequesEnCartera(),
+        saldos: await consultas.saldosContables()
+      }, fechas.hoy());
+      console.log(`📸 Foto diaria guardada (${filas} filas)`);
+    } catch (error) {
+      metricas.registrarError('Error guardando la foto diaria:', error);
+    }
+  }), { timezone: fechas.ZONA_HORARIA });
+  
+  // 📑 REPORTE SEMANAL EN PDF - Opcional (REPORTE_SEMANAL_CRON, hora Argentina)
+  if (process.env.REPORTE_SEMANAL_CRON) {
+    if (!cron.validate(process.env.REPORTE_SEMANAL_CRON)) {
+      console.error(`REPORTE_SEMANAL_CRON inválido: ${process.env.REPORTE_SEMANAL_CRON}`);
+    } else {
+      cron.schedule(process.env.REPORTE_SEMANAL_CRON, metricas.tarea('reporte_semanal', async () => {
+        console.log('📤 Enviando reporte semanal...');
+        
+        try {
+          // Un PDF por empresa (y uno con todas) para respetar la empresa de cada usuario
+          const reportes = new Map();
+          for (const empresa of [null, ...obtenerEmpresas().map(e => e.codigo)]) {
+            reportes.set(empresa, await generarReporte(empresa));
+          }
+          
+          await enviarNotificacionATodos((empresa) => {
+            const generado = reportes.get(empresa);
+            if (!generado) return null;
+            
+            return {
+              texto: `📑 *REPORTE SEMANAL DE TESORERÍA*\n` +
+                lineaEmpresa(empresa) +
+                formatearFecha(fechas.hoy()),
+              documento: { buffer: generado.buffer, nombre: generado.nombre, contentType: 'application/pdf' }
+            };
+          }, 'reporte_semanal');
+          
+        } catch (error) {
+          metricas.registrarError('Error en reporte semanal:', error);
+        }
+      }), { timezone: fechas.ZONA_HORARIA });
+    }
+  }
+  
+  // Cheques detallados (con botón "Me ocupo") por notificación de validez
+  const MAX_CHEQUES_ALERTA_VALIDEZ = 8;
+  
+  /**
+   * 🚨 Verificación de validez crítica (regla validez_critica)
+   * Solo notifica cheques que entran en la ventana crítica o suben de nivel
+   */
+  async function verificarValidezCritica(regla, todos) {
+    console.log('🔍 Verificando validez crítica...');
+    
+    try {
+      const diasVentana = alertasValidez.DIAS_VALIDEZ - regla.umbral;
+      const novedades = (await alertasValidez.detectarNovedades(todos, fechas.hoy(), diasVentana))
+        .filter(a => !regla.empresa || a.cheque.empresa === regla.empresa);
+      
+      if (novedades.length === 0) return; // No enviar si no hay novedades
+      
+      const resultado = await enviarNotificacionATodos((empresa) => {
+        const alertas = novedades
+          .filter(a => !empresa || a.cheque.empresa === empresa)
+          .sort((a, b) => a.restantes - b.restantes);
+        
+        if (alertas.length === 0) return null;
+        
+        const montoTotal = tesoreria.sumarImportes(alertas.map(a => a.cheque));
+        
+        // Agrupar por nivel (el más urgente primero)
+        const niveles = [...new Set(alertas.map(a => a.nivel))].sort((a, b) => b - a);
+        const detalle = niveles.map(nivel => {
+          const delNivel = alertas.filter(a => a.nivel === nivel);
+          const monto = tesoreria.sumarImportes(delNivel.map(a => a.cheque));
+          return `• ${alertasValidez.describirNivel(nivel)}: ${delNivel.length} (${formatearMoneda(monto)})`;
+        }).join('\n');
+        
+        const teclado = alertas.slice(0, MAX_CHEQUES_ALERTA_VALIDEZ).map(a => [{
+          text: `✋ Me ocupo: ${a.cheque.origen || 'S/N'} ${formatearMoneda(a.cheque.implocal)} (${a.restantes}d)`,
+          callback_data: `val:${a.cheque.id}`
+        }]);
+        
+        const texto = 
+          `🚨 *ALERTA CRÍTICA: VALIDEZ*\n` +
+          lineaEmpresa(empresa) +
+          `━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
+          `⚠️ ${alertas.length} cheques próximos a perder validez\n` +
+          `💰 Total: ${formatearMoneda(montoTotal)}\n\n` +
+          `${detalle}\n\n` +
+          (alertas.length > MAX_CHEQUES_ALERTA_VALIDEZ
+            ? `Se muestran los ${MAX_CHEQUES_ALERTA_VALIDEZ} más urgentes.\n`
+            : '') +
+          `Marcá "Me ocupo" para dejar de avisar al resto.\n` +
+          `Usá /alertas para más detalles.`;
+        
+        return { texto, teclado };
+      }, 'validez_critica');
+      
+      // Si nadie recibió el aviso, la próxima corrida lo reintenta
+      if (resultado.enviados > 0) await alertasValidez.registrarNotificadas(novedades);
+      
+    } catch (error) {
+      metricas.registrarError('Error en verificación validez:', error);
+    }
+  }
+  
+  /**
+   * Borrar el seguimiento de los cheques que no están en la ventana de
+   * ninguna regla validez_critica (todas, no solo las de este horario)
+   */
+  async function limpiarEstadoValidez(todos) {
+    const umbrales = reglas.obtenerReglas().filter(r => r.tipo === 'validez_critica').map(r => r.umbral);
+    const vigentes = alertasValidez.chequesEnValidezCritica(todos, fechas.hoy(), Math.min(...umbrales));
+    
+    try {
+      await alertasValidez.limpiarEstado(vigentes.map(c => String(c.id)), consultas.leerTodas);
+    } catch (error) {
+      metricas.registrarError('Error limpiando el estado de validez:', error);
+    }
+  }
+  
+  /**
+   * Evaluar y notificar las reglas programadas en un horario
+   */
+  async function ejecutarReglasProgramadas(horario) {
+    const programadas = reglas.obtenerReglas().filter(r => r.horario === horario);
+    if (programadas.length === 0) return;
+    
+    console.log(`📏 Evaluando ${programadas.length} reglas (${horario})...`);
+    
+    try {
+      const todos = await consultas.chequesEnCartera();
+      const saldos = await consultas.saldosContables();
+      
+      // La validez crítica tiene su propio seguimiento por cheque
+      const validez = programadas.filter(r => r.tipo === 'validez_critica');
+      for (const regla of validez) {
+        await verificarValidezCritica(regla, todos);
+      }
+      if (validez.length > 0) await limpiarEstadoValidez(todos);
+      
+      const generales = programadas.filter(r => r.tipo !== 'validez_critica');
+      if (generales.length === 0) return;
+      
+      const hoy = fechas.hoy();
+      const disparadasTotal = reglas.evaluarReglas(generales, { cheques: todos, saldos, hoy });
+      if (disparadasTotal.length === 0) return;
+      
+      await enviarNotificacionATodos((empresa) => {
+        const disparadas = empresa
+          ? reglas.evaluarReglas(generales, {
+            cheques: filtrarPorEmpresa(todos, empresa),
+            saldos: filtrarSaldosPorEmpresa(saldos, empresa),
+            hoy
+          })
+          : disparadasTotal;
+        
+        if (disparadas.length === 0) return null;
+        
+        return `🚨 *ALERTAS*\n` +
+          lineaEmpresa(empresa) +
+          `━━━━━━━━━━━━━━━━━━\n\n` +
+          `${disparadas.map(reglas.formatearResultado).join('\n\n')}\n\n` +
+          `Usá /alertas para ver todas las reglas.`;
+      }, 'alertas_reglas', { critica: disparadasTotal.some(d => d.regla.severidad === 'critica') });
+      
+    } catch (error) {
+      metricas.registrarError(`Error evaluando reglas (${horario}):`, error);
+    }
+  }
+  
+  // Tareas de node-cron de las reglas programadas (horario -> tarea)
+  const tareasReglas = new Map();
+  
+  /**
+   * Programar una tarea por cada horario distinto de las reglas cargadas
+   * (y detener las de horarios que ya no se usan)
+   */
+  function programarReglas() {
+    const horarios = new Set(reglas.obtenerReglas().filter(r => r.horario).map(r => r.horario));
+    
+    for (const [horario, tarea] of tareasReglas) {
+      if (!horarios.has(horario)) {
+        tarea.stop();
+        tareasReglas.delete(horario);
+      }
+    }
+    
+    for (const horario of horarios) {
+      if (tareasReglas.has(horario)) continue;
+      if (!cron.validate(horario)) {
+        console.error(`Horario de regla inválido: ${horario}`);
+        continue;
+      }
+      tareasReglas.set(horario, cron.schedule(horario, metricas.tarea(`reglas ${horario}`, () => ejecutarReglasProgramadas(horario)), {
+        timezone: fechas.ZONA_HORARIA
+      }));
+    }
+  }
+  
+  // 📏 RECARGA DE REGLAS Y EMPRESAS - Cada 15 minutos (toma cambios de bot_reglas_alerta y bot_empresas)
+  cron.schedule('*/15 * * * *', metricas.tarea('recarga_reglas', async () => {
+    try {
+      await reglas.cargarReglas();
+      programarReglas();
+    } catch (error) {
+      metricas.registrarError('Error recargando reglas:', error);
+    }
+    
+    try {
+      await empresas.cargarEmpresas();
+    } catch (error) {
+      metricas.registrarError('Error recargando empresas:', error);
+    }
+  }));
+  
+  // ✋ Reconocer un cheque en validez crítica ("Me ocupo")
+  registrarAccion('val', 'reconocer_alertas', async (query, [chequeId], usuario) => {
+    const previo = await alertasValidez.reconocer(chequeId, usuario.email);
+    
+    if (previo && previo !== usuario.email) {
+      return `Ya lo está gestionando ${previo}`;
+    }
+    
+    // Reemplazar el botón por la marca de "en gestión"
+    const teclado = (query.message.reply_markup?.inline_keyboard || []).map(fila =>
+      fila.map(boton => boton.callback_data === `val:${chequeId}`
+        ? { ...boton, text: boton.text.replace('✋ Me ocupo', '✅ En gestión') }
+        : boton)
+    );
+    
+    await bot.editMessageReplyMarkup({ inline_keyboard: teclado }, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id
+    });
+    
+    return '✅ Marcado como en gestión. No se volverá a notificar.';
+  });
+  
+  // ============================================================
+  // MANEJO DE ERRORES GLOBAL
+  // ============================================================
+  
+  bot.on('polling_error', (error) => {
+    console.error('Error de polling:', error.message);
+    salud.registrarErrorPolling(error);
+    metricas.contarErrorPolling();
+  });
+  
+  bot.on('error', (error) => {
+    console.error('Error del bot:', error.message);
+  });
+  
+  // ============================================================
+  // SERVIDOR HTTP: WEBHOOK DE TELEGRAM, API JSON, SALUD Y MÉTRICAS
+  // ============================================================
+  
+  // Claves de la API JSON (API_KEYS) y de /metrics (METRICAS_TOKEN)
+  const configuracionApi = api.configurarApi();
+  
+  const server = http.createServer(async (req, res) => {
+    try {
+      // Hasta cargar los usuarios se responde 503 y Telegram reintenta el update
+      const procesar = recibiendo
+        ? update => {
+          metricas.contarUpdateWebhook();
+          bot.processUpdate(update);
+        }
+        : null;
+      if (await webhook.atenderPedido(req, res, recepcion, procesar)) return;
+      if (await api.atenderPedido(req, res, configuracionApi)) return;
+      
+      const ruta = (req.url || '').split('?')[0];
+      
+      // Proceso vivo (no consulta servicios externos)
+      if (ruta === '/healthz') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+        return;
+      }
+      
+      // Listo para atender: Supabase y Telegram responden
+      if (ruta === '/readyz') {
+        const estado = await salud.verificarDisponibilidad(bot, { modo: recepcion.modo, url: recepcion.url, recibiendo });
+        res.writeHead(estado.ok ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(estado));
+        return;
+      }
+      
+      // Métricas solo con METRICAS_TOKEN: el puerto es público
+      if (ruta === '/metrics') {
+        if (configuracionApi.clavesMetricas.size === 0) {
+          res.writeHead(503, { 'Content-Type': 'text/plain' });
+          res.end('Métricas no configuradas (definí METRICAS_TOKEN)');
+          return;
+        }
+        if (!api.autenticar(req, configuracionApi.clavesMetricas)) {
+          res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+          res.end('Token de métricas inválido o faltante');
+          return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metricas.exportarMetricas([
+          { nombre: 'bot_usuarios_registrados', ayuda: 'Chats registrados', valor: usuariosAutorizados.size },
+          {
+            nombre: 'bot_notificaciones_retenidas_pendientes',
+            ayuda: 'Notificaciones retenidas por horario de silencio sin entregar',
+            valor: [...notificacionesRetenidas.values()].reduce((sum, m) => sum + m.length, 0)
+          },
+          { nombre: 'bot_recibiendo', ayuda: '1 si ya se arrancó el polling o el webhook', valor: recibiendo ? 1 : 0 }
+        ]));
+        return;
+      }
+    } catch (error) {
+      console.error('Error atendiendo pedido HTTP:', error);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end();
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Bot de Tesorería Grande State - Activo');
+  });
+  
+  // ============================================================
+  // INICIO: CARGAR USUARIOS REGISTRADOS Y EMPEZAR A RECIBIR MENSAJES
+  // ============================================================
+  
+  async function cargarUsuariosRegistrados() {
+    try {
+      const registrados = await usuarios.cargarUsuarios();
+      registrados.forEach((usuario, chatId) => {
+        usuariosAutorizados.set(chatId, usuario);
+        chatIdsParaNotificaciones.add(chatId);
+      });
+      console.log(`👥 ${registrados.size} usuarios registrados cargados`);
+    } catch (error) {
+      console.error('Error cargando usuarios registrados:', error);
+    }
+    
+    try {
+      await empresas.cargarEmpresas();
+    } catch (error) {
+      console.error('Error cargando empresas:', error);
+    }
+    
+    try {
+      const prefs = await preferencias.cargarPreferencias();
+      prefs.forEach((p, chatId) => preferenciasUsuarios.set(chatId, p));
+    } catch (error) {
+      console.error('Error cargando preferencias de notificación:', error);
+    }
+    
+    try {
+      await reglas.cargarReglas();
+      programarReglas();
+    } catch (error) {
+      console.error('Error cargando reglas de alerta:', error);
+    }
+  }
+  
+  /**
+   * Empezar a recibir updates: registrar el webhook o arrancar el polling
+   * (un error al registrar el webhook se lanza)
+   */
+  async function iniciarRecepcion() {
+    recibiendo = true;
+    
+    if (recepcion.modo !== 'webhook') {
+      await bot.startPolling();
+      console.log('📡 Recibiendo mensajes por polling');
+      return;
+    }
+    
+    try {
+      await webhook.activarWebhook(bot, recepcion);
+      console.log(`📡 Webhook registrado en ${recepcion.url.split('/telegram/')[0]}`);
+    } catch (error) {
+      throw new Error(`error registrando el webhook: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Abrir el puerto HTTP, cargar los usuarios y empezar a recibir mensajes
+   */
+  async function iniciar() {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(puerto, resolve);
+    });
+    console.log(`🌐 Servidor HTTP escuchando en puerto ${server.address().port}`);
+    
+    await cargarUsuariosRegistrados();
+    await iniciarRecepcion();
+  }
+  
+  /**
+   * Dejar de recibir mensajes y cerrar el servidor HTTP
+   * (en modo webhook se borra el webhook, salvo que sea el de otra instancia)
+   */
+  async function detener() {
+    try {
+      if (recepcion.modo === 'webhook') {
+        const borrado = await webhook.desactivarWebhook(bot, recepcion);
+        console.log(borrado ? '📡 Webhook borrado' : '📡 Webhook de otra instancia activo, no se borra');
+      } else {
+        await bot.stopPolling();
+      }
+    } catch (error) {
+      console.error('Error deteniendo la recepción de mensajes:', error.message);
+    }
+    
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+  
+  return { bot, server, iniciar, detener };
+}
+
+module.exports = { crearAplicacion };
@@ -0,0 +1,256 @@
+/**
+ * Clientes (firmantes de cheques)
+ *
+ * Búsqueda aproximada por nombre (`origen`), sin distinguir acentos ni
+ * mayúsculas y tolerando errores de tipeo, y ficha de un CUIT con su
+ * cronograma de vencimientos (por día de acreditación), historial y plazo
+ * promedio.
+ * Las consultas a Supabase quedan en consultas.js.
+ */
+
+const { formatearMoneda, formatearFecha, escaparMarkdown } = require('./formato');
+const { formatearCuit } = require('./cuit');
+const { importe, sumarImportes } = require('./tesoreria');
+const { diaDeAcreditacion, aISO } = require('./fechas');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Resultados máximos de una búsqueda
+const MAX_RESULTADOS = 10;
+
+// Meses del cronograma que se muestran por separado (el resto va junto)
+const MESES_CRONOGRAMA = 6;
+
+/**
+ * Llevar un texto a minúsculas, sin acentos ni signos ("Peña S.A." -> "pena s a")
+ */
+function normalizar(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distancia de edición entre dos palabras (Levenshtein)
+ */
+function distancia(a, b) {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      actual[j] = Math.min(
+        anterior[j] + 1,
+        actual[j - 1] + 1,
+        anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    anterior = actual;
+  }
+
+  return anterior[b.length];
+}
+
+/**
+ * Errores de tipeo tolerados según el largo de la palabra buscada
+ */
+function toleranciaDe(palabra) {
+  if (palabra.length >= 7) return 2;
+  if (palabra.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Puntaje de un nombre para lo buscado (0 = no coincide)
+ * Coincidencia literal > todas las palabras por prefijo > con errores de tipeo
+ */
+function puntaje(nombre, buscado) {
+  if (!nombre) return 0;
+  if (nombre.startsWith(buscado)) return 4;
+  if (nombre.includes(buscado)) return 3;
+
+  const palabras = nombre.split(' ');
+  let aproximadas = 0;
+
+  for (const palabra of buscado.split(' ')) {
+    if (palabras.some(p => p.startsWith(palabra))) continue;
+    if (palabras.some(p => distancia(p.slice(0, palabra.length + 1), palabra) <= toleranciaDe(palabra))) {
+      aproximadas++;
+      continue;
+    }
+    return 0;
+  }
+
+  return aproximadas === 0 ? 2 : 1;
+}
+
+/**
+ * Buscar clientes por nombre
+ * `cheques` necesita cuitfirm, origen, implocal y fecden
+ * Devuelve [{ cuit, nombre, cantidad, enCartera, monto }] agrupado por CUIT
+ * (monto = importe en cartera), de mejor a peor coincidencia
+ */
+function buscarClientes(cheques, texto) {
+  const buscado = normalizar(texto);
+  if (!buscado) return [];
+
+  const porCuit = new Map();
+  cheques.forEach(c => {
+    const valor = puntaje(normalizar(c.origen), buscado);
+    if (valor === 0) return;
+
+    const clave = c.cuitfirm || `SIN_CUIT:${normalizar(c.origen)}`;
+    if (!porCuit.has(clave)) {
+      porCuit.set(clave, { cuit: c.cuitfirm || null, nombre: c.origen, puntaje: 0, cantidad: 0, enCartera: 0, monto: 0 });
+    }
+    const cliente = porCuit.get(clave);
+    cliente.puntaje = Math.max(cliente.puntaje, valor);
+    cliente.cantidad++;
+    if (!c.fecden) {
+      cliente.enCartera++;
+      cliente.monto += importe(c);
+    }
+  });
+
+  return [...porCuit.values()]
+    .sort((a, b) => b.puntaje - a.puntaje || b.monto - a.monto || b.cantidad - a.cantidad)
+    .slice(0, MAX_RESULTADOS)
+    .map(({ puntaje: _, ...cliente }) => cliente);
+}
+
+/**
+ * Nombres con que figura un firmante, del más usado al menos usado
+ */
+function nombresDe(cheques) {
+  const conteo = {};
+  cheques.forEach(c => {
+    const nombre = (c.origen || '').trim();
+    if (nombre) conteo[nombre] = (conteo[nombre] || 0) + 1;
+  });
+  return Object.entries(conteo)
+    .sort(([, a], [, b]) => b - a)
+    .map(([nombre]) => nombre);
+}
+
+/**
+ * Cronograma de vencimientos de los cheques en cartera por mes de acreditación
+ * Devuelve { vencidos, meses: [{ mes: 'AAAA-MM', cantidad, monto }], despues }
+ * (vencidos y despues son { cantidad, monto }; despues junta los meses que
+ * exceden MESES_CRONOGRAMA)
+ */
+function cronograma(enCartera, hoy) {
+  const totales = lista => ({ cantidad: lista.length, monto: sumarImportes(lista) });
+
+  const porMes = {};
+  enCartera.filter(c => diaDeAcreditacion(c.fvto) >= hoy).forEach(c => {
+    const mes = aISO(diaDeAcreditacion(c.fvto)).slice(0, 7);
+    if (!porMes[mes]) porMes[mes] = [];
+    porMes[mes].push(c);
+  });
+
+  const meses = Object.keys(porMes).sort();
+  return {
+    vencidos: totales(enCartera.filter(c => diaDeAcreditacion(c.fvto) < hoy)),
+    meses: meses.slice(0, MESES_CRONOGRAMA).map(mes => ({ mes, ...totales(porMes[mes]) })),
+    despues: totales(meses.slice(MESES_CRONOGRAMA).flatMap(mes => porMes[mes]))
+  };
+}
+
+/**
+ * Cronograma para mostrar (una línea por grupo)
+ */
+function lineasCronograma({ vencidos, meses, despues }) {
+  const lineas = [];
+  if (vencidos.cantidad > 0) {
+    lineas.push(`• Vencidos: ${vencidos.cantidad} - ${formatearMoneda(vencidos.monto)}`);
+  }
+  meses.forEach(({ mes, cantidad, monto }) => {
+    const nombre = new Date(`${mes}-01T00:00:00Z`)
+      .toLocaleDateString('es-AR', { timeZone: 'UTC', month: 'short', year: 'numeric' });
+    lineas.push(`• ${nombre}: ${cantidad} - ${formatearMoneda(monto)}`);
+  });
+  if (despues.cantidad > 0) {
+    lineas.push(`• Después: ${despues.cantidad} - ${formatearMoneda(despues.monto)}`);
+  }
+
+  return lineas.length > 0 ? lineas.join('\n') : 'Sin cheques en cartera';
+}
+
+/**
+ * Plazo promedio (días hasta la acreditación, ponderado por monto)
+ * de los cheques en cartera que todavía no vencieron; null si no hay
+ */
+function plazoPromedio(enCartera, hoy) {
+  const vigentes = enCartera.filter(c => diaDeAcreditacion(c.fvto) >= hoy && importe(c) > 0);
+  const total = sumarImportes(vigentes);
+  if (total <= 0) return null;
+
+  const ponderado = vigentes.reduce((sum, c) =>
+    sum + importe(c) * (diaDeAcreditacion(c.fvto).getTime() - hoy.getTime()) / DIA_MS, 0);
+  return Math.round(ponderado / total);
+}
+
+/**
+ * Datos de la ficha de un CUIT
+ * `cheques` son todos los del firmante (en cartera y entregados)
+ * Devuelve { nombre, otrosNombres, enCartera, entregados, recibidos (cada uno
+ * { cantidad, monto }), plazoPromedio, cronograma, primerVencimiento,
+ * ultimoVencimiento, mayor }
+ */
+function calcularFichaCuit(cheques, hoy) {
+  const enCartera = cheques.filter(c => !c.fecden);
+  const entregados = cheques.filter(c => c.fecden);
+  const totales = lista => ({ cantidad: lista.length, monto: sumarImportes(lista) });
+
+  const [nombre, ...otrosNombres] = nombresDe(cheques);
+  const vencimientos = cheques.map(c => c.fvto).filter(Boolean).sort();
+
+  return {
+    nombre: nombre || null,
+    otrosNombres,
+    enCartera: totales(enCartera),
+    entregados: totales(entregados),
+    recibidos: totales(cheques),
+    plazoPromedio: plazoPromedio(enCartera, hoy),
+    cronograma: cronograma(enCartera, hoy),
+    primerVencimiento: vencimientos[0] || null,
+    ultimoVencimiento: vencimientos[vencimientos.length - 1] || null,
+    mayor: cheques.reduce((max, c) => Math.max(max, importe(c)), 0)
+  };
+}
+
+/**
+ * Ficha de un CUIT (Markdown)
+ * `cheques` son todos los del firmante (en cartera y entregados)
+ */
+function armarFichaCuit(cuit, cheques, hoy) {
+  const ficha = calcularFichaCuit(cheques, hoy);
+  const plazo = ficha.plazoPromedio;
+
+  return (
+    `👤 *Cliente:* ${escaparMarkdown(ficha.nombre || 'Sin nombre')}\n` +
+    (ficha.otrosNombres.length > 0
+      ? `   También figura como: ${ficha.otrosNombres.slice(0, 3).map(escaparMarkdown).join(', ')}\n`
+      : '') +
+    `🆔 *CUIT:* ${formatearCuit(cuit)}\n\n` +
+    `📋 *En Cartera:* ${ficha.enCartera.cantidad} cheques - ${formatearMoneda(ficha.enCartera.monto)}\n` +
+    `⏳ *Plazo promedio:* ${plazo === null ? 'sin cheques a vencer' : `${plazo} días (ponderado por monto)`}\n\n` +
+    `📆 *Vencimientos en cartera:*\n${lineasCronograma(ficha.cronograma)}\n\n` +
+    `📜 *Historial:*\n` +
+    `   • Recibidos: ${ficha.recibidos.cantidad} cheques - ${formatearMoneda(ficha.recibidos.monto)}\n` +
+    `   • Entregados: ${ficha.entregados.cantidad} cheques - ${formatearMoneda(ficha.entregados.monto)}\n` +
+    `   • Vencimientos: del ${formatearFecha(ficha.primerVencimiento)} al ${formatearFecha(ficha.ultimoVencimiento)}\n` +
+    `   • Cheque más alto: ${formatearMoneda(ficha.mayor)}`
+  );
+}
+
+module.exports = {
+  MAX_RESULTADOS,
+  normalizar,
+  buscarClientes,
+  calcularFichaCuit,
+  armarFichaCuit
+};
@@ -0,0 +1,66 @@
+/**
+ * Concentración de la cartera por CUIT firmante
+ *
+ * Ranking de emisores por exposición (monto en cartera) e índice de
+ * Herfindahl-Hirschman (HHI): suma de los cuadrados de las participaciones
+ * en puntos porcentuales, de 0 (muy diversificada) a 10.000 (un solo emisor).
+ * Los cheques sin CUIT firmante no son un emisor: quedan fuera del ranking y
+ * del HHI y se informan aparte (sinCuit). Lo usan /concentracion, la regla concentracion_cuit y el reporte en PDF.
+ */
+
+const { importe } = require('./tesoreria');
+
+// Cortes habituales del HHI: menos de 1.500 baja, hasta 2.500 moderada
+const NIVELES_HHI = [
+  { hasta: 1500, nombre: 'baja', emoji: '🟢' },
+  { hasta: 2500, nombre: 'moderada', emoji: '🟡' },
+  { hasta: Infinity, nombre: 'alta', emoji: '🔴' }
+];
+
+/**
+ * Calcular la concentración de una lista de cheques
+ * Devuelve { total, emisores, hhi, ranking: [{ cuit, origen, cantidad, monto,
+ *            participacion, proximo }], sinCuit: { cantidad, monto } } con el
+ * ranking ordenado por monto. `total` es el monto de los cheques con CUIT (la
+ * base de las participaciones). Con total 0 (o negativo) las participaciones
+ * y el HHI quedan en 0.
+ */
+function calcularConcentracion(cheques) {
+  const porCuit = {};
+  const sinCuit = { cantidad: 0, monto: 0 };
+  let total = 0;
+
+  cheques.forEach(c => {
+    const cuit = String(c.cuitfirm || '').trim();
+    if (!cuit) {
+      sinCuit.cantidad++;
+      sinCuit.monto += importe(c);
+      return;
+    }
+
+    total += importe(c);
+    if (!porCuit[cuit]) porCuit[cuit] = { cuit, origen: c.origen || 'S/N', cantidad: 0, monto: 0, proximo: null };
+    const emisor = porCuit[cuit];
+    emisor.cantidad++;
+    emisor.monto += importe(c);
+    if (c.fvto && (!emisor.proximo || c.fvto < emisor.proximo)) emisor.proximo = c.fvto;
+  });
+
+  const ranking = Object.values(porCuit)
+    .map(e => ({ ...e, participacion: total > 0 ? e.monto / total * 100 : 0 }))
+    .sort((a, b) => b.monto - a.monto);
+
+  const hhi = ranking.reduce((sum, e) => sum + e.participacion * e.participacion, 0);
+
+  return { total, emisores: ranking.length, hhi, ranking, sinCuit };
+}
+
+/**
+ * Nivel de concentración según el HHI
+ * Devuelve { nombre, emoji }
+ */
+function nivelHhi(hhi) {
+  return NIVELES_HHI.find(n => hhi < n.hasta);
+}
+
+module.exports = { calcularConcentracion, nivelHhi };
@@ -0,0 +1,237 @@
+/**
+ * Lecturas de cheques y saldos compartidas por los comandos del bot, las
+ * notificaciones y la API JSON
+ *
+ * Devuelven las filas de cheques_valores y saldos_contables_sync sin procesar;
+ * los cálculos quedan en tesoreria.js, así el bot y el tablero muestran
+ * siempre las mismas cifras. Un error de Supabase se lanza.
+ *
+ * PostgREST corta cada respuesta en 1000 filas: las lecturas se piden por
+ * páginas (leerTodas) hasta completar el total que informa la base. Se traen
+ * solo las columnas que se usan y los filtros de empresa y fecha van en la
+ * consulta; los totales se calculan en tesoreria.js porque Supabase no
+ * habilita las funciones de agregación de PostgREST por defecto.
+ *
+ * La cartera, los vencimientos y los saldos se reutilizan durante
+ * CACHE_SEGUNDOS (60 por defecto, 0 = sin caché) para que /resumen y las
+ * tareas programadas no descarguen todo en cada llamada. invalidarCache()
+ * los descarta cuando cambian: al registrar una salida, al detectar
+ * movimientos de cartera o cuando la sincronización avisa por
+ * POST /api/sincronizacion.
+ */
+
+const supabase = require('./supabaseClient');
+const cuitUtil = require('./cuit');
+const { filtrarSaldosPorEmpresa } = require('./tesoreria');
+const { aISO, rangoDeVencimientos } = require('./fechas');
+
+// Filas por página (el máximo que devuelve PostgREST por defecto)
+const TAMANIO_PAGINA = 1000;
+
+// Columnas que usan el bot y la API
+const COLUMNAS_CHEQUE = 'id, empresa, cuitfirm, origen, implocal, fvto, fecden, destino';
+const COLUMNAS_SALDO = 'codigo_cuenta, nombre_cuenta, saldo_total';
+
+// Letras que en los nombres pueden venir acentuadas (búsqueda por nombre)
+const VARIANTES_LETRA = {
+  a: '[aáàâä]',
+  e: '[eéèêë]',
+  i: '[iíìîï]',
+  o: '[oóòôö]',
+  u: '[uúùûü]',
+  n: '[nñ]'
+};
+
+const segundosCache = parseInt(process.env.CACHE_SEGUNDOS, 10);
+const CACHE_MS = (Number.isInteger(segundosCache) && segundosCache >= 0 ? segundosCache : 60) * 1000;
+
+// Lecturas en caché (clave -> { expira, promesa })
+const cache = new Map();
+
+/**
+ * Leer todas las filas de una consulta, página por página
+ * `armar(opciones)` devuelve la consulta con select(columnas, opciones), los
+ * filtros y un orden estable. La primera página pide el total (count) y se
+ * sigue hasta completarlo, aunque el servidor devuelva menos filas por página.
+ */
+async function leerTodas(armar) {
+  const filas = [];
+  let total = Infinity;
+
+  while (filas.length < total) {
+    const { data, error, count } = await armar(filas.length === 0 ? { count: 'exact' } : {})
+      .range(filas.length, filas.length + TAMANIO_PAGINA - 1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) break;
+
+    filas.push(...data);
+    if (typeof count === 'number') total = count;
+  }
+
+  return filas;
+}
+
+/**
+ * Reutilizar la lectura `clave` mientras no venza; las lecturas simultáneas
+ * comparten la misma consulta y un error no queda guardado
+ * Devuelve una copia de la lista para que quien llama pueda ordenarla
+ */
+function conCache(clave, leer) {
+  const guardada = cache.get(clave);
+  if (guardada && guardada.expira > Date.now()) return guardada.promesa.then(filas => [...filas]);
+
+  const promesa = leer();
+  if (CACHE_MS > 0) {
+    const entrada = { expira: Date.now() + CACHE_MS, promesa };
+    cache.set(clave, entrada);
+    promesa.catch(() => {
+      if (cache.get(clave) === entrada) cache.delete(clave);
+    });
+  }
+  return promesa.then(filas => [...filas]);
+}
+
+/**
+ * Descartar las lecturas en caché (los datos cambiaron)
+ */
+function invalidarCache() {
+  cache.clear();
+}
+
+/**
+ * Consulta de cheques_valores con las columnas indicadas, de una empresa o de todas
+ */
+function consultaCheques(columnas, opciones, empresa) {
+  const consulta = supabase
+    .from('cheques_valores')
+    .select(columnas, opciones);
+
+  return empresa ? consulta.eq('empresa', empresa) : consulta;
+}
+
+/**
+ * Cheques en cartera (sin fecha de salida/entrega), de una empresa o de todas
+ */
+async function chequesEnCartera(empresa = null) {
+  return conCache(`cartera:${empresa || ''}`, () => leerTodas(opciones =>
+    consultaCheques(COLUMNAS_CHEQUE, opciones, empresa)
+      .is('fecden', null)
+      .order('fvto', { ascending: true })
+      .order('id', { ascending: true })
+  ));
+}
+
+/**
+ * Cheques en cartera que se acreditan dentro de un rango [desde, hasta)
+ * (de una empresa, o de todas si no se indica)
+ */
+async function consultarVencimientos(rango, empresa = null) {
+  const { desde, hasta } = rangoDeVencimientos(rango);
+
+  return conCache(`vencimientos:${aISO(desde)}:${aISO(hasta)}:${empresa || ''}`, () => leerTodas(opciones =>
+    consultaCheques(COLUMNAS_CHEQUE, opciones, empresa)
+      .is('fecden', null)
+      .gte('fvto', aISO(desde))
+      .lt('fvto', aISO(hasta))
+      .order('fvto', { ascending: true })
+      .order('id', { ascending: true })
+  ));
+}
+
+/**
+ * Todos los cheques (en cartera y entregados) con las columnas indicadas
+ * Sin caché: la detección de movimientos necesita el estado actual
+ */
+async function todosLosCheques(columnas = COLUMNAS_CHEQUE, empresa = null) {
+  return leerTodas(opciones =>
+    consultaCheques(columnas, opciones, empresa)
+      .order('id', { ascending: true })
+  );
+}
+
+/**
+ * Cheques cuyo cuitfirm contiene los dígitos indicados (búsqueda parcial)
+ */
+async function buscarCuitParcial(digitos, empresa = null) {
+  return leerTodas(opciones =>
+    consultaCheques('cuitfirm, origen, implocal, fecden', opciones, empresa)
+      .like('cuitfirm', `%${digitos}%`)
+      .order('id', { ascending: true })
+  );
+}
+
+/**
+ * Cheques cuyo origen contiene las palabras de `texto` en ese orden, sin
+ * distinguir mayúsculas ni acentos (`texto` ya normalizado: minúsculas, sin
+ * acentos ni signos). Se filtra con una expresión regular (imatch) en la que
+ * cada vocal y la n aceptan solo sus variantes acentuadas, para que "pena"
+ * encuentre "Peña" y no "Pino"; la coincidencia exacta la decide
+ * clientes.buscarClientes.
+ */
+async function buscarChequesPorNombre(texto, empresa = null) {
+  const patron = texto.split(' ').map(palabra => palabra.replace(/[aeioun]/g, letra => VARIANTES_LETRA[letra])).join('.*');
+
+  return leerTodas(opciones =>
+    consultaCheques('cuitfirm, origen, implocal, fecden', opciones, empresa)
+      .filter('origen', 'imatch', patron)
+      .order('id', { ascending: true })
+  );
+}
+
+/**
+ * Cheques de un CUIT por igualdad (con o sin guiones en cuitfirm),
+ * en cartera y entregados
+ */
+async function consultarChequesCuit(cuit, empresa = null) {
+  return leerTodas(opciones =>
+    consultaCheques(COLUMNAS_CHEQUE, opciones, empresa)
+      .in('cuitfirm', cuitUtil.variantesCuit(cuit))
+      .order('fvto', { ascending: true })
+      .order('id', { ascending: true })
+  );
+}
+
+/**
+ * Un cheque por id (null si no existe)
+ */
+async function consultarCheque(id) {
+  const { data, error } = await supabase
+    .from('cheques_valores')
+    .select(COLUMNAS_CHEQUE)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Saldos de saldos_contables_sync ordenados por código de cuenta
+ * (la empresa de una cuenta sale de las cuentas del registro de empresas,
+ * por eso se filtra después de leer)
+ */
+async function saldosContables(empresa = null) {
+  const saldos = await conCache('saldos', () => leerTodas(opciones =>
+    supabase
+      .from('saldos_contables_sync')
+      .select(COLUMNAS_SALDO, opciones)
+      .order('codigo_cuenta', { ascending: true })
+  ));
+
+  return filtrarSaldosPorEmpresa(saldos, empresa);
+}
+
+module.exports = {
+  TAMANIO_PAGINA,
+  leerTodas,
+  invalidarCache,
+  chequesEnCartera,
+  todosLosCheques,
+  buscarCuitParcial,
+  buscarChequesPorNombre,
+  consultarVencimientos,
+  consultarChequesCuit,
+  consultarCheque,
+  saldosContables
+};
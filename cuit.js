@@ -0,0 +1,78 @@
+/**
+ * Validación y formato de CUIT
+ *
+ * El CUIT tiene 11 dígitos: tipo (2), número (8) y dígito verificador,
+ * que se calcula con módulo 11 sobre los 10 primeros dígitos.
+ */
+
+// Pesos del dígito verificador (de izquierda a derecha)
+const PESOS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Prefijos de tipo válidos (personas humanas y jurídicas)
+const PREFIJOS = ['20', '23', '24', '25', '26', '27', '30', '33', '34'];
+
+/**
+ * Dejar solo los dígitos ("20-12345678-9" -> "20123456789")
+ */
+function soloDigitos(texto) {
+  return String(texto || '').replace(/[^0-9]/g, '');
+}
+
+/**
+ * Dígito verificador que corresponde a los 10 primeros dígitos
+ * Devuelve null si no existe (resto 1: AFIP asigna otro prefijo)
+ */
+function digitoVerificador(diez) {
+  const suma = PESOS.reduce((total, peso, i) => total + peso * Number(diez[i]), 0);
+  const digito = 11 - (suma % 11);
+  if (digito === 11) return 0;
+  if (digito === 10) return null;
+  return digito;
+}
+
+/**
+ * Validar un CUIT escrito por el usuario
+ * Devuelve { valido: true, cuit } (solo dígitos) o { valido: false, motivo }
+ */
+function validarCuit(texto) {
+  const cuit = soloDigitos(texto);
+
+  if (cuit.length !== 11) {
+    return { valido: false, motivo: `El CUIT debe tener 11 dígitos (ingresaste ${cuit.length}).` };
+  }
+  if (!PREFIJOS.includes(cuit.slice(0, 2))) {
+    return { valido: false, motivo: `El prefijo ${cuit.slice(0, 2)} no corresponde a un CUIT.` };
+  }
+
+  const esperado = digitoVerificador(cuit.slice(0, 10));
+  if (esperado === null || esperado !== Number(cuit[10])) {
+    return {
+      valido: false,
+      motivo: esperado === null
+        ? 'El dígito verificador no es válido para ese número.'
+        : `El dígito verificador no coincide (debería ser ${esperado}). Revisá que no falte o sobre un número.`
+    };
+  }
+
+  return { valido: true, cuit };
+}
+
+/**
+ * Formatear un CUIT como XX-XXXXXXXX-X (si no tiene 11 dígitos, se devuelve tal cual)
+ */
+function formatearCuit(texto) {
+  const cuit = soloDigitos(texto);
+  if (cuit.length !== 11) return String(texto || '');
+  return `${cuit.slice(0, 2)}-${cuit.slice(2, 10)}-${cuit.slice(10)}`;
+}
+
+/**
+ * Formas en que un CUIT puede estar guardado en cheques_valores.cuitfirm
+ * (con o sin guiones), para buscarlo por igualdad
+ */
+function variantesCuit(texto) {
+  const cuit = soloDigitos(texto);
+  return [...new Set([cuit, formatearCuit(cuit)])];
+}
+
+module.exports = { soloDigitos, validarCuit, formatearCuit, variantesCuit };
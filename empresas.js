@@ -0,0 +1,129 @@
+/**
+ * Registro de empresas del grupo
+ *
+ * Las empresas se leen de la tabla `bot_empresas` y, si está vacía o no
+ * existe, de `empresas.json`. Cada empresa tiene:
+ *   codigo  - código usado en cheques_valores.empresa
+ *   nombre  - nombre para mostrar
+ *   alias   - abreviaturas aceptadas en los comandos (ej. "po")
+ *   cuentas - códigos de cuenta (saldos_contables_sync.codigo_cuenta) de la empresa
+ *   flujoMinimo - saldo mínimo deseado en /flujo (columna flujo_minimo, 0 si no se indica)
+ */
+
+const path = require('path');
+const supabase = require('./supabaseClient');
+
+const ARCHIVO_EMPRESAS = path.join(__dirname, 'empresas.json');
+
+/**
+ * Normalizar una empresa leída de la tabla o del archivo
+ */
+function normalizarEmpresa(empresa) {
+  return {
+    codigo: String(empresa.codigo),
+    nombre: empresa.nombre || String(empresa.codigo),
+    alias: (empresa.alias || []).map(String),
+    cuentas: (empresa.cuentas || []).map(String),
+    flujoMinimo: Number(empresa.flujo_minimo) || 0,
+    activa: empresa.activa !== false
+  };
+}
+
+/**
+ * Leer el archivo de empresas por defecto
+ */
+function leerArchivo() {
+  delete require.cache[ARCHIVO_EMPRESAS];
+  return require(ARCHIVO_EMPRESAS).map(normalizarEmpresa);
+}
+
+// Empresas cargadas (el archivo hasta que se lea la tabla, ver cargarEmpresas)
+let empresasVigentes = leerArchivo();
+
+/**
+ * Cargar las empresas (tabla bot_empresas o archivo por defecto)
+ */
+async function cargarEmpresas() {
+  let origen = 'bot_empresas';
+  let filas = null;
+
+  const { data, error } = await supabase
+    .from('bot_empresas')
+    .select('*')
+    .order('codigo', { ascending: true });
+
+  if (error) {
+    console.error('Error leyendo bot_empresas, se usa el archivo:', error.message);
+  } else {
+    filas = data;
+  }
+
+  if (!filas || filas.length === 0) {
+    origen = 'empresas.json';
+    empresasVigentes = leerArchivo();
+  } else {
+    empresasVigentes = filas.map(normalizarEmpresa).filter(e => e.activa);
+  }
+
+  console.log(`🏢 ${empresasVigentes.length} empresas cargadas (${origen})`);
+  return empresasVigentes;
+}
+
+/**
+ * Empresas actualmente cargadas
+ */
+function obtenerEmpresas() {
+  return empresasVigentes;
+}
+
+/**
+ * Llevar un texto a minúsculas, sin acentos, espacios ni guiones bajos
+ */
+function compactar(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s_]/g, '');
+}
+
+/**
+ * Buscar una empresa por código, nombre o alias ("po", "pico de oro", "PICO_DE_ORO")
+ * Devuelve la empresa o null
+ */
+function buscarEmpresa(texto) {
+  const buscado = compactar(texto);
+  if (!buscado) return null;
+
+  return empresasVigentes.find(e =>
+    compactar(e.codigo) === buscado ||
+    compactar(e.nombre) === buscado ||
+    e.alias.some(a => compactar(a) === buscado)
+  ) || null;
+}
+
+/**
+ * Nombre para mostrar de una empresa (o "Todas" si no se indica)
+ */
+function nombreEmpresa(codigo) {
+  if (!codigo) return 'Todas';
+  return empresasVigentes.find(e => e.codigo === codigo)?.nombre || codigo;
+}
+
+/**
+ * Empresa de una cuenta de saldos_contables_sync según las cuentas del registro
+ * (saldos_contables_sync no tiene columna de empresa)
+ * Devuelve el código de empresa o null
+ */
+function empresaDeSaldo(saldo) {
+  const cuenta = String(saldo.codigo_cuenta);
+  return empresasVigentes.find(e => e.cuentas.includes(cuenta))?.codigo || null;
+}
+
+module.exports = {
+  cargarEmpresas,
+  obtenerEmpresas,
+  buscarEmpresa,
+  nombreEmpresa,
+  empresaDeSaldo
+};
@@ -0,0 +1,104 @@
+/**
+ * Envío de códigos de verificación
+ *
+ * El medio se elige con CODIGO_ENVIO:
+ *   smtp    - email real (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM); por defecto
+ *   archivo - agrega los códigos a CODIGO_ARCHIVO (por defecto codigos.log), para pruebas
+ *   consola - los imprime en el log, para desarrollo
+ *
+ * Archivo y consola dejan los códigos a la vista de quien lea el servidor:
+ * solo se usan si se eligen a propósito. Sin SMTP_HOST el bot no arranca.
+ *
+ * Todos los enviadores exponen la misma función: enviar(email, codigo, minutos)
+ */
+
+const fs = require('fs');
+
+/**
+ * Texto del email con el código
+ */
+function textoCodigo(codigo, minutos) {
+  return (
+    `Tu código de verificación para el Bot de Tesorería es: ${codigo}\n\n` +
+    `Vence en ${minutos} minutos. Si no lo pediste, ignorá este mensaje.`
+  );
+}
+
+/**
+ * Enviador por SMTP (nodemailer)
+ */
+function crearEnviadorSmtp() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Falta SMTP_HOST para enviar los códigos por email (para pruebas: CODIGO_ENVIO=consola o archivo)');
+  }
+
+  const nodemailer = require('nodemailer');
+  const puerto = Number(process.env.SMTP_PORT) || 587;
+
+  const transporte = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: puerto,
+    secure: puerto === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    nombre: 'smtp',
+    async enviar(email, codigo, minutos) {
+      await transporte.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: email,
+        subject: 'Código de verificación - Bot de Tesorería',
+        text: textoCodigo(codigo, minutos)
+      });
+    }
+  };
+}
+
+/**
+ * Enviador a archivo local (para pruebas)
+ */
+function crearEnviadorArchivo() {
+  const archivo = process.env.CODIGO_ARCHIVO || 'codigos.log';
+
+  return {
+    nombre: 'archivo',
+    async enviar(email, codigo, minutos) {
+      const linea = `${new Date().toISOString()} ${email} ${codigo} (vence en ${minutos} min)\n`;
+      await fs.promises.appendFile(archivo, linea);
+    }
+  };
+}
+
+/**
+ * Enviador a consola (para desarrollo)
+ */
+function crearEnviadorConsola() {
+  return {
+    nombre: 'consola',
+    async enviar(email, codigo, minutos) {
+      console.log(`🔑 Código para ${email}: ${codigo} (vence en ${minutos} min)`);
+    }
+  };
+}
+
+const ENVIADORES = {
+  smtp: crearEnviadorSmtp,
+  archivo: crearEnviadorArchivo,
+  consola: crearEnviadorConsola
+};
+
+/**
+ * Crear el enviador configurado en CODIGO_ENVIO
+ */
+function crearEnviador(tipo = process.env.CODIGO_ENVIO || 'smtp') {
+  const crear = ENVIADORES[tipo];
+  if (!crear) {
+    throw new Error(`CODIGO_ENVIO inválido: ${tipo} (opciones: ${Object.keys(ENVIADORES).join(', ')})`);
+  }
+  return crear();
+}
+
+module.exports = { crearEnviador };
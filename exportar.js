@@ -0,0 +1,134 @@
+/**
+ * Exportación de cheques a CSV y XLSX
+ *
+ * Los archivos usan formato argentino: fechas dd/mm/aaaa y, en el CSV,
+ * separador ";" con coma decimal (como lo abre Excel en español).
+ * El XLSX tiene una hoja por empresa con su fila de totales.
+ */
+
+const ExcelJS = require('exceljs');
+const { nombreEmpresa } = require('./empresas');
+const { importe, sumarImportes, separarPorEmpresa } = require('./tesoreria');
+
+const COLUMNAS = [
+  { titulo: 'Origen', ancho: 36, valor: c => c.origen || 'S/N' },
+  { titulo: 'CUIT', ancho: 16, valor: c => c.cuitfirm || '' },
+  { titulo: 'Empresa', ancho: 16, valor: c => (c.empresa ? nombreEmpresa(c.empresa) : '') },
+  { titulo: 'Importe', ancho: 18, valor: importe, importe: true },
+  { titulo: 'Vencimiento', ancho: 14, valor: c => (c.fvto ? new Date(c.fvto) : null), fecha: true },
+  { titulo: 'Salida', ancho: 14, valor: c => (c.fecden ? new Date(c.fecden) : null), fecha: true }
+];
+
+const FORMATO_IMPORTE = '"$" #,##0.00';
+const FORMATO_FECHA = 'dd/mm/yyyy';
+
+/**
+ * Grupos por empresa, en el orden del registro, solo con los que tienen cheques
+ */
+function gruposConCheques(cheques) {
+  return separarPorEmpresa(cheques).filter(g => g.cheques.length > 0);
+}
+
+/**
+ * Importe con coma decimal y punto de miles (1.234,56)
+ */
+function importeArgentino(valor) {
+  return new Intl.NumberFormat('es-AR', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(valor || 0);
+}
+
+/**
+ * Fecha dd/mm/aaaa (UTC, como se guardan los vencimientos)
+ */
+function fechaArgentina(fecha) {
+  if (!fecha) return '';
+  return fecha.toLocaleDateString('es-AR', {
+    timeZone: 'UTC', day: '2-digit', month: '2-digit', year: 'numeric'
+  });
+}
+
+/**
+ * Escapar un campo de CSV
+ */
+function campoCsv(valor) {
+  const texto = String(valor ?? '');
+  return /[";\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Generar un CSV con subtotales por empresa y total general
+ */
+function generarCsv(cheques) {
+  const lineas = [COLUMNAS.map(col => col.titulo)];
+
+  const filaTotal = (etiqueta, lista) => COLUMNAS.map((col, i) => {
+    if (i === 0) return etiqueta;
+    if (col.importe) return importeArgentino(sumarImportes(lista));
+    return '';
+  });
+
+  gruposConCheques(cheques).forEach(grupo => {
+    grupo.cheques.forEach(c => {
+      lineas.push(COLUMNAS.map(col => {
+        const valor = col.valor(c);
+        if (col.importe) return importeArgentino(valor);
+        if (col.fecha) return fechaArgentina(valor);
+        return valor;
+      }));
+    });
+    lineas.push(filaTotal(`Total ${grupo.nombre} (${grupo.cheques.length})`, grupo.cheques));
+  });
+
+  lineas.push(filaTotal(`TOTAL GENERAL (${cheques.length})`, cheques));
+
+  const texto = lineas.map(fila => fila.map(campoCsv).join(';')).join('\r\n');
+  // BOM para que Excel detecte UTF-8
+  return Buffer.from('\ufeff' + texto, 'utf8');
+}
+
+/**
+ * Generar un XLSX con una hoja por empresa y fila de totales
+ */
+async function generarXlsx(cheques, titulo) {
+  const libro = new ExcelJS.Workbook();
+  libro.creator = 'Bot de Tesorería Grande State';
+  libro.created = new Date();
+
+  const grupos = gruposConCheques(cheques);
+  if (grupos.length === 0) grupos.push({ nombre: 'Sin datos', cheques: [] });
+
+  const columnaImporte = COLUMNAS.findIndex(col => col.importe) + 1;
+  const letraImporte = String.fromCharCode(64 + columnaImporte);
+
+  grupos.forEach(grupo => {
+    const hoja = libro.addWorksheet(grupo.nombre.slice(0, 31));
+    hoja.columns = COLUMNAS.map(col => ({
+      header: col.titulo,
+      width: col.ancho,
+      style: col.importe
+        ? { numFmt: FORMATO_IMPORTE }
+        : col.fecha ? { numFmt: FORMATO_FECHA } : {}
+    }));
+    hoja.getRow(1).font = { bold: true };
+    hoja.views = [{ state: 'frozen', ySplit: 1 }];
+
+    grupo.cheques.forEach(c => hoja.addRow(COLUMNAS.map(col => col.valor(c))));
+
+    const ultimaFila = grupo.cheques.length + 1;
+    const total = hoja.addRow(COLUMNAS.map((col, i) => {
+      if (i === 0) return `TOTAL (${grupo.cheques.length} cheques)`;
+      if (col.importe) {
+        return { formula: `SUM(${letraImporte}2:${letraImporte}${ultimaFila})`, result: sumarImportes(grupo.cheques) };
+      }
+      return null;
+    }));
+    total.font = { bold: true };
+  });
+
+  libro.title = titulo;
+  return Buffer.from(await libro.xlsx.writeBuffer());
+}
+
+module.exports = { generarCsv, generarXlsx };
@@ -0,0 +1,193 @@
+/**
+ * Fechas en hora Argentina y calendario de días hábiles
+ *
+ * Las fechas de trabajo son días calendario representados como Date UTC a
+ * las 00:00 (igual que los vencimientos de cheques_valores), pero "hoy" se
+ * calcula en hora de Buenos Aires: a las 22:00 del lunes sigue siendo lunes.
+ *
+ * Un cheque que vence un sábado, domingo o feriado se acredita el siguiente
+ * día hábil. Los feriados nacionales se leen de `feriados.json`
+ * ({ fecha: 'AAAA-MM-DD', nombre }); los puentes se decretan cada año, así
+ * que el archivo se completa a medida que se publican.
+ */
+
+const path = require('path');
+
+const ZONA_HORARIA = 'America/Argentina/Buenos_Aires';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const ARCHIVO_FERIADOS = path.join(__dirname, 'feriados.json');
+
+// Feriados cargados (AAAA-MM-DD -> nombre)
+const FERIADOS = new Map(require(ARCHIVO_FERIADOS).map(f => [f.fecha, f.nombre]));
+
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+/**
+ * Fecha en formato AAAA-MM-DD
+ */
+function aISO(fecha) {
+  return fecha.toISOString().split('T')[0];
+}
+
+/**
+ * Sumar días a una fecha
+ */
+function sumarDias(fecha, dias) {
+  return new Date(fecha.getTime() + dias * DIA_MS);
+}
+
+/**
+ * Partes de la fecha y hora actuales en Argentina
+ */
+function partesArgentina(ahora = new Date()) {
+  const partes = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: ZONA_HORARIA,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(ahora).forEach(p => { partes[p.type] = Number(p.value); });
+  return partes;
+}
+
+/**
+ * Hoy en Argentina (Date UTC a las 00:00)
+ */
+function hoy(ahora = new Date()) {
+  const { year, month, day } = partesArgentina(ahora);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Fecha y hora en Argentina para mostrar ("19/10/2026, 21:30:00")
+ */
+function fechaHoraArgentina(fecha = new Date()) {
+  return fecha.toLocaleString('es-AR', { timeZone: ZONA_HORARIA });
+}
+
+/**
+ * Hora actual (0-23) en Argentina
+ */
+function horaArgentina(ahora = new Date()) {
+  return partesArgentina(ahora).hour;
+}
+
+/**
+ * Día calendario de un valor de la base ("2026-11-15", "2026-11-15T03:00:00+00")
+ */
+function inicioDelDia(valor) {
+  return new Date(`${String(valor).slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Nombre del feriado de una fecha (null si no es feriado)
+ */
+function feriado(fecha) {
+  return FERIADOS.get(aISO(fecha)) || null;
+}
+
+/**
+ * ¿Es un día hábil? (ni fin de semana ni feriado)
+ */
+function esDiaHabil(fecha) {
+  const dia = fecha.getUTCDay();
+  return dia !== 0 && dia !== 6 && !feriado(fecha);
+}
+
+/**
+ * Primer día hábil desde la fecha (la misma fecha si es hábil)
+ */
+function proximoDiaHabil(fecha) {
+  let dia = fecha;
+  while (!esDiaHabil(dia)) dia = sumarDias(dia, 1);
+  return dia;
+}
+
+/**
+ * Último día hábil anterior a la fecha
+ */
+function diaHabilAnterior(fecha) {
+  let dia = sumarDias(fecha, -1);
+  while (!esDiaHabil(dia)) dia = sumarDias(dia, -1);
+  return dia;
+}
+
+/**
+ * Día en que se acredita un cheque según su vencimiento (fvto)
+ */
+function diaDeAcreditacion(fvto) {
+  return proximoDiaHabil(inicioDelDia(fvto));
+}
+
+/**
+ * Cheques que se acreditan dentro de [desde, hasta)
+ */
+function acreditadosEntre(cheques, desde, hasta) {
+  return cheques.filter(c => {
+    const dia = diaDeAcreditacion(c.fvto);
+    return dia >= desde && dia < hasta;
+  });
+}
+
+/**
+ * Vencimientos que se acreditan dentro de un rango [desde, hasta)
+ * Devuelve el rango de fvto equivalente: los cheques que vencen desde el día
+ * siguiente al último hábil anterior a `desde` y antes del día siguiente al
+ * último hábil anterior a `hasta`
+ */
+function rangoDeVencimientos({ desde, hasta }) {
+  return {
+    desde: sumarDias(diaHabilAnterior(desde), 1),
+    hasta: sumarDias(diaHabilAnterior(hasta), 1)
+  };
+}
+
+/**
+ * Describir por qué una fecha no es hábil ("sábado", "feriado: Navidad")
+ * Devuelve null si es hábil
+ */
+function motivoNoHabil(fecha) {
+  const nombre = feriado(fecha);
+  if (nombre) return `feriado: ${nombre}`;
+  const dia = fecha.getUTCDay();
+  return dia === 0 || dia === 6 ? DIAS_SEMANA[dia] : null;
+}
+
+/**
+ * Fecha corta con día de la semana ("lun 20/10")
+ */
+function fechaConDia(fecha) {
+  const corta = fecha.toLocaleDateString('es-AR', { timeZone: 'UTC', day: '2-digit', month: '2-digit' });
+  return `${DIAS_SEMANA[fecha.getUTCDay()].slice(0, 3)} ${corta}`;
+}
+
+/**
+ * ¿Tiene el calendario feriados cargados para el año?
+ */
+function tieneCalendario(anio) {
+  return [...FERIADOS.keys()].some(f => f.startsWith(`${anio}-`));
+}
+
+module.exports = {
+  ZONA_HORARIA,
+  aISO,
+  sumarDias,
+  hoy,
+  fechaHoraArgentina,
+  horaArgentina,
+  inicioDelDia,
+  feriado,
+  esDiaHabil,
+  proximoDiaHabil,
+  diaHabilAnterior,
+  diaDeAcreditacion,
+  acreditadosEntre,
+  rangoDeVencimientos,
+  motivoNoHabil,
+  fechaConDia,
+  tieneCalendario
+};
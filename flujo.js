@@ -0,0 +1,85 @@
+/**
+ * Proyección de flujo de fondos
+ *
+ * Parte de los saldos actuales de saldos_contables_sync y suma, día por día,
+ * la cobranza esperada de los cheques en cartera según su día de acreditación
+ * (el vencimiento, o el siguiente día hábil si vence en fin de semana o feriado).
+ * Los cheques ya vencidos que siguen en validez se consideran cobrables hoy;
+ * los que perdieron validez no se cuentan.
+ */
+
+const alertasValidez = require('./alertasValidez');
+const { empresaDeSaldo } = require('./empresas');
+const { importe, totalSaldos } = require('./tesoreria');
+const { diaDeAcreditacion } = require('./fechas');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Proyectar una serie diaria a partir de un saldo inicial
+ * Devuelve { inicial, cobranzas, final, dias: [{ fecha, ingresos, saldo }],
+ *            primerDiaNegativo, primerDiaBajoMinimo }
+ */
+function proyectarSerie(saldoInicial, cheques, hoy, dias, minimo) {
+  const ingresosPorDia = new Array(dias).fill(0);
+
+  cheques.forEach(c => {
+    const indice = Math.round((diaDeAcreditacion(c.fvto).getTime() - hoy.getTime()) / DIA_MS);
+
+    if (indice < 0) {
+      if (alertasValidez.diasRestantes(c, hoy) >= 0) ingresosPorDia[0] += importe(c);
+      return;
+    }
+    if (indice < dias) ingresosPorDia[indice] += importe(c);
+  });
+
+  let saldo = saldoInicial;
+  let primerDiaNegativo = null;
+  let primerDiaBajoMinimo = null;
+
+  const serie = ingresosPorDia.map((ingresos, i) => {
+    saldo += ingresos;
+    const fecha = new Date(hoy.getTime() + i * DIA_MS);
+    if (saldo < 0 && !primerDiaNegativo) primerDiaNegativo = fecha;
+    if (saldo < minimo && !primerDiaBajoMinimo) primerDiaBajoMinimo = fecha;
+    return { fecha, ingresos, saldo };
+  });
+
+  return {
+    inicial: saldoInicial,
+    cobranzas: ingresosPorDia.reduce((sum, x) => sum + x, 0),
+    final: saldo,
+    dias: serie,
+    primerDiaNegativo,
+    primerDiaBajoMinimo
+  };
+}
+
+/**
+ * Proyectar el flujo total y por empresa
+ * Los saldos se asignan a una empresa por las cuentas del registro de
+ * empresas; los que no tienen empresa solo cuentan en el total. `minimo` es el del total y cada empresa usa su flujoMinimo.
+ * Devuelve { total, porEmpresa: { codigo: serie }, sinAsignar }
+ */
+function proyectarFlujo({ saldos, cheques, hoy, dias, minimo = 0, empresas }) {
+  const porEmpresa = {};
+  empresas.forEach(e => {
+    porEmpresa[e.codigo] = proyectarSerie(
+      totalSaldos(saldos.filter(s => empresaDeSaldo(s) === e.codigo)),
+      cheques.filter(c => c.empresa === e.codigo),
+      hoy,
+      dias,
+      e.flujoMinimo || 0
+    );
+  });
+
+  const codigos = empresas.map(e => e.codigo);
+
+  return {
+    total: proyectarSerie(totalSaldos(saldos), cheques, hoy, dias, minimo),
+    porEmpresa,
+    sinAsignar: totalSaldos(saldos.filter(s => !codigos.includes(empresaDeSaldo(s))))
+  };
+}
+
+module.exports = { proyectarFlujo };
@@ -0,0 +1,32 @@
+/**
+ * Funciones de formato compartidas por los comandos y los módulos del bot
+ */
+
+/**
+ * Formatear moneda en pesos argentinos
+ */
+function formatearMoneda(valor) {
+  if (valor === null || valor === undefined) return '$0,00';
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 2
+  }).format(valor);
+}
+
+/**
+ * Escapar texto libre para mensajes con parse_mode Markdown
+ */
+function escaparMarkdown(texto) {
+  return String(texto ?? '').replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Formatear fecha (los días se guardan como fechas UTC a las 00:00)
+ */
+function formatearFecha(fecha) {
+  if (!fecha) return 'N/A';
+  return new Date(fecha).toLocaleDateString('es-AR', { timeZone: 'UTC' });
+}
+
+module.exports = { formatearMoneda, formatearFecha, escaparMarkdown };
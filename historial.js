@@ -0,0 +1,177 @@
+/**
+ * Historial diario de cartera y saldos
+ *
+ * Una vez por día se guarda una foto en la tabla `bot_snapshots`: el total
+ * en cartera de cada empresa (tipo 'cartera', clave = código de empresa) y el
+ * saldo de cada cuenta de saldos_contables_sync (tipo 'saldos', clave =
+ * codigo_cuenta). /evolucion y el resumen diario comparan los valores
+ * actuales con esas fotos.
+ */
+
+const supabase = require('./supabaseClient');
+const { leerTodas } = require('./consultas');
+const { empresaDeSaldo } = require('./empresas');
+const { saldoDe, sumarImportes, separarPorEmpresa } = require('./tesoreria');
+const { aISO, sumarDias, inicioDelDia } = require('./fechas');
+const { formatearMoneda } = require('./formato');
+
+const TIPOS = ['cartera', 'saldos'];
+
+// Clave de los cheques sin empresa del registro
+const SIN_EMPRESA = '-';
+
+// Días hacia atrás de la comparación semanal
+const DIAS_SEMANA = 7;
+
+/**
+ * Valores actuales de un tipo, con la misma forma que las filas guardadas
+ * Devuelve [{ tipo, clave, nombre, empresa, monto, cantidad }]
+ */
+function valoresActuales(tipo, { cheques = [], saldos = [] }) {
+  if (tipo === 'saldos') {
+    return saldos.map(s => ({
+      tipo,
+      clave: String(s.codigo_cuenta ?? s.nombre_cuenta),
+      nombre: s.nombre_cuenta,
+      empresa: empresaDeSaldo(s),
+      monto: saldoDe(s),
+      cantidad: null
+    }));
+  }
+
+  return separarPorEmpresa(cheques).map(g => ({
+    tipo,
+    clave: g.codigo || SIN_EMPRESA,
+    nombre: g.nombre,
+    empresa: g.codigo,
+    monto: sumarImportes(g.cheques),
+    cantidad: g.cheques.length
+  }));
+}
+
+/**
+ * Guardar la foto del día (reemplaza la del mismo día si ya existe)
+ */
+async function guardarFoto({ cheques, saldos }, hoy) {
+  const fecha = aISO(hoy);
+  const filas = TIPOS
+    .flatMap(tipo => valoresActuales(tipo, { cheques, saldos }))
+    .map(fila => ({ fecha, ...fila }));
+
+  if (filas.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('bot_snapshots')
+    .upsert(filas, { onConflict: 'fecha,tipo,clave' });
+
+  if (error) throw error;
+  return filas.length;
+}
+
+/**
+ * Fotos guardadas entre dos fechas [desde, hasta)
+ */
+async function cargarFotos(desde, hasta) {
+  const filas = await leerTodas(opciones => supabase
+    .from('bot_snapshots')
+    .select('fecha, tipo, clave, nombre, empresa, monto, cantidad', opciones)
+    .gte('fecha', aISO(desde))
+    .lt('fecha', aISO(hasta))
+    .order('fecha', { ascending: true })
+    .order('tipo', { ascending: true })
+    .order('clave', { ascending: true }));
+
+  return filas.map(f => ({ ...f, fecha: aISO(inicioDelDia(f.fecha)), monto: Number(f.monto) || 0 }));
+}
+
+/**
+ * Total por clave de las filas de una fecha (null si no hay foto ese día)
+ */
+function fotoDe(fotos, fecha) {
+  if (!fecha) return null;
+  const filas = fotos.filter(f => f.fecha === fecha);
+  if (filas.length === 0) return null;
+  return new Map(filas.map(f => [f.clave, f.monto]));
+}
+
+/**
+ * Variación contra una foto (null si no hay foto de referencia)
+ * Una clave que no estaba en la foto se compara contra 0
+ */
+function variacion(actual, foto, clave) {
+  if (!foto) return null;
+  return actual - (clave === undefined ? sumarFoto(foto) : (foto.get(clave) || 0));
+}
+
+/**
+ * Total de una foto
+ */
+function sumarFoto(foto) {
+  return [...foto.values()].reduce((sum, x) => sum + x, 0);
+}
+
+/**
+ * Comparar los valores actuales con las fotos anteriores a hoy
+ * `actuales` y `fotos` deben ser del mismo tipo y ya filtrados por empresa.
+ * Devuelve { total, items, referencias, serie } donde
+ *   total / items[]: { clave, nombre, actual, dia, semana } (dia y semana son
+ *                    variaciones, null si no hay foto de referencia)
+ *   referencias:     { dia, semana } fechas AAAA-MM-DD de las fotos usadas
+ *   serie:           [{ fecha, monto }] total por día, la última es la de hoy
+ */
+function calcularEvolucion(actuales, fotos, hoy) {
+  const anteriores = fotos.filter(f => f.fecha < aISO(hoy));
+  const fechasFotos = [...new Set(anteriores.map(f => f.fecha))].sort();
+
+  // Día: la última foto; semana: la última de hace al menos 7 días
+  const limiteSemana = aISO(sumarDias(hoy, -DIAS_SEMANA));
+  const referencias = {
+    dia: fechasFotos[fechasFotos.length - 1] || null,
+    semana: fechasFotos.filter(f => f <= limiteSemana).pop() || null
+  };
+  const fotoDia = fotoDe(anteriores, referencias.dia);
+  const fotoSemana = fotoDe(anteriores, referencias.semana);
+
+  const items = actuales.map(a => ({
+    clave: a.clave,
+    nombre: a.nombre,
+    actual: a.monto,
+    dia: variacion(a.monto, fotoDia, a.clave),
+    semana: variacion(a.monto, fotoSemana, a.clave)
+  }));
+
+  const actual = actuales.reduce((sum, a) => sum + a.monto, 0);
+  const total = {
+    actual,
+    dia: variacion(actual, fotoDia),
+    semana: variacion(actual, fotoSemana)
+  };
+
+  const serie = fechasFotos.map(fecha => ({ fecha, monto: sumarFoto(fotoDe(anteriores, fecha)) }));
+  serie.push({ fecha: aISO(hoy), monto: actual });
+
+  return { total, items, referencias, serie };
+}
+
+/**
+ * Variación para mostrar ("▲ $ 1.000,00 (+2,5%)")
+ */
+function formatearVariacion(delta, actual) {
+  if (delta === null || delta === undefined) return 'sin datos';
+  if (Math.abs(delta) < 0.005) return '= sin cambios';
+
+  const base = actual - delta;
+  const porcentaje = base > 0
+    ? ` (${delta > 0 ? '+' : '-'}${(Math.abs(delta) / base * 100).toFixed(1).replace('.', ',')}%)`
+    : '';
+  return `${delta > 0 ? '▲' : '▼'} ${formatearMoneda(Math.abs(delta))}${porcentaje}`;
+}
+
+module.exports = {
+  TIPOS,
+  valoresActuales,
+  guardarFoto,
+  cargarFotos,
+  calcularEvolucion,
+  formatearVariacion
+};
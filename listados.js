@@ -0,0 +1,111 @@
+/**
+ * Listados paginados de cheques con botones inline
+ *
+ * Arma el texto y el teclado de una página; la consulta de los cheques y el
+ * manejo de los botones quedan en index.js. Los botones de navegación llevan
+ * en su callback_data todo lo necesario para regenerar la página.
+ */
+
+const { formatearMoneda, formatearFecha, escaparMarkdown } = require('./formato');
+const { nombreEmpresa } = require('./empresas');
+const { importe } = require('./tesoreria');
+const { diaDeAcreditacion, inicioDelDia, fechaConDia } = require('./fechas');
+
+// Cheques por página
+const TAMANIO_PAGINA = 8;
+
+// Criterios de orden: f = fecha de vencimiento, m = monto (mayor primero)
+const ORDENES = {
+  f: { nombre: 'fecha', comparar: (a, b) => String(a.fvto).localeCompare(String(b.fvto)) || importe(b) - importe(a) },
+  m: { nombre: 'monto', comparar: (a, b) => importe(b) - importe(a) }
+};
+
+/**
+ * Aclaración del día de acreditación si no es el del vencimiento
+ * (" - acredita lun 20/10")
+ */
+function aclaracionAcreditacion(fvto) {
+  if (!fvto) return '';
+  const dia = diaDeAcreditacion(fvto);
+  return dia.getTime() === inicioDelDia(fvto).getTime() ? '' : ` - acredita ${fechaConDia(dia)}`;
+}
+
+/**
+ * Ordenar cheques según el criterio (f | m)
+ */
+function ordenarCheques(cheques, orden) {
+  return [...cheques].sort((ORDENES[orden] || ORDENES.f).comparar);
+}
+
+/**
+ * Armar una página del listado
+ * `prefijo` es el inicio del callback_data de navegación: `${prefijo}:${pagina}:${orden}`
+ * Devuelve { texto, teclado, pagina } (la página se ajusta al rango válido)
+ */
+function armarPagina(cheques, { pagina = 0, orden = 'f', prefijo }) {
+  const totalPaginas = Math.max(1, Math.ceil(cheques.length / TAMANIO_PAGINA));
+  const actual = Math.min(Math.max(0, pagina), totalPaginas - 1);
+  const inicio = actual * TAMANIO_PAGINA;
+  const visibles = ordenarCheques(cheques, orden).slice(inicio, inicio + TAMANIO_PAGINA);
+
+  const filas = visibles.map((c, i) =>
+    `${inicio + i + 1}. *${escaparMarkdown(c.origen || 'S/N')}*\n` +
+    `   ${formatearMoneda(c.implocal)} - Vto ${formatearFecha(c.fvto)}${aclaracionAcreditacion(c.fvto)}\n` +
+    `   CUIT ${escaparMarkdown(c.cuitfirm || 'S/D')} - ${escaparMarkdown(c.empresa ? nombreEmpresa(c.empresa) : 'S/D')}`
+  ).join('\n');
+
+  const texto =
+    `📋 *Detalle* (ordenado por ${(ORDENES[orden] || ORDENES.f).nombre}, ` +
+    `página ${actual + 1}/${totalPaginas}):\n${filas}`;
+
+  // Un botón por cheque para ver su ficha
+  const botonesDetalle = visibles.map((c, i) => ({ text: `🔎 ${inicio + i + 1}`, callback_data: `chq:${c.id}` }));
+  const filasDetalle = [];
+  for (let i = 0; i < botonesDetalle.length; i += 4) {
+    filasDetalle.push(botonesDetalle.slice(i, i + 4));
+  }
+
+  const navegacion = [];
+  if (actual > 0) {
+    navegacion.push({ text: '◀️ Anterior', callback_data: `${prefijo}:${actual - 1}:${orden}` });
+  }
+  if (actual < totalPaginas - 1) {
+    navegacion.push({ text: 'Siguiente ▶️', callback_data: `${prefijo}:${actual + 1}:${orden}` });
+  }
+
+  const otroOrden = orden === 'm' ? 'f' : 'm';
+  const teclado = [
+    ...filasDetalle,
+    ...(navegacion.length > 0 ? [navegacion] : []),
+    [{ text: `↕️ Ordenar por ${ORDENES[otroOrden].nombre}`, callback_data: `${prefijo}:0:${otroOrden}` }]
+  ];
+
+  return { texto, teclado, pagina: actual };
+}
+
+/**
+ * Ficha completa de un cheque (Markdown)
+ */
+function armarDetalleCheque(cheque) {
+  const estado = cheque.fecden
+    ? `✅ Entregado el ${formatearFecha(cheque.fecden)}` +
+      (cheque.destino ? `\n📍 *Destino:* ${escaparMarkdown(cheque.destino)}` : '')
+    : '📋 En cartera';
+
+  return (
+    `🧾 *CHEQUE ${escaparMarkdown(cheque.id)}*\n\n` +
+    `👤 *Origen:* ${escaparMarkdown(cheque.origen || 'S/N')}\n` +
+    `🆔 *CUIT:* ${escaparMarkdown(cheque.cuitfirm || 'S/D')}\n` +
+    `🏢 *Empresa:* ${escaparMarkdown(cheque.empresa ? nombreEmpresa(cheque.empresa) : 'S/D')}\n` +
+    `💰 *Importe:* ${formatearMoneda(cheque.implocal)}\n` +
+    `📅 *Vencimiento:* ${formatearFecha(cheque.fvto)}${aclaracionAcreditacion(cheque.fvto)}\n` +
+    `📌 *Estado:* ${estado}`
+  );
+}
+
+module.exports = {
+  TAMANIO_PAGINA,
+  ordenarCheques,
+  armarPagina,
+  armarDetalleCheque
+};
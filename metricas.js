@@ -0,0 +1,174 @@
+/**
+ * Métricas del bot en formato Prometheus (GET /metrics)
+ *
+ * Cuenta ejecuciones, duración y errores de cada handler (comandos, botones y API),
+ * las notificaciones enviadas, fallidas y retenidas, y la última corrida de
+ * cada tarea programada. Los handlers atrapan sus propios errores para
+ * responder al usuario; registrarError() los registra en consola y los
+ * atribuye igual al handler o tarea que se está ejecutando.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Límites de los buckets de duración (segundos)
+const BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Handler o tarea en ejecución ({ error })
+const contexto = new AsyncLocalStorage();
+
+const handlers = new Map();
+const tareas = new Map();
+const notificaciones = { enviada: 0, fallida: 0, retenida: 0 };
+let erroresPolling = 0;
+let updatesWebhook = 0;
+
+/**
+ * Registrar un error atrapado y marcar como fallida la ejecución en curso
+ * (fuera de un handler o tarea solo se registra en consola)
+ */
+function registrarError(mensaje, error) {
+  console.error(mensaje, error);
+  const actual = contexto.getStore();
+  if (actual) actual.error = true;
+}
+
+/**
+ * Ejecutar fn dentro de un contexto y devolver { error, segundos }
+ * Un error lanzado por fn se registra en consola y no se propaga.
+ */
+async function ejecutarMedido(nombre, fn) {
+  const actual = { error: false };
+  const inicio = process.hrtime.bigint();
+  try {
+    await contexto.run(actual, fn);
+  } catch (error) {
+    console.error(`Error en ${nombre}:`, error);
+    actual.error = true;
+  }
+  return { error: actual.error, segundos: Number(process.hrtime.bigint() - inicio) / 1e9 };
+}
+
+/**
+ * Medir un handler de comando, botón o endpoint ("/cartera", "boton:chq", "api:cartera")
+ */
+async function medirHandler(nombre, fn) {
+  const { error, segundos } = await ejecutarMedido(nombre, fn);
+
+  if (!handlers.has(nombre)) {
+    handlers.set(nombre, { ejecuciones: 0, errores: 0, suma: 0, buckets: BUCKETS.map(() => 0) });
+  }
+  const h = handlers.get(nombre);
+  h.ejecuciones++;
+  if (error) h.errores++;
+  h.suma += segundos;
+  BUCKETS.forEach((limite, i) => { if (segundos <= limite) h.buckets[i]++; });
+}
+
+/**
+ * Envolver una tarea programada para registrar su última corrida
+ * Devuelve la función para pasar a cron.schedule
+ */
+function tarea(nombre, fn) {
+  return async (...args) => {
+    const { error, segundos } = await ejecutarMedido(`tarea ${nombre}`, () => fn(...args));
+    const t = tareas.get(nombre) || { corridas: 0, errores: 0 };
+    tareas.set(nombre, {
+      corridas: t.corridas + 1,
+      errores: t.errores + (error ? 1 : 0),
+      ultima: Date.now() / 1000,
+      ultimaOk: error ? t.ultimaOk : Date.now() / 1000,
+      duracion: segundos
+    });
+  };
+}
+
+/**
+ * Registrar el resultado de una notificación ('enviada', 'fallida' o 'retenida')
+ */
+function contarNotificacion(resultado) {
+  notificaciones[resultado]++;
+}
+
+function contarErrorPolling() {
+  erroresPolling++;
+}
+
+function contarUpdateWebhook() {
+  updatesWebhook++;
+}
+
+/**
+ * Valor de etiqueta escapado para el formato de texto de Prometheus
+ */
+function etiqueta(valor) {
+  return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function numero(valor) {
+  return Number.isInteger(valor) ? String(valor) : valor.toFixed(6);
+}
+
+/**
+ * Texto de /metrics
+ * `extra` son gauges propios del bot: [{ nombre, ayuda, valor }]
+ */
+function exportarMetricas(extra = []) {
+  const lineas = [];
+  const metrica = (nombre, tipo, ayuda, muestras) => {
+    lineas.push(`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} ${tipo}`);
+    muestras.forEach(([sufijo, etiquetas, valor]) => {
+      const texto = Object.entries(etiquetas).map(([k, v]) => `${k}="${etiqueta(v)}"`).join(',');
+      lineas.push(`${nombre}${sufijo}${texto ? `{${texto}}` : ''} ${numero(valor)}`);
+    });
+  };
+
+  const porHandler = [...handlers.entries()];
+  metrica('bot_handler_ejecuciones_total', 'counter', 'Ejecuciones de comandos, botones y endpoints de la API',
+    porHandler.map(([handler, h]) => ['', { handler }, h.ejecuciones]));
+  metrica('bot_handler_errores_total', 'counter', 'Ejecuciones de comandos, botones y endpoints de la API con error',
+    porHandler.map(([handler, h]) => ['', { handler }, h.errores]));
+  metrica('bot_handler_duracion_segundos', 'histogram', 'Duración de comandos, botones y endpoints de la API',
+    porHandler.flatMap(([handler, h]) => [
+      ...BUCKETS.map((limite, i) => ['_bucket', { handler, le: limite }, h.buckets[i]]),
+      ['_bucket', { handler, le: '+Inf' }, h.ejecuciones],
+      ['_sum', { handler }, h.suma],
+      ['_count', { handler }, h.ejecuciones]
+    ]));
+
+  metrica('bot_notificaciones_total', 'counter', 'Notificaciones por resultado (enviada, fallida, retenida)',
+    Object.entries(notificaciones).map(([resultado, valor]) => ['', { resultado }, valor]));
+
+  const porTarea = [...tareas.entries()];
+  metrica('bot_tarea_corridas_total', 'counter', 'Corridas de tareas programadas',
+    porTarea.map(([nombre, t]) => ['', { tarea: nombre }, t.corridas]));
+  metrica('bot_tarea_errores_total', 'counter', 'Corridas de tareas programadas con error',
+    porTarea.map(([nombre, t]) => ['', { tarea: nombre }, t.errores]));
+  metrica('bot_tarea_ultima_corrida_timestamp_segundos', 'gauge', 'Inicio de época de la última corrida',
+    porTarea.map(([nombre, t]) => ['', { tarea: nombre }, t.ultima]));
+  metrica('bot_tarea_ultima_corrida_ok_timestamp_segundos', 'gauge', 'Inicio de época de la última corrida sin error',
+    porTarea.filter(([, t]) => t.ultimaOk).map(([nombre, t]) => ['', { tarea: nombre }, t.ultimaOk]));
+  metrica('bot_tarea_ultima_duracion_segundos', 'gauge', 'Duración de la última corrida',
+    porTarea.map(([nombre, t]) => ['', { tarea: nombre }, t.duracion]));
+
+  metrica('bot_polling_errores_total', 'counter', 'Errores de polling de Telegram', [['', {}, erroresPolling]]);
+  metrica('bot_webhook_updates_total', 'counter', 'Updates recibidos por webhook', [['', {}, updatesWebhook]]);
+
+  extra.forEach(({ nombre, ayuda, valor }) => metrica(nombre, 'gauge', ayuda, [['', {}, valor]]));
+
+  metrica('process_start_time_seconds', 'gauge', 'Inicio del proceso en segundos de época',
+    [['', {}, Math.round(Date.now() / 1000 - process.uptime())]]);
+  metrica('process_resident_memory_bytes', 'gauge', 'Memoria residente del proceso',
+    [['', {}, process.memoryUsage().rss]]);
+
+  return `${lineas.join('\n')}\n`;
+}
+
+module.exports = {
+  registrarError,
+  medirHandler,
+  tarea,
+  contarNotificacion,
+  contarErrorPolling,
+  contarUpdateWebhook,
+  exportarMetricas
+};
@@ -0,0 +1,185 @@
+/**
+ * Movimientos de la cartera de cheques
+ *
+ * Un cheque está en cartera mientras `fecden` es null. Cada corrida compara
+ * cheques_valores con lo registrado en la tabla `bot_movimientos` y anota
+ * los ingresos (ids nuevos) y las salidas (cheques que recibieron `fecden`)
+ * con el día en que se detectaron. La primera corrida solo registra el
+ * estado inicial (fecha null), sin informarlo como movimiento. Un movimiento
+ * ya registrado no se vuelve a escribir: conserva la primera fecha.
+ */
+
+const supabase = require('./supabaseClient');
+const { leerTodas } = require('./consultas');
+const { aISO } = require('./fechas');
+const { obtenerEmpresas } = require('./empresas');
+const { importe, sumarImportes } = require('./tesoreria');
+const { formatearMoneda, formatearFecha, escaparMarkdown } = require('./formato');
+
+// Columnas de cheques_valores necesarias para detectar y registrar movimientos
+const COLUMNAS = 'id, fecden, empresa, cuitfirm, origen, implocal, fvto';
+
+// Filas por upsert
+const TAMANIO_LOTE = 500;
+
+// Firmantes y cheques que se detallan por tipo de movimiento
+const MAX_CONTRAPARTES = 5;
+const MAX_DETALLE = 10;
+
+const TIPOS = {
+  ingreso: { titulo: 'Ingresos', emoji: '📥' },
+  salida: { titulo: 'Salidas', emoji: '📤' }
+};
+
+/**
+ * Fila de bot_movimientos para un cheque
+ */
+function filaMovimiento(tipo, cheque, fecha) {
+  return {
+    cheque_id: String(cheque.id),
+    tipo,
+    fecha,
+    detectado_en: new Date().toISOString(),
+    empresa: cheque.empresa || null,
+    cuitfirm: cheque.cuitfirm || null,
+    origen: cheque.origen || null,
+    implocal: importe(cheque),
+    fvto: cheque.fvto || null,
+    fecden: cheque.fecden || null
+  };
+}
+
+/**
+ * Detectar y registrar los movimientos desde la última corrida
+ * `cheques` son todos los de cheques_valores (en cartera y entregados)
+ * Devuelve los movimientos nuevos (vacío en la carga inicial)
+ */
+async function detectarMovimientos(cheques, hoy) {
+  const filas = await leerTodas(opciones => supabase
+    .from('bot_movimientos')
+    .select('cheque_id, tipo', opciones)
+    .order('cheque_id', { ascending: true })
+    .order('tipo', { ascending: true }));
+
+  const registrados = new Set(filas.map(f => `${f.tipo}:${f.cheque_id}`));
+  const inicial = registrados.size === 0;
+  const fecha = inicial ? null : aISO(hoy);
+
+  const nuevos = [];
+  cheques.forEach(c => {
+    const id = String(c.id);
+    if (!registrados.has(`ingreso:${id}`)) nuevos.push(filaMovimiento('ingreso', c, fecha));
+    if (c.fecden && !registrados.has(`salida:${id}`)) nuevos.push(filaMovimiento('salida', c, fecha));
+  });
+
+  // Un movimiento ya registrado (por ejemplo, por otra instancia en paralelo)
+  // conserva la fecha en que se detectó por primera vez y no se vuelve a informar
+  const insertados = new Set();
+  for (let i = 0; i < nuevos.length; i += TAMANIO_LOTE) {
+    const { data, error: errorLote } = await supabase
+      .from('bot_movimientos')
+      .upsert(nuevos.slice(i, i + TAMANIO_LOTE), { onConflict: 'cheque_id,tipo', ignoreDuplicates: true })
+      .select('cheque_id, tipo');
+
+    if (errorLote) throw errorLote;
+    (data || []).forEach(f => insertados.add(`${f.tipo}:${f.cheque_id}`));
+  }
+
+  if (inicial) {
+    console.log(`🔄 Estado inicial de movimientos registrado (${insertados.size} filas)`);
+    return [];
+  }
+  return nuevos.filter(m => insertados.has(`${m.tipo}:${m.cheque_id}`));
+}
+
+/**
+ * Movimientos detectados un día
+ */
+async function cargarMovimientos(fecha) {
+  const { data, error } = await supabase
+    .from('bot_movimientos')
+    .select('*')
+    .eq('fecha', aISO(fecha))
+    .order('detectado_en', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(m => ({ ...m, implocal: importe(m) }));
+}
+
+/**
+ * Agrupar movimientos por una clave
+ * Devuelve [{ nombre, cantidad, monto }] de mayor a menor monto
+ */
+function agrupar(movimientos, clave, nombre) {
+  const grupos = new Map();
+  movimientos.forEach(m => {
+    const k = clave(m);
+    if (!grupos.has(k)) grupos.set(k, { nombre: nombre(m), cantidad: 0, monto: 0 });
+    const grupo = grupos.get(k);
+    grupo.cantidad++;
+    grupo.monto += importe(m);
+  });
+  return [...grupos.values()].sort((a, b) => b.monto - a.monto);
+}
+
+/**
+ * Resumen de un tipo de movimiento (Markdown)
+ * El desglose por empresa se muestra solo si `porEmpresa` es true
+ */
+function armarTipo(tipo, movimientos, porEmpresa) {
+  const { titulo, emoji } = TIPOS[tipo];
+  const delTipo = movimientos.filter(m => m.tipo === tipo);
+  const monto = sumarImportes(delTipo);
+
+  if (delTipo.length === 0) return `${emoji} *${titulo}:* sin movimientos`;
+
+  const nombres = new Map(obtenerEmpresas().map(e => [e.codigo, e.nombre]));
+  const lineas = [`${emoji} *${titulo}:* ${delTipo.length} cheques - ${formatearMoneda(monto)}`];
+
+  if (porEmpresa) {
+    lineas.push('🏢 Por empresa:');
+    agrupar(delTipo, m => m.empresa || '-', m => nombres.get(m.empresa) || 'Sin empresa')
+      .forEach(g => lineas.push(`   • ${escaparMarkdown(g.nombre)}: ${formatearMoneda(g.monto)} (${g.cantidad})`));
+  }
+
+  const firmantes = agrupar(delTipo, m => m.cuitfirm || m.origen || '-', m => m.origen || m.cuitfirm || 'S/N');
+  lineas.push('👤 Por firmante:');
+  firmantes.slice(0, MAX_CONTRAPARTES)
+    .forEach(g => lineas.push(`   • ${escaparMarkdown(g.nombre)}: ${formatearMoneda(g.monto)} (${g.cantidad})`));
+  if (firmantes.length > MAX_CONTRAPARTES) {
+    lineas.push(`   • ... y ${firmantes.length - MAX_CONTRAPARTES} firmantes más`);
+  }
+
+  lineas.push('📋 Detalle:');
+  [...delTipo]
+    .sort((a, b) => importe(b) - importe(a))
+    .slice(0, MAX_DETALLE)
+    .forEach(m => lineas.push(
+      `   • ${escaparMarkdown(m.origen || 'S/N')} - ${formatearMoneda(m.implocal)} - Vto ${formatearFecha(m.fvto)}` +
+      (tipo === 'salida' && m.fecden ? ` - Salida ${formatearFecha(m.fecden)}` : '')
+    ));
+  if (delTipo.length > MAX_DETALLE) lineas.push(`   • ... y ${delTipo.length - MAX_DETALLE} cheques más`);
+
+  return lineas.join('\n');
+}
+
+/**
+ * Cuerpo del reporte de movimientos (Markdown): ingresos, salidas y neto
+ */
+function armarMovimientos(movimientos, { porEmpresa = true } = {}) {
+  const sumar = tipo => sumarImportes(movimientos.filter(m => m.tipo === tipo));
+  const neto = sumar('ingreso') - sumar('salida');
+
+  return (
+    `${armarTipo('ingreso', movimientos, porEmpresa)}\n\n` +
+    `${armarTipo('salida', movimientos, porEmpresa)}\n\n` +
+    `⚖️ *Neto:* ${formatearMoneda(neto)}`
+  );
+}
+
+module.exports = {
+  COLUMNAS,
+  detectarMovimientos,
+  cargarMovimientos,
+  armarMovimientos
+};
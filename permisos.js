@@ -0,0 +1,140 @@
+/**
+ * Matriz de permisos por rol
+ *
+ * El rol viene de allowed_users.role. Cada rol define qué comandos puede
+ * ejecutar y qué notificaciones automáticas recibe. Un rol desconocido
+ * no tiene acceso a nada (solo /ayuda).
+ */
+
+// Catálogo de comandos en el orden en que se muestran en /ayuda
+const COMANDOS = [
+  { comando: 'cartera', emoji: '💰', descripcion: 'Total en cartera' },
+  { comando: 'hoy', emoji: '📅', descripcion: 'Cheques que se acreditan hoy' },
+  { comando: 'manana', emoji: '📅', descripcion: 'Cheques del próximo día hábil' },
+  { comando: 'semana', emoji: '📅', descripcion: 'Próximos 7 días' },
+  { comando: 'vencimientos', emoji: '📆', descripcion: 'Vencimientos por rango', uso: '/vencimientos [rango]' },
+  { comando: 'saldos', emoji: '🏦', descripcion: 'Saldos de tesorería' },
+  { comando: 'alertas', emoji: '⚠️', descripcion: 'Alertas críticas' },
+  { comando: 'cuit', emoji: '🔍', descripcion: 'Consultar CUIT', uso: '/cuit [número]' },
+  { comando: 'cliente', emoji: '👤', descripcion: 'Buscar clientes por nombre', uso: '/cliente [nombre]' },
+  { comando: 'concentracion', emoji: '🎯', descripcion: 'Ranking de exposición por CUIT', uso: '/concentracion [cantidad]' },
+  { comando: 'resumen', emoji: '📊', descripcion: 'Resumen ejecutivo' },
+  { comando: 'reporte', emoji: '📑', descripcion: 'Reporte ejecutivo en PDF' },
+  { comando: 'exportar', emoji: '📄', descripcion: 'Exportar a XLSX/CSV', uso: '/exportar [cartera|vencimientos|cuit]' },
+  { comando: 'flujo', emoji: '💵', descripcion: 'Flujo de fondos proyectado', uso: '/flujo [días]' },
+  { comando: 'planificar', emoji: '🧮', descripcion: 'Qué cheques depositar para cubrir cuentas en rojo', uso: '/planificar [días]' },
+  { comando: 'movimientos', emoji: '🔄', descripcion: 'Ingresos y salidas de cheques del día', uso: '/movimientos [fecha]' },
+  { comando: 'evolucion', emoji: '📈', descripcion: 'Evolución de cartera y saldos', uso: '/evolucion [cartera|saldos] [días]' },
+  { comando: 'notificaciones', emoji: '🔔', descripcion: 'Elegir alertas, empresa y horario de silencio' },
+  { comando: 'empresa', emoji: '🏢', descripcion: 'Empresa por defecto', uso: '/empresa [empresa|todas]' },
+  { comando: 'usuarios', emoji: '👥', descripcion: 'Chats registrados' },
+  { comando: 'revocar', emoji: '🚫', descripcion: 'Desconectar un usuario', uso: '/revocar [email]' },
+  { comando: 'broadcast', emoji: '📢', descripcion: 'Enviar un anuncio', uso: '/broadcast [texto]' },
+  { comando: 'ayuda', emoji: '❓', descripcion: 'Esta ayuda' }
+];
+
+// Tipos de notificaciones automáticas
+// Las críticas se envían aun dentro del horario de silencio del usuario
+const NOTIFICACIONES = {
+  resumen_diario: { descripcion: 'Resumen diario (8:00, días hábiles)', critica: false },
+  vencimientos_manana: { descripcion: 'Vencimientos del próximo día hábil (18:00)', critica: false },
+  validez_critica: { descripcion: 'Validez crítica (cada 6 horas)', critica: true },
+  alertas_reglas: { descripcion: 'Alertas programadas (saldos, cheques grandes, etc.)', critica: false },
+  reporte_semanal: { descripcion: 'Reporte semanal en PDF', critica: false },
+  movimientos_diarios: { descripcion: 'Ingresos y salidas de cheques del día (19:00)', critica: false },
+  salidas_cheques: { descripcion: 'Cheques depositados, entregados o anulados desde el bot', critica: false }
+};
+
+// Acciones desde botones que no corresponden a un comando
+const ACCIONES = {
+  reconocer_alertas: 'Marcar un cheque en validez crítica como "en gestión"',
+  registrar_salidas: 'Depositar, entregar o anular un cheque desde su ficha'
+};
+
+const TODOS_LOS_COMANDOS = COMANDOS.map(c => c.comando);
+
+const PERMISOS = {
+  admin: {
+    comandos: TODOS_LOS_COMANDOS,
+    notificaciones: Object.keys(NOTIFICACIONES),
+    acciones: Object.keys(ACCIONES)
+  },
+  tesoreria: {
+    comandos: ['cartera', 'hoy', 'manana', 'semana', 'vencimientos', 'saldos', 'alertas', 'cuit', 'cliente', 'concentracion', 'resumen', 'flujo', 'planificar', 'evolucion', 'movimientos', 'exportar', 'reporte', 'notificaciones', 'empresa', 'ayuda'],
+    notificaciones: ['resumen_diario', 'vencimientos_manana', 'validez_critica', 'alertas_reglas', 'reporte_semanal', 'movimientos_diarios', 'salidas_cheques'],
+    acciones: ['reconocer_alertas', 'registrar_salidas']
+  },
+  consulta: {
+    comandos: ['cartera', 'hoy', 'manana', 'semana', 'vencimientos', 'alertas', 'exportar', 'notificaciones', 'empresa', 'ayuda'],
+    notificaciones: ['vencimientos_manana', 'validez_critica'],
+    acciones: []
+  }
+};
+
+// Comandos disponibles aun sin rol reconocido
+const COMANDOS_LIBRES = ['ayuda'];
+
+/**
+ * Normalizar el nombre del rol ("Tesoreria " -> "tesoreria")
+ */
+function normalizarRol(role) {
+  return String(role || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Permisos de un rol (vacíos si el rol no existe)
+ */
+function permisosDeRol(role) {
+  return PERMISOS[normalizarRol(role)] || { comandos: [], notificaciones: [], acciones: [] };
+}
+
+/**
+ * ¿Puede el rol ejecutar el comando?
+ */
+function puedeUsarComando(role, comando) {
+  return COMANDOS_LIBRES.includes(comando) || permisosDeRol(role).comandos.includes(comando);
+}
+
+/**
+ * ¿Tiene el rol este permiso? (un comando o una acción)
+ */
+function tienePermiso(role, permiso) {
+  return puedeUsarComando(role, permiso) || permisosDeRol(role).acciones.includes(permiso);
+}
+
+/**
+ * ¿Recibe el rol este tipo de notificación?
+ */
+function recibeNotificacion(role, tipo) {
+  return permisosDeRol(role).notificaciones.includes(tipo);
+}
+
+/**
+ * Tipos de notificación que recibe el rol
+ */
+function notificacionesPermitidas(role) {
+  return permisosDeRol(role).notificaciones;
+}
+
+/**
+ * Comandos del catálogo que el rol puede ejecutar
+ */
+function comandosPermitidos(role) {
+  return COMANDOS.filter(c => puedeUsarComando(role, c.comando));
+}
+
+module.exports = {
+  COMANDOS,
+  NOTIFICACIONES,
+  ACCIONES,
+  normalizarRol,
+  puedeUsarComando,
+  tienePermiso,
+  recibeNotificacion,
+  notificacionesPermitidas,
+  comandosPermitidos
+};
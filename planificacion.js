@@ -0,0 +1,148 @@
+/**
+ * Planificación de depósitos para cubrir cuentas en rojo
+ *
+ * Para cada cuenta de saldos_contables_sync por debajo de su mínimo propone
+ * qué cheques en cartera de la misma empresa depositar y cuándo. Entran los
+ * cheques ya cobrables (vencidos y todavía en validez) y los que se acreditan
+ * dentro del horizonte. Se eligen primero los más cercanos a perder validez y
+ * se limita cuánto del faltante se cubre con un mismo emisor; solo si no
+ * alcanza con el resto se vuelve a los emisores ya usados.
+ * Las cuentas con mayor faltante eligen primero y un cheque se propone una
+ * sola vez.
+ */
+
+const alertasValidez = require('./alertasValidez');
+const { empresaDeSaldo } = require('./empresas');
+const { importe, saldoDe } = require('./tesoreria');
+const { diaDeAcreditacion, proximoDiaHabil, aISO, sumarDias } = require('./fechas');
+
+// Parte máxima del faltante de una cuenta que se cubre con un mismo CUIT
+const MAX_PARTICIPACION_EMISOR = 0.4;
+
+/**
+ * Cheques depositables dentro del horizonte, del más urgente al menos urgente
+ * Devuelve [{ cheque, fecha, restantes }] (fecha = día en que se puede depositar)
+ */
+function candidatos(cheques, hoy, dias) {
+  const primerDia = proximoDiaHabil(hoy);
+  const limite = sumarDias(hoy, dias);
+
+  return cheques
+    .filter(c => !c.fecden && importe(c) > 0)
+    .map(c => {
+      const acreditacion = diaDeAcreditacion(c.fvto);
+      return {
+        cheque: c,
+        fecha: acreditacion < primerDia ? primerDia : acreditacion,
+        restantes: alertasValidez.diasRestantes(c, hoy)
+      };
+    })
+    .filter(x => x.restantes >= 0 && x.fecha < limite)
+    .sort((a, b) =>
+      a.restantes - b.restantes ||
+      a.fecha - b.fecha ||
+      importe(b.cheque) - importe(a.cheque)
+    );
+}
+
+/**
+ * Elegir cheques hasta cubrir un faltante
+ * Primera pasada respetando el tope por emisor; si no alcanza, segunda pasada
+ * con los cheques salteados. Devuelve los elegidos en orden de elección.
+ */
+function elegir(disponibles, faltante) {
+  const tope = faltante * MAX_PARTICIPACION_EMISOR;
+  const porEmisor = {};
+  const elegidos = [];
+  const salteados = [];
+  let cubierto = 0;
+
+  for (const x of disponibles) {
+    if (cubierto >= faltante) break;
+    const emisor = x.cheque.cuitfirm || x.cheque.origen || 'S/D';
+    const monto = importe(x.cheque);
+
+    // Un emisor puede pasar el tope solo con su primer cheque
+    if (porEmisor[emisor] && porEmisor[emisor] + monto > tope) {
+      salteados.push(x);
+      continue;
+    }
+    porEmisor[emisor] = (porEmisor[emisor] || 0) + monto;
+    elegidos.push(x);
+    cubierto += monto;
+  }
+
+  for (const x of salteados) {
+    if (cubierto >= faltante) break;
+    elegidos.push(x);
+    cubierto += importe(x.cheque);
+  }
+
+  return elegidos;
+}
+
+/**
+ * Agrupar los cheques elegidos en lotes por día de depósito
+ * Devuelve [{ fecha, cheques: [{ cheque, restantes }], monto, acumulado }]
+ */
+function armarLotes(elegidos) {
+  const porDia = new Map();
+  elegidos.forEach(x => {
+    const clave = aISO(x.fecha);
+    if (!porDia.has(clave)) porDia.set(clave, { fecha: x.fecha, cheques: [], monto: 0 });
+    const lote = porDia.get(clave);
+    lote.cheques.push(x);
+    lote.monto += importe(x.cheque);
+  });
+
+  let acumulado = 0;
+  return [...porDia.values()]
+    .sort((a, b) => a.fecha - b.fecha)
+    .map(lote => {
+      acumulado += lote.monto;
+      return { ...lote, acumulado };
+    });
+}
+
+/**
+ * Planificar depósitos
+ * `minimoDe(saldo)` devuelve el saldo mínimo de una cuenta.
+ * Las cuentas sin empresa pueden usar cheques de cualquier empresa.
+ * Devuelve [{ saldo, empresa, minimo, faltante, lotes, propuesto, restante }]
+ * ordenado por faltante (restante > 0 = no alcanza con los cheques disponibles)
+ */
+function planificarDepositos({ saldos, cheques, hoy, dias, minimoDe }) {
+  const usados = new Set();
+  const disponibles = candidatos(cheques, hoy, dias);
+
+  return saldos
+    .map(saldo => ({ saldo, minimo: minimoDe(saldo) }))
+    .map(x => ({ ...x, faltante: x.minimo - saldoDe(x.saldo) }))
+    .filter(x => x.faltante > 0)
+    .sort((a, b) => b.faltante - a.faltante)
+    .map(({ saldo, minimo, faltante }) => {
+      const empresa = empresaDeSaldo(saldo);
+      const propios = disponibles.filter(x =>
+        !usados.has(x.cheque.id) && (!empresa || x.cheque.empresa === empresa)
+      );
+
+      const elegidos = elegir(propios, faltante);
+      elegidos.forEach(x => usados.add(x.cheque.id));
+
+      const propuesto = elegidos.reduce((sum, x) => sum + importe(x.cheque), 0);
+      return {
+        saldo,
+        empresa,
+        minimo,
+        faltante,
+        lotes: armarLotes(elegidos),
+        propuesto,
+        restante: Math.max(0, faltante - propuesto)
+      };
+    });
+}
+
+module.exports = {
+  MAX_PARTICIPACION_EMISOR,
+  planificarDepositos
+};
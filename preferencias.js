@@ -0,0 +1,101 @@
+/**
+ * Preferencias de notificación por usuario
+ *
+ * Se guardan en la tabla `bot_preferencias`:
+ *   tipos          - tipos de notificación elegidos (null = todos los del rol)
+ *   empresa        - código de empresa (null = todas)
+ *   silencio_desde - hora de inicio del silencio (0-23, hora Argentina)
+ *   silencio_hasta - hora de fin del silencio (0-23, hora Argentina)
+ */
+
+const supabase = require('./supabaseClient');
+const { horaArgentina } = require('./fechas');
+
+/**
+ * Preferencias por defecto: todo activado, sin silencio
+ */
+function preferenciasPorDefecto() {
+  return { tipos: null, empresa: null, silencioDesde: null, silencioHasta: null };
+}
+
+/**
+ * Cargar las preferencias de todos los chats (chatId -> preferencias)
+ */
+async function cargarPreferencias() {
+  const { data, error } = await supabase
+    .from('bot_preferencias')
+    .select('chat_id, tipos, empresa, silencio_desde, silencio_hasta');
+
+  if (error) throw error;
+
+  const preferencias = new Map();
+  (data || []).forEach(fila => {
+    preferencias.set(Number(fila.chat_id), {
+      tipos: fila.tipos,
+      empresa: fila.empresa,
+      silencioDesde: fila.silencio_desde,
+      silencioHasta: fila.silencio_hasta
+    });
+  });
+  return preferencias;
+}
+
+/**
+ * Guardar las preferencias de un chat
+ */
+async function guardarPreferencias(chatId, preferencias) {
+  const { error } = await supabase
+    .from('bot_preferencias')
+    .upsert({
+      chat_id: chatId,
+      tipos: preferencias.tipos,
+      empresa: preferencias.empresa,
+      silencio_desde: preferencias.silencioDesde,
+      silencio_hasta: preferencias.silencioHasta
+    }, { onConflict: 'chat_id' });
+
+  if (error) throw error;
+}
+
+/**
+ * ¿El usuario eligió recibir este tipo de notificación?
+ */
+function quiereTipo(preferencias, tipo) {
+  return !preferencias.tipos || preferencias.tipos.includes(tipo);
+}
+
+/**
+ * ¿Está el usuario dentro de su horario de silencio?
+ * El rango puede cruzar la medianoche (ej. 22 a 7)
+ */
+function estaEnSilencio(preferencias, fecha = new Date()) {
+  const { silencioDesde: desde, silencioHasta: hasta } = preferencias;
+  if (desde === null || desde === undefined || hasta === null || hasta === undefined) return false;
+  if (desde === hasta) return false;
+
+  const hora = horaArgentina(fecha);
+  return desde < hasta
+    ? hora >= desde && hora < hasta
+    : hora >= desde || hora < hasta;
+}
+
+/**
+ * Describir el horario de silencio ("22:00 a 07:00")
+ */
+function describirSilencio(preferencias) {
+  const { silencioDesde: desde, silencioHasta: hasta } = preferencias;
+  if (desde === null || desde === undefined || hasta === null || hasta === undefined) {
+    return 'Sin horario de silencio';
+  }
+  const hh = h => String(h).padStart(2, '0') + ':00';
+  return `${hh(desde)} a ${hh(hasta)}`;
+}
+
+module.exports = {
+  preferenciasPorDefecto,
+  cargarPreferencias,
+  guardarPreferencias,
+  quiereTipo,
+  estaEnSilencio,
+  describirSilencio
+};
@@ -0,0 +1,181 @@
+/**
+ * Interpretación de rangos de fechas para consultas de vencimientos
+ *
+ * Formatos aceptados (fechas en formato argentino):
+ *   hoy | mañana | semana  (mañana = próximo día hábil)
+ *   +30                   próximos 30 días
+ *   15/11                 un día (año actual si no se indica)
+ *   15/11 30/11           del 15/11 al 30/11 inclusive (también "15/11 al 30/11" o "15/11-30/11")
+ *   noviembre [2026]      mes completo (si ya pasó, el del año próximo)
+ *   este mes | próximo mes
+ *
+ * Los rangos son [desde, hasta) en fechas UTC a las 00:00 y se refieren al
+ * día de acreditación de los cheques (ver fechas.js).
+ */
+
+const { aISO, sumarDias, proximoDiaHabil, fechaConDia } = require('./fechas');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Rango máximo permitido en días
+const MAX_DIAS = 366;
+
+const MESES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+/**
+ * Quitar acentos y pasar a minúsculas
+ */
+function normalizar(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+function fechaUTC(anio, mes, dia) {
+  return new Date(Date.UTC(anio, mes, dia));
+}
+
+/**
+ * Fecha en formato YYYYMMDD (para callback_data)
+ */
+function compactar(fecha) {
+  return aISO(fecha).replace(/-/g, '');
+}
+
+/**
+ * Inverso de compactar (null si no es válida)
+ */
+function expandir(texto) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(texto || '');
+  if (!m) return null;
+  return fechaUTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+}
+
+/**
+ * Interpretar "dd/mm" o "dd/mm/aaaa" (null si no es una fecha válida)
+ */
+function interpretarFecha(texto, anioPorDefecto) {
+  const m = /^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/.exec(texto);
+  if (!m) return null;
+
+  const dia = Number(m[1]);
+  const mes = Number(m[2]) - 1;
+  let anio = m[3] ? Number(m[3]) : anioPorDefecto;
+  if (anio < 100) anio += 2000;
+
+  const fecha = fechaUTC(anio, mes, dia);
+  if (fecha.getUTCMonth() !== mes || fecha.getUTCDate() !== dia) return null;
+  return { fecha, conAnio: Boolean(m[3]) };
+}
+
+/**
+ * Rango de un mes completo
+ */
+function rangoMes(anio, mes) {
+  return { desde: fechaUTC(anio, mes, 1), hasta: fechaUTC(anio, mes + 1, 1) };
+}
+
+/**
+ * Interpretar el texto de un rango
+ * Devuelve { desde, hasta } o null si no se reconoce
+ */
+function interpretarRango(texto, hoy) {
+  const t = normalizar(texto).replace(/\s+/g, ' ');
+  const anio = hoy.getUTCFullYear();
+  const mes = hoy.getUTCMonth();
+  let rango = null;
+
+  if (t === 'hoy') {
+    rango = { desde: hoy, hasta: sumarDias(hoy, 1) };
+  } else if (t === 'manana') {
+    const siguiente = proximoDiaHabil(sumarDias(hoy, 1));
+    rango = { desde: siguiente, hasta: sumarDias(siguiente, 1) };
+  } else if (t === 'semana') {
+    rango = { desde: hoy, hasta: sumarDias(hoy, 7) };
+  } else if (/^\+\d+$/.test(t)) {
+    rango = { desde: hoy, hasta: sumarDias(hoy, Number(t.slice(1))) };
+  } else if (t === 'este mes') {
+    rango = rangoMes(anio, mes);
+  } else if (t === 'proximo mes' || t === 'mes que viene') {
+    rango = rangoMes(anio, mes + 1);
+  } else {
+    const mesNombre = /^([a-z]+)(?: (?:de )?(\d{4}))?$/.exec(t);
+    const indiceMes = mesNombre ? MESES.indexOf(mesNombre[1]) : -1;
+
+    if (indiceMes >= 0) {
+      const anioMes = mesNombre[2] ? Number(mesNombre[2]) : (indiceMes < mes ? anio + 1 : anio);
+      rango = rangoMes(anioMes, indiceMes);
+    } else {
+      const partes = t.split(/\s*(?:-|\bal\b|\s)\s*/).filter(Boolean);
+      const inicio = partes.length >= 1 && partes.length <= 2 ? interpretarFecha(partes[0], anio) : null;
+      const fin = partes.length === 2 ? interpretarFecha(partes[1], inicio?.fecha.getUTCFullYear() ?? anio) : null;
+
+      if (inicio && partes.length === 1) {
+        rango = { desde: inicio.fecha, hasta: sumarDias(inicio.fecha, 1) };
+      } else if (inicio && fin) {
+        let hasta = fin.fecha;
+        // "15/12 15/01": el fin sin año cae en el año siguiente
+        if (hasta < inicio.fecha && !fin.conAnio) {
+          hasta = fechaUTC(hasta.getUTCFullYear() + 1, hasta.getUTCMonth(), hasta.getUTCDate());
+        }
+        rango = { desde: inicio.fecha, hasta: sumarDias(hasta, 1) };
+      }
+    }
+  }
+
+  if (!rango) return null;
+
+  const dias = Math.round((rango.hasta - rango.desde) / DIA_MS);
+  if (dias < 1 || dias > MAX_DIAS) return null;
+  return rango;
+}
+
+/**
+ * Describir un rango para títulos y mensajes
+ * Devuelve { titulo, frase } (ej. { titulo: 'PRÓXIMOS 7 DÍAS', frase: 'en los próximos 7 días' })
+ */
+function describirRango({ desde, hasta }, hoy) {
+  const dias = Math.round((hasta - desde) / DIA_MS);
+  const corta = f => f.toLocaleDateString('es-AR', { timeZone: 'UTC' });
+
+  if (dias === 1) {
+    if (desde.getTime() === hoy.getTime()) return { titulo: 'VENCIMIENTOS HOY', frase: 'hoy' };
+    if (desde.getTime() === sumarDias(hoy, 1).getTime()) return { titulo: 'VENCIMIENTOS MAÑANA', frase: 'mañana' };
+    if (desde.getTime() === proximoDiaHabil(sumarDias(hoy, 1)).getTime()) {
+      return {
+        titulo: `VENCIMIENTOS PRÓXIMO DÍA HÁBIL (${fechaConDia(desde).toUpperCase()})`,
+        frase: `el próximo día hábil (${fechaConDia(desde)})`
+      };
+    }
+    return { titulo: `VENCIMIENTOS ${corta(desde)}`, frase: `el ${corta(desde)}` };
+  }
+
+  if (desde.getTime() === hoy.getTime()) {
+    return { titulo: `PRÓXIMOS ${dias} DÍAS`, frase: `en los próximos ${dias} días` };
+  }
+
+  const ultimo = sumarDias(hasta, -1);
+  if (desde.getUTCDate() === 1 && hasta.getUTCDate() === 1 && dias <= 31) {
+    const nombre = `${MESES[desde.getUTCMonth()]} ${desde.getUTCFullYear()}`;
+    return { titulo: `VENCIMIENTOS ${nombre.toUpperCase()}`, frase: `en ${nombre}` };
+  }
+
+  return {
+    titulo: `VENCIMIENTOS ${corta(desde)} AL ${corta(ultimo)}`,
+    frase: `entre el ${corta(desde)} y el ${corta(ultimo)}`
+  };
+}
+
+module.exports = {
+  MAX_DIAS,
+  aISO,
+  compactar,
+  expandir,
+  interpretarRango,
+  describirRango
+};
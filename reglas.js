@@ -0,0 +1,283 @@
+/**
+ * Motor de reglas de alerta
+ *
+ * Las reglas se leen de la tabla `bot_reglas_alerta` y, si está vacía o no
+ * existe, de `reglasAlertas.json`. Cada regla tiene:
+ *   id, tipo, umbral, severidad (critica | alta | media),
+ *   horario (expresión cron en hora Argentina, o null = solo en /alertas),
+ *   alcance opcional: empresa, cuenta (codigo_cuenta), cuit,
+ *   dias (solo vencimientos_dia) y activa.
+ *
+ * /alertas y las notificaciones programadas evalúan las mismas reglas.
+ */
+
+const path = require('path');
+const supabase = require('./supabaseClient');
+const alertasValidez = require('./alertasValidez');
+const { empresaDeSaldo } = require('./empresas');
+const { calcularConcentracion } = require('./concentracion');
+const { soloDigitos } = require('./cuit');
+const { importe, saldoDe, sumarImportes } = require('./tesoreria');
+const { diaDeAcreditacion, aISO } = require('./fechas');
+const { formatearMoneda, formatearFecha, escaparMarkdown } = require('./formato');
+
+const ARCHIVO_REGLAS = path.join(__dirname, 'reglasAlertas.json');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const SEVERIDADES = {
+  critica: { orden: 0, emoji: '🔴' },
+  alta: { orden: 1, emoji: '🟠' },
+  media: { orden: 2, emoji: '🟡' }
+};
+
+// Umbral de concentración si no hay regla concentracion_cuit cargada
+const CONCENTRACION_UMBRAL_DEFECTO = 15;
+
+// Reglas activas cargadas (ver cargarReglas)
+let reglasVigentes = [];
+
+/**
+ * Normalizar una regla leída de la tabla o del archivo
+ */
+function normalizarRegla(regla) {
+  return {
+    id: String(regla.id),
+    tipo: regla.tipo,
+    umbral: Number(regla.umbral) || 0,
+    severidad: SEVERIDADES[regla.severidad] ? regla.severidad : 'media',
+    horario: regla.horario || null,
+    empresa: regla.empresa || null,
+    cuenta: regla.cuenta || null,
+    cuit: regla.cuit || null,
+    dias: Number(regla.dias) || 7,
+    activa: regla.activa !== false
+  };
+}
+
+/**
+ * Cargar las reglas (tabla bot_reglas_alerta o archivo por defecto)
+ */
+async function cargarReglas() {
+  let origen = 'bot_reglas_alerta';
+  let filas = null;
+
+  const { data, error } = await supabase
+    .from('bot_reglas_alerta')
+    .select('*');
+
+  if (error) {
+    console.error('Error leyendo bot_reglas_alerta, se usa el archivo:', error.message);
+  } else {
+    filas = data;
+  }
+
+  if (!filas || filas.length === 0) {
+    origen = 'reglasAlertas.json';
+    delete require.cache[ARCHIVO_REGLAS];
+    filas = require(ARCHIVO_REGLAS);
+  }
+
+  reglasVigentes = filas
+    .map(normalizarRegla)
+    .filter(r => r.activa && EVALUADORES[r.tipo]);
+
+  console.log(`📏 ${reglasVigentes.length} reglas de alerta cargadas (${origen})`);
+  return reglasVigentes;
+}
+
+/**
+ * Reglas activas actualmente cargadas
+ */
+function obtenerReglas() {
+  return reglasVigentes;
+}
+
+/**
+ * Cheques dentro del alcance de la regla (empresa / CUIT, comparado por sus dígitos)
+ */
+function chequesDeAlcance(regla, cheques) {
+  return cheques.filter(c =>
+    (!regla.empresa || c.empresa === regla.empresa) &&
+    (!regla.cuit || soloDigitos(c.cuitfirm) === soloDigitos(regla.cuit))
+  );
+}
+
+/**
+ * ¿Está la cuenta dentro del alcance de la regla? (empresa / cuenta)
+ */
+function cuentaEnAlcance(regla, saldo) {
+  return (!regla.empresa || empresaDeSaldo(saldo) === regla.empresa) &&
+    (!regla.cuenta || String(saldo.codigo_cuenta) === String(regla.cuenta));
+}
+
+/**
+ * Saldo mínimo de una cuenta: el mayor umbral de las reglas saldo_negativo
+ * que la alcanzan (0 si ninguna)
+ */
+function minimoDeCuenta(saldo) {
+  return reglasVigentes
+    .filter(r => r.tipo === 'saldo_negativo' && cuentaEnAlcance(r, saldo))
+    .reduce((max, r) => Math.max(max, r.umbral), 0);
+}
+
+// Evaluadores por tipo: (regla, contexto) => resultado | null
+// El contexto tiene { cheques, saldos, hoy }
+const EVALUADORES = {
+  cheques_vencidos(regla, { cheques, hoy }) {
+    const vencidos = chequesDeAlcance(regla, cheques).filter(c => diaDeAcreditacion(c.fvto) < hoy);
+    if (vencidos.length <= regla.umbral) return null;
+
+    return {
+      titulo: 'VENCIDOS',
+      resumen: `${vencidos.length} cheques`,
+      detalle: [formatearMoneda(sumarImportes(vencidos))]
+    };
+  },
+
+  validez_critica(regla, { cheques, hoy }) {
+    const criticos = alertasValidez.chequesEnValidezCritica(chequesDeAlcance(regla, cheques), hoy, regla.umbral);
+    if (criticos.length === 0) return null;
+
+    return {
+      titulo: 'VALIDEZ CRÍTICA',
+      resumen: `${criticos.length} cheques`,
+      detalle: [formatearMoneda(sumarImportes(criticos)), '¡Próximos a perder validez!']
+    };
+  },
+
+  concentracion_cuit(regla, { cheques }) {
+    const { total, ranking } = calcularConcentracion(chequesDeAlcance(regla, cheques));
+    if (total <= 0) return null;
+
+    const excedidos = ranking.filter(x => x.participacion > regla.umbral);
+    if (excedidos.length === 0) return null;
+
+    return {
+      titulo: 'CONCENTRACIÓN',
+      resumen: `${excedidos.length} CUITs`,
+      detalle: [
+        `Superan ${regla.umbral}% de cartera`,
+        ...excedidos.slice(0, 3).map(x =>
+          `${escaparMarkdown(x.origen)} (${escaparMarkdown(x.cuit)}): ${formatearMoneda(x.monto)} - ${x.participacion.toFixed(1)}%`
+        ),
+        'Ranking completo: /concentracion'
+      ]
+    };
+  },
+
+  saldo_negativo(regla, { saldos }) {
+    const bajos = saldos.filter(s => cuentaEnAlcance(regla, s) && saldoDe(s) < regla.umbral);
+    if (bajos.length === 0) return null;
+
+    return {
+      titulo: regla.umbral === 0 ? 'SALDO NEGATIVO' : 'SALDO BAJO',
+      resumen: `${bajos.length} cuentas`,
+      detalle: bajos.map(s => `${escaparMarkdown(s.nombre_cuenta)}: ${formatearMoneda(s.saldo_total)}`)
+    };
+  },
+
+  cheque_grande(regla, { cheques }) {
+    const grandes = chequesDeAlcance(regla, cheques)
+      .filter(c => importe(c) >= regla.umbral)
+      .sort((a, b) => importe(b) - importe(a));
+    if (grandes.length === 0) return null;
+
+    return {
+      titulo: 'CHEQUES GRANDES',
+      resumen: `${grandes.length} cheques`,
+      detalle: [
+        `Desde ${formatearMoneda(regla.umbral)}`,
+        ...grandes.slice(0, 3).map(c => `${escaparMarkdown(c.origen || 'S/N')}: ${formatearMoneda(c.implocal)}`)
+      ]
+    };
+  },
+
+  vencimientos_dia(regla, { cheques, hoy }) {
+    const limite = new Date(hoy.getTime() + regla.dias * DIA_MS);
+    const porDia = {};
+    chequesDeAlcance(regla, cheques).forEach(c => {
+      const dia = diaDeAcreditacion(c.fvto);
+      if (dia < hoy || dia >= limite) return;
+      const fecha = aISO(dia);
+      porDia[fecha] = (porDia[fecha] || 0) + importe(c);
+    });
+
+    const cargados = Object.entries(porDia)
+      .filter(([, monto]) => monto >= regla.umbral)
+      .sort(([a], [b]) => a.localeCompare(b));
+    if (cargados.length === 0) return null;
+
+    return {
+      titulo: 'VENCIMIENTOS CONCENTRADOS',
+      resumen: `${cargados.length} días`,
+      detalle: [
+        `Más de ${formatearMoneda(regla.umbral)} en un día (próximos ${regla.dias} días)`,
+        ...cargados.map(([fecha, monto]) => `${formatearFecha(fecha)}: ${formatearMoneda(monto)}`)
+      ]
+    };
+  }
+};
+
+/**
+ * Evaluar reglas sobre los datos actuales
+ * Devuelve [{ regla, titulo, resumen, detalle }] de las reglas disparadas,
+ * ordenadas por severidad
+ */
+function evaluarReglas(lista, contexto) {
+  return lista
+    .map(regla => {
+      const resultado = EVALUADORES[regla.tipo](regla, contexto);
+      return resultado ? { regla, ...resultado } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => SEVERIDADES[a.regla.severidad].orden - SEVERIDADES[b.regla.severidad].orden);
+}
+
+/**
+ * Reglas vigentes disparadas (las mismas de /alertas y las notificaciones)
+ */
+function evaluarAlertas({ cheques, saldos, hoy }) {
+  return evaluarReglas(reglasVigentes, { cheques, saldos, hoy });
+}
+
+/**
+ * Umbral de la regla de concentración que aplica a una empresa (la misma de /alertas)
+ */
+function umbralConcentracion(empresa) {
+  const regla = reglasVigentes.find(r => r.tipo === 'concentracion_cuit' && (!r.empresa || r.empresa === empresa));
+  return regla ? regla.umbral : CONCENTRACION_UMBRAL_DEFECTO;
+}
+
+/**
+ * Umbral de la regla validez_critica (undefined si no hay: se usa la ventana por defecto)
+ */
+function umbralValidez() {
+  return reglasVigentes.find(r => r.tipo === 'validez_critica')?.umbral;
+}
+
+/**
+ * Formatear un resultado para Telegram (Markdown)
+ */
+function formatearResultado(resultado) {
+  const { emoji } = SEVERIDADES[resultado.regla.severidad];
+  const alcance = [resultado.regla.empresa, resultado.regla.cuenta, resultado.regla.cuit]
+    .filter(Boolean)
+    .map(escaparMarkdown)
+    .join(' / ');
+
+  return `${emoji} *${resultado.titulo}:* ${resultado.resumen}` +
+    (alcance ? ` (${alcance})` : '') +
+    resultado.detalle.map(linea => `\n   ${linea}`).join('');
+}
+
+module.exports = {
+  cargarReglas,
+  obtenerReglas,
+  evaluarReglas,
+  evaluarAlertas,
+  umbralConcentracion,
+  umbralValidez,
+  formatearResultado,
+  minimoDeCuenta
+};
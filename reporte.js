@@ -0,0 +1,200 @@
+/**
+ * Reporte ejecutivo en PDF
+ *
+ * Se genera localmente con pdfkit (sin servicios externos) a partir de los
+ * mismos datos que usan los comandos: cartera por empresa, cronograma de
+ * vencimientos, saldos de tesorería, alertas activas y mayores CUITs.
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatearMoneda, formatearFecha } = require('./formato');
+const { calcularConcentracion, nivelHhi } = require('./concentracion');
+const { sumarImportes, totalSaldos } = require('./tesoreria');
+const { diaDeAcreditacion, fechaHoraArgentina } = require('./fechas');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Tramos del cronograma de vencimientos (días desde hoy hasta la
+// acreditación, [desde, hasta))
+const TRAMOS = [
+  { nombre: 'Vencidos', desde: -Infinity, hasta: 0 },
+  { nombre: 'Próximos 7 días', desde: 0, hasta: 7 },
+  { nombre: '8 a 15 días', desde: 7, hasta: 15 },
+  { nombre: '16 a 30 días', desde: 15, hasta: 30 },
+  { nombre: '31 a 60 días', desde: 30, hasta: 60 },
+  { nombre: 'Más de 60 días', desde: 60, hasta: Infinity }
+];
+
+// Cantidad de CUITs en el ranking de exposición
+const TOP_CUITS = 10;
+
+const MARGEN = 50;
+
+/**
+ * Quitar los escapes de Markdown de los textos de alertas
+ */
+function sinMarkdown(texto) {
+  return String(texto).replace(/\\([_*`[])/g, '$1');
+}
+
+/**
+ * Título de sección
+ */
+function seccion(doc, titulo) {
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#1f3a5f').text(titulo, MARGEN);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+}
+
+/**
+ * Dibujar una tabla simple
+ * columnas: [{ titulo, ancho, derecha }], filas: [[texto]]; la última fila
+ * se resalta si `conTotal` es true
+ */
+function tabla(doc, columnas, filas, { conTotal = false } = {}) {
+  const alto = 16;
+
+  const dibujarFila = (celdas, negrita) => {
+    if (doc.y + alto > doc.page.height - MARGEN) doc.addPage();
+    const y = doc.y;
+    let x = MARGEN;
+    doc.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    celdas.forEach((celda, i) => {
+      const col = columnas[i];
+      doc.text(String(celda ?? ''), x + 2, y + 4, {
+        width: col.ancho - 4,
+        align: col.derecha ? 'right' : 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += col.ancho;
+    });
+    doc.moveTo(MARGEN, y + alto).lineTo(x, y + alto).strokeColor('#cccccc').stroke();
+    doc.y = y + alto;
+  };
+
+  dibujarFila(columnas.map(c => c.titulo), true);
+  filas.forEach((fila, i) => dibujarFila(fila, conTotal && i === filas.length - 1));
+  doc.x = MARGEN;
+}
+
+/**
+ * Generar el reporte
+ * datos: { cheques (en cartera), saldos, alertas (resultados de reglas),
+ *          empresas, hoy }
+ * Devuelve un Buffer con el PDF
+ */
+function generarReportePdf({ cheques, saldos, alertas, empresas, hoy }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGEN, info: { Title: 'Reporte Ejecutivo de Tesorería' } });
+    const partes = [];
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+
+    const totalCartera = sumarImportes(cheques);
+
+    // Encabezado
+    doc.font('Helvetica-Bold').fontSize(18).text('Reporte Ejecutivo de Tesorería');
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(`${empresas.length === 1 ? empresas[0].nombre : 'Grande State'} - ${fechaHoraArgentina()}`);
+    doc.fillColor('black');
+
+    // Cartera por empresa
+    seccion(doc, 'Cartera por empresa');
+    const codigos = empresas.map(e => e.codigo);
+    const filasEmpresa = empresas.map(e => {
+      const propios = cheques.filter(c => c.empresa === e.codigo);
+      return [e.nombre, propios.length, formatearMoneda(sumarImportes(propios))];
+    });
+    const otros = cheques.filter(c => !codigos.includes(c.empresa));
+    if (otros.length > 0) filasEmpresa.push(['Sin empresa', otros.length, formatearMoneda(sumarImportes(otros))]);
+    filasEmpresa.push(['Total', cheques.length, formatearMoneda(totalCartera)]);
+
+    tabla(doc, [
+      { titulo: 'Empresa', ancho: 250 },
+      { titulo: 'Cheques', ancho: 80, derecha: true },
+      { titulo: 'Monto', ancho: 165, derecha: true }
+    ], filasEmpresa, { conTotal: true });
+
+    // Cronograma de vencimientos
+    seccion(doc, 'Cronograma de vencimientos');
+    const filasTramos = TRAMOS.map(tramo => {
+      const delTramo = cheques.filter(c => {
+        const dias = Math.round((diaDeAcreditacion(c.fvto).getTime() - hoy.getTime()) / DIA_MS);
+        return dias >= tramo.desde && dias < tramo.hasta;
+      });
+      const monto = sumarImportes(delTramo);
+      const porcentaje = totalCartera > 0 ? (monto / totalCartera * 100).toFixed(1) + '%' : '-';
+      return [tramo.nombre, delTramo.length, formatearMoneda(monto), porcentaje];
+    });
+
+    tabla(doc, [
+      { titulo: 'Tramo', ancho: 180 },
+      { titulo: 'Cheques', ancho: 70, derecha: true },
+      { titulo: 'Monto', ancho: 165, derecha: true },
+      { titulo: '% cartera', ancho: 80, derecha: true }
+    ], filasTramos);
+
+    // Saldos de tesorería
+    seccion(doc, 'Saldos de tesorería');
+    if (saldos.length === 0) {
+      doc.text('No hay datos de saldos disponibles.');
+    } else {
+      tabla(doc, [
+        { titulo: 'Cuenta', ancho: 330 },
+        { titulo: 'Saldo', ancho: 165, derecha: true }
+      ], [
+        ...saldos.map(s => [s.nombre_cuenta, formatearMoneda(s.saldo_total)]),
+        ['Total', formatearMoneda(totalSaldos(saldos))]
+      ], { conTotal: true });
+    }
+
+    // Alertas activas
+    seccion(doc, 'Alertas activas');
+    if (alertas.length === 0) {
+      doc.text('No hay alertas activas.');
+    } else {
+      alertas.forEach(a => {
+        doc.font('Helvetica-Bold').text(`[${a.regla.severidad.toUpperCase()}] ${a.titulo}: ${a.resumen}`);
+        doc.font('Helvetica');
+        a.detalle.forEach(linea => doc.text(`    ${sinMarkdown(linea)}`));
+        doc.moveDown(0.3);
+      });
+    }
+
+    // Mayores exposiciones por CUIT
+    seccion(doc, `Mayores exposiciones por CUIT (top ${TOP_CUITS})`);
+    const concentracion = calcularConcentracion(cheques);
+    doc.text(`Índice de Herfindahl: ${Math.round(concentracion.hhi)} (concentración ${nivelHhi(concentracion.hhi).nombre}, ${concentracion.emisores} emisores)`);
+    if (concentracion.sinCuit.cantidad > 0) {
+      doc.text(`Sin CUIT (fuera del ranking): ${concentracion.sinCuit.cantidad} cheques - ${formatearMoneda(concentracion.sinCuit.monto)}`);
+    }
+    doc.moveDown(0.3);
+
+    const ranking = concentracion.ranking
+      .slice(0, TOP_CUITS)
+      .map(x => [
+        x.cuit,
+        x.origen,
+        x.cantidad,
+        formatearMoneda(x.monto),
+        concentracion.total > 0 ? x.participacion.toFixed(1) + '%' : '-',
+        formatearFecha(x.proximo)
+      ]);
+
+    tabla(doc, [
+      { titulo: 'CUIT', ancho: 80 },
+      { titulo: 'Cliente', ancho: 140 },
+      { titulo: 'Cheques', ancho: 45, derecha: true },
+      { titulo: 'Monto', ancho: 105, derecha: true },
+      { titulo: '%', ancho: 50, derecha: true },
+      { titulo: 'Próx. vto', ancho: 75, derecha: true }
+    ], ranking);
+
+    doc.end();
+  });
+}
+
+module.exports = { generarReportePdf };
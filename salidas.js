@@ -0,0 +1,105 @@
+/**
+ * Salidas de cheques registradas desde el bot (depositar, entregar, anular)
+ *
+ * Registrar una salida completa `fecden` y `destino` en cheques_valores (solo
+ * si el cheque sigue en cartera) y deja un registro en la tabla
+ * `bot_auditoria_cheques` con quién, cuándo y el estado anterior del cheque.
+ * Sin registro de auditoría no hay salida.
+ */
+
+const supabase = require('./supabaseClient');
+const { invalidarCache } = require('./consultas');
+const { aISO } = require('./fechas');
+
+// Tipos de salida: qué se le pide al usuario y cómo se guarda el destino
+const TIPOS_SALIDA = {
+  dep: { accion: 'depositar', boton: '🏦 Depositar', pasado: 'depositado', pregunta: 'la cuenta o banco donde se depositó' },
+  ent: { accion: 'entregar', boton: '🤝 Entregar', pasado: 'entregado', pregunta: 'a quién se entregó (proveedor o persona)' },
+  anu: { accion: 'anular', boton: '🚫 Anular', pasado: 'anulado', pregunta: 'el motivo de la anulación' }
+};
+
+// Largo máximo del destino
+const MAX_DESTINO = 120;
+
+/**
+ * Destino que se guarda en cheques_valores ("Anulado: motivo" para anulaciones)
+ */
+function destinoDe(tipo, texto) {
+  const limpio = String(texto || '').replace(/\s+/g, ' ').trim().slice(0, MAX_DESTINO);
+  return tipo === 'anu' ? `Anulado: ${limpio}` : limpio;
+}
+
+/**
+ * Registrar la salida de un cheque
+ * Devuelve { ok: true, cheque } con el cheque actualizado, o { ok: false, cheque }
+ * si ya no estaba en cartera (cheque null si no existe)
+ *
+ * La auditoría se guarda antes de tocar el cheque: si no se puede guardar, se
+ * lanza el error y el cheque queda como estaba. Si después el cheque no se
+ * actualiza, se borra el registro de auditoría.
+ */
+async function registrarSalida({ chequeId, tipo, destino, usuario, chatId, hoy }) {
+  const { data: anterior, error: errorLectura } = await supabase
+    .from('cheques_valores')
+    .select('*')
+    .eq('id', chequeId)
+    .maybeSingle();
+
+  if (errorLectura) throw errorLectura;
+  if (!anterior || anterior.fecden) return { ok: false, cheque: anterior };
+
+  const cambios = { fecden: aISO(hoy), destino: destinoDe(tipo, destino) };
+
+  const { data: auditoria, error: errorAuditoria } = await supabase
+    .from('bot_auditoria_cheques')
+    .insert({
+      cheque_id: String(chequeId),
+      accion: TIPOS_SALIDA[tipo].accion,
+      fecden: cambios.fecden,
+      destino: cambios.destino,
+      email: usuario.email,
+      chat_id: chatId,
+      anterior
+    })
+    .select('id')
+    .single();
+
+  if (errorAuditoria) throw errorAuditoria;
+
+  // Solo si sigue en cartera, para no pisar una salida registrada en paralelo
+  const { data: actualizados, error } = await supabase
+    .from('cheques_valores')
+    .update(cambios)
+    .eq('id', chequeId)
+    .is('fecden', null)
+    .select();
+
+  if (error || !actualizados || actualizados.length === 0) {
+    await borrarAuditoria(auditoria.id);
+    if (error) throw error;
+    return { ok: false, cheque: anterior };
+  }
+
+  // La cartera cambió: descartar las lecturas en caché
+  invalidarCache();
+
+  return { ok: true, cheque: { ...anterior, ...cambios } };
+}
+
+/**
+ * Borrar el registro de auditoría de una salida que no se aplicó
+ */
+async function borrarAuditoria(id) {
+  const { error } = await supabase
+    .from('bot_auditoria_cheques')
+    .delete()
+    .eq('id', id);
+
+  if (error) console.error(`Error borrando la auditoría ${id} de una salida no aplicada:`, error);
+}
+
+module.exports = {
+  TIPOS_SALIDA,
+  destinoDe,
+  registrarSalida
+};
@@ -0,0 +1,115 @@
+/**
+ * Chequeos de disponibilidad para /readyz
+ *
+ * El bot está listo cuando Supabase responde con las credenciales
+ * configuradas y Telegram acepta el token, con el polling funcionando o el
+ * webhook de esta instancia registrado. Los resultados se cachean unos
+ * segundos para que un chequeo frecuente del hosting no consulte los
+ * servicios en cada pedido.
+ */
+
+const supabase = require('./supabaseClient');
+
+// Vigencia de un chequeo (ms)
+const CACHE_MS = 15 * 1000;
+
+// Tiempo máximo de espera de cada servicio (ms)
+const TIEMPO_MAXIMO_MS = 5 * 1000;
+
+// El polling se considera caído si hubo un error en este lapso (ms)
+const VENTANA_POLLING_MS = 60 * 1000;
+
+const cache = new Map();
+let ultimoErrorPolling = null;
+
+/**
+ * Registrar un error de polling (bot.on('polling_error'))
+ */
+function registrarErrorPolling(error) {
+  ultimoErrorPolling = { en: Date.now(), mensaje: error?.message || String(error) };
+}
+
+/**
+ * Esperar una promesa como máximo TIEMPO_MAXIMO_MS
+ */
+function conTiempoMaximo(promesa, servicio) {
+  let temporizador;
+  const limite = new Promise((resolve, reject) => {
+    temporizador = setTimeout(() => reject(new Error(`${servicio} no respondió en ${TIEMPO_MAXIMO_MS / 1000}s`)), TIEMPO_MAXIMO_MS);
+  });
+  return Promise.race([promesa, limite]).finally(() => clearTimeout(temporizador));
+}
+
+/**
+ * Ejecutar un chequeo usando el resultado cacheado si sigue vigente
+ * Devuelve { ok, detalle }
+ */
+async function chequear(nombre, fn) {
+  const previo = cache.get(nombre);
+  if (previo && Date.now() - previo.en < CACHE_MS) return previo.resultado;
+
+  let resultado;
+  try {
+    resultado = await conTiempoMaximo(fn(), nombre);
+  } catch (error) {
+    resultado = { ok: false, detalle: error.message };
+  }
+  cache.set(nombre, { en: Date.now(), resultado });
+  return resultado;
+}
+
+function estadoSupabase() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+    return Promise.resolve({ ok: false, detalle: 'faltan SUPABASE_URL o SUPABASE_ANON_KEY' });
+  }
+  return chequear('supabase', async () => {
+    const { error } = await supabase.from('bot_usuarios').select('chat_id').limit(1);
+    if (error) return { ok: false, detalle: error.message };
+    return { ok: true, detalle: 'ok' };
+  });
+}
+
+/**
+ * Estado de la conexión con Telegram
+ * `modo` es 'polling' o 'webhook' (con la `url` registrada); `recibiendo`
+ * indica si ya se arrancó la recepción
+ */
+async function estadoTelegram(bot, { modo, url, recibiendo }) {
+  if (!recibiendo) return { ok: false, detalle: 'iniciando' };
+  if (modo === 'polling') {
+    if (!bot.isPolling()) return { ok: false, detalle: 'polling detenido' };
+    if (ultimoErrorPolling && Date.now() - ultimoErrorPolling.en < VENTANA_POLLING_MS) {
+      return { ok: false, detalle: `error de polling: ${ultimoErrorPolling.mensaje}` };
+    }
+  }
+
+  return chequear('telegram', async () => {
+    const yo = await bot.getMe();
+
+    // Telegram pudo haber borrado el webhook o tenerlo apuntado a otra instancia
+    if (modo === 'webhook') {
+      const info = await bot.getWebHookInfo();
+      if (!info.url) return { ok: false, detalle: 'webhook no registrado' };
+      if (info.url !== url) return { ok: false, detalle: 'el webhook apunta a otra instancia' };
+    }
+
+    return { ok: true, detalle: `@${yo.username} (${modo})` };
+  });
+}
+
+/**
+ * Estado de todos los servicios
+ * Devuelve { ok, servicios: { supabase, telegram } }
+ */
+async function verificarDisponibilidad(bot, recepcion) {
+  const [estadoDb, estadoBot] = await Promise.all([estadoSupabase(), estadoTelegram(bot, recepcion)]);
+  return {
+    ok: estadoDb.ok && estadoBot.ok,
+    servicios: { supabase: estadoDb, telegram: estadoBot }
+  };
+}
+
+module.exports = {
+  registrarErrorPolling,
+  verificarDisponibilidad
+};
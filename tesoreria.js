@@ -0,0 +1,193 @@
+/**
+ * Cálculos de tesorería compartidos por los comandos, las notificaciones y la API
+ *
+ * Son funciones puras: reciben cheques, saldos y la fecha de hoy ya
+ * consultados (ver consultas.js) y devuelven números, fechas y listas sin
+ * formato. Los importes nulos o no numéricos cuentan como 0 (PostgREST puede
+ * devolver los numeric como texto): el resto de los módulos suma con
+ * importe(), saldoDe(), sumarImportes() y totalSaldos().
+ * Las reglas de alerta y sus umbrales quedan en reglas.js.
+ */
+
+const rangos = require('./rangos');
+const { chequesEnValidezCritica } = require('./alertasValidez');
+const { obtenerEmpresas, empresaDeSaldo } = require('./empresas');
+const { aISO, sumarDias, diaDeAcreditacion, acreditadosEntre } = require('./fechas');
+
+/**
+ * Importe de un cheque (0 si falta)
+ */
+function importe(cheque) {
+  return Number(cheque.implocal) || 0;
+}
+
+/**
+ * Saldo de una cuenta (0 si falta)
+ */
+function saldoDe(cuenta) {
+  return Number(cuenta.saldo_total) || 0;
+}
+
+/**
+ * Suma de los importes de una lista de cheques
+ */
+function sumarImportes(cheques) {
+  return cheques.reduce((sum, c) => sum + importe(c), 0);
+}
+
+/**
+ * Filtrar cheques por empresa (sin empresa = todos)
+ */
+function filtrarPorEmpresa(cheques, empresa) {
+  return empresa ? cheques.filter(c => c.empresa === empresa) : cheques;
+}
+
+/**
+ * Filtrar saldos por empresa (sin empresa = todos)
+ */
+function filtrarSaldosPorEmpresa(saldos, empresa) {
+  return empresa ? saldos.filter(s => empresaDeSaldo(s) === empresa) : saldos;
+}
+
+/**
+ * Cheques de cada empresa, en el orden del registro
+ * Devuelve [{ codigo, nombre, cheques }] (codigo null = sin empresa, solo si hay)
+ */
+function separarPorEmpresa(cheques) {
+  const registradas = obtenerEmpresas();
+  const codigos = registradas.map(e => e.codigo);
+  const grupos = registradas.map(e => ({
+    codigo: e.codigo,
+    nombre: e.nombre,
+    cheques: cheques.filter(c => c.empresa === e.codigo)
+  }));
+
+  const otros = cheques.filter(c => !codigos.includes(c.empresa));
+  if (otros.length > 0) grupos.push({ codigo: null, nombre: 'Sin empresa', cheques: otros });
+
+  return grupos;
+}
+
+/**
+ * Cantidad y monto por empresa, en el orden del registro
+ * Devuelve [{ codigo, nombre, cantidad, monto }] (codigo null = sin empresa)
+ */
+function agruparPorEmpresa(cheques) {
+  return separarPorEmpresa(cheques).map(g => ({
+    codigo: g.codigo,
+    nombre: g.nombre,
+    cantidad: g.cheques.length,
+    monto: sumarImportes(g.cheques)
+  }));
+}
+
+/**
+ * Cantidad y monto por día de acreditación
+ * Devuelve [{ fecha: 'AAAA-MM-DD', cantidad, monto }] ordenado por fecha
+ */
+function agruparPorDia(cheques) {
+  const dias = {};
+  cheques.forEach(c => {
+    const fecha = aISO(diaDeAcreditacion(c.fvto));
+    if (!dias[fecha]) dias[fecha] = { fecha, cantidad: 0, monto: 0 };
+    dias[fecha].cantidad++;
+    dias[fecha].monto += importe(c);
+  });
+  return Object.values(dias).sort((a, b) => a.fecha.localeCompare(b.fecha));
+}
+
+/**
+ * Total de una lista de saldos
+ */
+function totalSaldos(saldos) {
+  return saldos.reduce((sum, s) => sum + saldoDe(s), 0);
+}
+
+/**
+ * Cuentas agrupadas por empresa, en el orden del registro (sin grupos vacíos)
+ * Devuelve [{ codigo, nombre, subtotal, cuentas }] (codigo null = sin empresa asignada)
+ */
+function agruparSaldosPorEmpresa(saldos) {
+  const codigos = obtenerEmpresas().map(e => e.codigo);
+  const grupos = obtenerEmpresas().map(e => ({
+    codigo: e.codigo,
+    nombre: e.nombre,
+    cuentas: saldos.filter(s => empresaDeSaldo(s) === e.codigo)
+  }));
+  const otras = saldos.filter(s => !codigos.includes(empresaDeSaldo(s)));
+  if (otras.length > 0) grupos.push({ codigo: null, nombre: 'Sin empresa asignada', cuentas: otras });
+
+  return grupos
+    .filter(g => g.cuentas.length > 0)
+    .map(g => ({ ...g, subtotal: totalSaldos(g.cuentas) }));
+}
+
+/**
+ * Totales de una lista de cheques
+ * Devuelve { total, cantidad, porEmpresa }
+ */
+function totalesCheques(cheques) {
+  return {
+    total: sumarImportes(cheques),
+    cantidad: cheques.length,
+    porEmpresa: agruparPorEmpresa(cheques)
+  };
+}
+
+/**
+ * Cantidad y monto de los cheques que se acreditan en un rango [desde, hasta)
+ */
+function acreditadosEnRango(cheques, { desde, hasta }) {
+  const lista = acreditadosEntre(cheques, desde, hasta);
+  return { cantidad: lista.length, monto: sumarImportes(lista) };
+}
+
+/**
+ * Lo que se acredita el próximo día hábil (la ventana de /manana)
+ * Devuelve { fecha, esManana, cantidad, monto } (esManana = false si hay fin de semana o feriado en el medio)
+ */
+function vencimientosProximoHabil(cheques, hoy) {
+  const rango = rangos.interpretarRango('manana', hoy);
+  return {
+    fecha: rango.desde,
+    esManana: rango.desde.getTime() === sumarDias(hoy, 1).getTime(),
+    ...acreditadosEnRango(cheques, rango)
+  };
+}
+
+/**
+ * Cifras de /resumen y del resumen diario
+ * Las ventanas son las de /hoy, /manana y /semana (por día de acreditación).
+ * `umbralValidez` es el de la regla validez_critica (reglas.umbralValidez()).
+ * Devuelve { cartera: { total, cantidad }, vencimientos: { hoy, proximoHabil, semana, quincena }, saldos, validezCritica }
+ */
+function calcularResumen({ cheques, saldos, hoy, umbralValidez }) {
+  return {
+    cartera: { total: sumarImportes(cheques), cantidad: cheques.length },
+    vencimientos: {
+      hoy: acreditadosEnRango(cheques, rangos.interpretarRango('hoy', hoy)),
+      proximoHabil: vencimientosProximoHabil(cheques, hoy),
+      semana: acreditadosEnRango(cheques, rangos.interpretarRango('semana', hoy)),
+      quincena: acreditadosEnRango(cheques, rangos.interpretarRango('+15', hoy))
+    },
+    saldos: totalSaldos(saldos),
+    validezCritica: chequesEnValidezCritica(cheques, hoy, umbralValidez).length
+  };
+}
+
+module.exports = {
+  importe,
+  saldoDe,
+  sumarImportes,
+  filtrarPorEmpresa,
+  filtrarSaldosPorEmpresa,
+  separarPorEmpresa,
+  agruparPorEmpresa,
+  agruparPorDia,
+  agruparSaldosPorEmpresa,
+  totalesCheques,
+  totalSaldos,
+  acreditadosEnRango,
+  vencimientosProximoHabil,
+  calcularResumen
+};
@@ -0,0 +1,92 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { tablasDePrueba, fijarFecha, usarSupabaseFalso } = require('./ayudantes');
+
+const supabase = usarSupabaseFalso();
+const api = require('../api');
+const consultas = require('../consultas');
+
+const CLAVE_TABLERO = 'clave-del-tablero-de-prueba';
+const SECRETO_SINCRONIZACION = 'secreto-de-sincronizacion';
+
+let server, base;
+
+/**
+ * Levantar la API en un puerto libre con la configuración indicada
+ */
+async function levantar(env) {
+  const config = api.configurarApi(env);
+  server = http.createServer(async (req, res) => {
+    if (!await api.atenderPedido(req, res, config)) {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Pedido a la API con una clave en Authorization
+ * Devuelve { status, cuerpo }
+ */
+async function pedir(ruta, { clave, method = 'GET' } = {}) {
+  const respuesta = await fetch(base + ruta, {
+    method,
+    headers: clave ? { Authorization: `Bearer ${clave}` } : {}
+  });
+  return { status: respuesta.status, cuerpo: await respuesta.json() };
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  await levantar({ API_KEYS: `tablero:${CLAVE_TABLERO}`, SINCRONIZACION_SECRET: SECRETO_SINCRONIZACION });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  supabase.cargar(tablasDePrueba());
+  consultas.invalidarCache();
+  fijarFecha();
+});
+
+test('las lecturas piden una clave de API_KEYS', async () => {
+  assert.equal((await pedir('/api/cartera')).status, 401);
+  assert.equal((await pedir('/api/cartera', { clave: SECRETO_SINCRONIZACION })).status, 401);
+
+  const { status, cuerpo } = await pedir('/api/cartera', { clave: CLAVE_TABLERO });
+  assert.equal(status, 200);
+  assert.equal(cuerpo.total, 650000);
+});
+
+test('un CUIT mal codificado en la URL es un pedido inválido', async () => {
+  const { status, cuerpo } = await pedir('/api/cuit/%E0%A4%A', { clave: CLAVE_TABLERO });
+  assert.equal(status, 400);
+  assert.equal(cuerpo.error, 'CUIT mal codificado en la URL');
+
+  assert.equal((await pedir('/api/cuit/30-71234567-1', { clave: CLAVE_TABLERO })).status, 200);
+});
+
+describe('POST /api/sincronizacion', () => {
+  test('con el secreto de sincronización descarta la caché', async () => {
+    await consultas.chequesEnCartera();
+    const { status, cuerpo } = await pedir('/api/sincronizacion', { clave: SECRETO_SINCRONIZACION, method: 'POST' });
+    assert.equal(status, 200);
+    assert.equal(cuerpo.cache, 'invalidada');
+
+    await consultas.chequesEnCartera();
+    assert.equal(supabase.consultas.cheques_valores, 2);
+  });
+
+  test('las claves de los tableros no pueden escribir', async () => {
+    assert.equal((await pedir('/api/sincronizacion', { clave: CLAVE_TABLERO, method: 'POST' })).status, 401);
+    assert.equal((await pedir('/api/sincronizacion', { method: 'POST' })).status, 401);
+  });
+
+  test('solo se admite POST', async () => {
+    const { status } = await pedir('/api/sincronizacion', { clave: SECRETO_SINCRONIZACION });
+    assert.equal(status, 405);
+  });
+});
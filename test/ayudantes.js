@@ -0,0 +1,158 @@
+/**
+ * Ayudantes de los tests: datos de prueba, fecha fija y carga del bot
+ *
+ * cargarBot() arma el bot con crearAplicacion() de aplicacion.js y Supabase,
+ * Telegram y node-cron falsos (test/fakes), así los comandos y las tareas
+ * programadas se prueban sin red. Cada archivo de test corre en su propio
+ * proceso y arma el bot una vez; entre tests se recargan las tablas con
+ * supabase.cargar() y se descarta la caché de consultas.js con invalidarCache().
+ */
+
+const path = require('path');
+const Module = require('module');
+const { mock } = require('node:test');
+const BotFalso = require('./fakes/telegram');
+const { crearSupabaseFalso } = require('./fakes/supabase');
+const { crearCronFalso } = require('./fakes/cron');
+
+const RAIZ = path.join(__dirname, '..');
+
+// Miércoles 19/11/2025 a las 12:00 hora Argentina. El viernes 21 y el lunes 24 son feriado.
+const AHORA = '2025-11-19T15:00:00Z';
+
+// Usuarios registrados: admin, tesorería y consulta (el chat 9 no está registrado)
+const CHAT_ADMIN = 1;
+const CHAT_TESORERIA = 2;
+const CHAT_CONSULTA = 3;
+const CHAT_DESCONOCIDO = 9;
+
+/**
+ * Tablas de prueba (una copia nueva en cada llamada)
+ */
+function tablasDePrueba() {
+  return {
+    allowed_users: [
+      { email: 'admin@grandestate.com', role: 'admin', is_active: true },
+      { email: 'tesoreria@grandestate.com', role: 'tesoreria', is_active: true },
+      { email: 'consulta@grandestate.com', role: 'consulta', is_active: true }
+    ],
+    bot_usuarios: [
+      { chat_id: CHAT_ADMIN, email: 'admin@grandestate.com', role: 'admin' },
+      { chat_id: CHAT_TESORERIA, email: 'tesoreria@grandestate.com', role: 'tesoreria' },
+      { chat_id: CHAT_CONSULTA, email: 'consulta@grandestate.com', role: 'consulta' }
+    ],
+    cheques_valores: [
+      // Vence hoy
+      { id: 1, empresa: 'GRAND_ESTATE', cuitfirm: '20-12345678-6', origen: 'Peña Hnos S.A.', implocal: 100000, fvto: '2025-11-19', fecden: null },
+      // Vence mañana (jueves, hábil)
+      { id: 2, empresa: 'PICO_DE_ORO', cuitfirm: '30-71234567-1', origen: 'Constructora Sur', implocal: 50000, fvto: '2025-11-20', fecden: null },
+      // Sábado: se acredita el martes 25 (lunes feriado); importe sin cargar
+      { id: 3, empresa: 'GRAND_ESTATE', cuitfirm: '20-12345678-6', origen: 'Peña Hnos S.A.', implocal: null, fvto: '2025-11-22', fecden: null },
+      // Domingo 30: se acredita el lunes 1/12
+      { id: 4, empresa: 'GRAND_ESTATE', cuitfirm: '30-71234567-1', origen: 'Constructora Sur', implocal: 200000, fvto: '2025-11-30', fecden: null },
+      // Vencido el 20/10: hoy es el último día de validez
+      { id: 5, empresa: 'GRAND_ESTATE', cuitfirm: '27-23456789-1', origen: 'Gómez María', implocal: 300000, fvto: '2025-10-20', fecden: null },
+      // Entregado: no está en cartera
+      { id: 6, empresa: 'PICO_DE_ORO', cuitfirm: '27-23456789-1', origen: 'Gómez María', implocal: 999999, fvto: '2025-11-19', fecden: '2025-11-10' }
+    ],
+    saldos_contables_sync: [
+      { codigo_cuenta: '1.1.1', nombre_cuenta: 'Banco Galicia', saldo_total: 1000000 },
+      { codigo_cuenta: '1.1.2', nombre_cuenta: 'Banco Nación', saldo_total: null },
+      { codigo_cuenta: '2.1.1', nombre_cuenta: 'Caja', saldo_total: -50000 }
+    ],
+    // Las cuentas asignan los saldos a cada empresa
+    bot_empresas: [
+      { codigo: 'GRAND_ESTATE', nombre: 'Grand Estate', alias: ['ge'], cuentas: ['1.1.1', '1.1.2'] },
+      { codigo: 'PICO_DE_ORO', nombre: 'Pico de Oro', alias: ['po'], cuentas: ['2.1.1'] }
+    ]
+  };
+}
+
+/**
+ * Fijar la fecha y hora actual (solo Date; los temporizadores siguen siendo reales)
+ */
+function fijarFecha(iso = AHORA) {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+}
+
+/**
+ * Reemplazar un módulo en la caché de require antes de que aplicacion.js lo cargue
+ */
+function reemplazarModulo(archivo, exportado) {
+  const modulo = new Module(archivo);
+  modulo.filename = archivo;
+  modulo.loaded = true;
+  modulo.exports = exportado;
+  require.cache[archivo] = modulo;
+}
+
+/**
+ * Usar un Supabase en memoria en todos los módulos que se carguen después
+ * (reglas.js, consultas.js, etc. leen el cliente de supabaseClient.js)
+ */
+function usarSupabaseFalso(tablas = tablasDePrueba()) {
+  const supabase = crearSupabaseFalso(tablas);
+  reemplazarModulo(path.join(RAIZ, 'supabaseClient.js'), supabase);
+  return supabase;
+}
+
+/**
+ * Cargar el bot con los servicios falsos
+ * `env` agrega o pisa variables de entorno (por ejemplo, WEBHOOK_URL)
+ * Devuelve { bot, server, supabase, cron, errores, invalidarCache, cerrar }
+ */
+async function cargarBot({ tablas = tablasDePrueba(), ahora = AHORA, env = {} } = {}) {
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: '123456:test',
+    SUPABASE_URL: 'http://supabase.test',
+    SUPABASE_ANON_KEY: 'clave-de-prueba',
+    PORT: '0',
+    WEBHOOK_URL: '',
+    API_KEYS: '',
+    CODIGO_ENVIO: 'consola',
+    REPORTE_SEMANAL_CRON: '',
+    FLUJO_MINIMO: '',
+    ...env
+  });
+  fijarFecha(ahora);
+
+  const supabase = usarSupabaseFalso(tablas);
+  const cron = crearCronFalso();
+  reemplazarModulo(require.resolve('node-cron', { paths: [RAIZ] }), cron);
+  reemplazarModulo(require.resolve('node-telegram-bot-api', { paths: [RAIZ] }), BotFalso);
+
+  // El bot informa por consola cada paso; los errores se guardan para revisarlos
+  const errores = [];
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', (...args) => errores.push(args.map(String).join(' ')));
+
+  const { crearAplicacion } = require(path.join(RAIZ, 'aplicacion.js'));
+  const { invalidarCache } = require(path.join(RAIZ, 'consultas.js'));
+  const aplicacion = crearAplicacion({ token: process.env.TELEGRAM_BOT_TOKEN, puerto: 0 });
+  await aplicacion.iniciar();
+  const { bot } = aplicacion;
+
+  return {
+    bot,
+    server: aplicacion.server,
+    supabase,
+    cron,
+    errores,
+    invalidarCache,
+    cerrar: () => aplicacion.detener()
+  };
+}
+
+module.exports = {
+  AHORA,
+  CHAT_ADMIN,
+  CHAT_TESORERIA,
+  CHAT_CONSULTA,
+  CHAT_DESCONOCIDO,
+  tablasDePrueba,
+  fijarFecha,
+  usarSupabaseFalso,
+  cargarBot
+};
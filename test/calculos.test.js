@@ -0,0 +1,185 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { usarSupabaseFalso } = require('./ayudantes');
+
+const supabase = usarSupabaseFalso();
+const fechas = require('../fechas');
+const rangos = require('../rangos');
+const alertasValidez = require('../alertasValidez');
+const reglas = require('../reglas');
+const concentracion = require('../concentracion');
+const flujo = require('../flujo');
+const empresas = require('../empresas');
+
+const MIERCOLES = fechas.inicioDelDia('2025-11-19');
+const JUEVES = fechas.inicioDelDia('2025-11-20');
+
+const iso = fecha => fechas.aISO(fecha);
+const rango = (texto, hoy = MIERCOLES) => {
+  const r = rangos.interpretarRango(texto, hoy);
+  return r && [iso(r.desde), iso(r.hasta)];
+};
+
+describe('días hábiles', () => {
+  test('fines de semana y feriados no son hábiles', () => {
+    assert.equal(fechas.esDiaHabil(MIERCOLES), true);
+    assert.equal(fechas.esDiaHabil(fechas.inicioDelDia('2025-11-22')), false);
+    assert.equal(fechas.esDiaHabil(fechas.inicioDelDia('2025-11-24')), false);
+  });
+
+  test('un cheque se acredita el próximo día hábil a su vencimiento', () => {
+    assert.equal(iso(fechas.diaDeAcreditacion('2025-11-19')), '2025-11-19');
+    assert.equal(iso(fechas.diaDeAcreditacion('2025-11-21')), '2025-11-25');
+    assert.equal(iso(fechas.diaDeAcreditacion('2025-11-30')), '2025-12-01');
+  });
+
+  test('hoy se calcula en hora Argentina', () => {
+    // 01:00 UTC del 20/11 todavía es el 19/11 en Buenos Aires
+    assert.equal(iso(fechas.hoy(new Date('2025-11-20T01:00:00Z'))), '2025-11-19');
+  });
+});
+
+describe('ventanas de /hoy, /manana y /semana', () => {
+  test('hoy es un solo día', () => {
+    assert.deepEqual(rango('hoy'), ['2025-11-19', '2025-11-20']);
+  });
+
+  test('mañana es el próximo día hábil', () => {
+    assert.deepEqual(rango('mañana'), ['2025-11-20', '2025-11-21']);
+    assert.deepEqual(rango('manana', JUEVES), ['2025-11-25', '2025-11-26']);
+  });
+
+  test('semana son los próximos 7 días desde hoy', () => {
+    assert.deepEqual(rango('semana'), ['2025-11-19', '2025-11-26']);
+  });
+
+  test('otros rangos de /vencimientos', () => {
+    assert.deepEqual(rango('+30'), ['2025-11-19', '2025-12-19']);
+    assert.deepEqual(rango('noviembre'), ['2025-11-01', '2025-12-01']);
+    assert.deepEqual(rango('15/12 15/01'), ['2025-12-15', '2026-01-16']);
+    assert.equal(rango('31/02'), null);
+    assert.equal(rango('+400'), null);
+    assert.equal(rango('cualquier cosa'), null);
+  });
+
+  test('la consulta por fvto incluye lo que vence en días no hábiles previos', () => {
+    const { desde, hasta } = fechas.rangoDeVencimientos(rangos.interpretarRango('manana', JUEVES));
+    assert.deepEqual([iso(desde), iso(hasta)], ['2025-11-21', '2025-11-26']);
+  });
+});
+
+describe('días de validez', () => {
+  test('un cheque vale 30 días desde el vencimiento', () => {
+    assert.equal(alertasValidez.diasRestantes({ fvto: '2025-10-20' }, MIERCOLES), 0);
+    assert.equal(alertasValidez.diasRestantes({ fvto: '2025-10-19' }, MIERCOLES), -1);
+    assert.equal(alertasValidez.diasRestantes({ fvto: '2025-10-21' }, MIERCOLES), 1);
+  });
+
+  test('si el día 30 no es hábil, vale hasta el próximo día hábil', () => {
+    // 25/10 + 30 = lunes 24/11 (feriado): último día el martes 25/11
+    assert.equal(alertasValidez.diasRestantes({ fvto: '2025-10-25' }, MIERCOLES), 6);
+    // 24/10 + 30 = domingo 23/11: también el martes 25/11
+    assert.equal(alertasValidez.diasRestantes({ fvto: '2025-10-24' }, MIERCOLES), 6);
+  });
+
+  test('niveles de alerta dentro de la ventana crítica', () => {
+    assert.equal(alertasValidez.nivelAlerta(6), null);
+    assert.equal(alertasValidez.nivelAlerta(5), 0);
+    assert.equal(alertasValidez.nivelAlerta(3), 1);
+    assert.equal(alertasValidez.nivelAlerta(0), 2);
+    assert.equal(alertasValidez.nivelAlerta(-1), null);
+  });
+
+  test('la regla de validez crítica cuenta los cheques con 5 días o menos', () => {
+    const cheques = ['2025-10-19', '2025-10-20', '2025-10-21', '2025-10-25'].map((fvto, id) => ({ id, fvto }));
+    assert.deepEqual(alertasValidez.chequesEnValidezCritica(cheques, MIERCOLES, 25).map(c => c.fvto), ['2025-10-20', '2025-10-21']);
+  });
+});
+
+describe('concentración', () => {
+  test('participaciones e índice de Herfindahl', () => {
+    const { total, emisores, hhi, ranking } = concentracion.calcularConcentracion([
+      { cuitfirm: '20-12345678-6', origen: 'A', implocal: 50, fvto: '2025-12-01' },
+      { cuitfirm: '20-12345678-6', origen: 'A', implocal: 25, fvto: '2025-11-20' },
+      { cuitfirm: '30-71234567-1', origen: 'B', implocal: 25, fvto: '2025-11-25' },
+      { cuitfirm: '30-71234567-1', origen: 'B', implocal: null, fvto: '2025-11-26' }
+    ]);
+    assert.equal(total, 100);
+    assert.equal(emisores, 2);
+    assert.equal(hhi, 75 * 75 + 25 * 25);
+    assert.deepEqual(ranking.map(e => [e.cuit, e.participacion, e.cantidad, e.proximo]), [
+      ['20-12345678-6', 75, 2, '2025-11-20'],
+      ['30-71234567-1', 25, 2, '2025-11-25']
+    ]);
+    assert.equal(concentracion.nivelHhi(hhi).nombre, 'alta');
+  });
+
+  test('los cheques sin CUIT quedan fuera del ranking y del índice', () => {
+    const { total, emisores, hhi, ranking, sinCuit } = concentracion.calcularConcentracion([
+      { cuitfirm: '20-12345678-6', implocal: 60, fvto: '2025-12-01' },
+      { cuitfirm: '30-71234567-1', implocal: 40, fvto: '2025-11-25' },
+      { cuitfirm: '  ', implocal: 300, fvto: '2025-11-20' },
+      { cuitfirm: null, implocal: 100, fvto: '2025-11-21' }
+    ]);
+    assert.equal(total, 100);
+    assert.equal(emisores, 2);
+    assert.equal(hhi, 60 * 60 + 40 * 40);
+    assert.deepEqual(ranking.map(e => e.cuit), ['20-12345678-6', '30-71234567-1']);
+    assert.deepEqual(sinCuit, { cantidad: 2, monto: 400 });
+  });
+
+  test('sin importes las participaciones quedan en 0', () => {
+    const { hhi, ranking } = concentracion.calcularConcentracion([{ cuitfirm: 'x', implocal: null }]);
+    assert.equal(hhi, 0);
+    assert.equal(ranking[0].participacion, 0);
+  });
+
+  test('los importes que llegan como texto se suman como números', () => {
+    const { total, ranking } = concentracion.calcularConcentracion([
+      { cuitfirm: '20-12345678-6', implocal: '100', fvto: '2025-12-01' },
+      { cuitfirm: '20-12345678-6', implocal: '50.5', fvto: '2025-11-20' }
+    ]);
+    assert.equal(total, 150.5);
+    assert.equal(ranking[0].monto, 150.5);
+  });
+
+  test('umbralConcentracion usa el valor por defecto si no hay regla cargada', () => {
+    assert.equal(reglas.umbralConcentracion(null), 15);
+  });
+});
+
+test('el alcance por CUIT de una regla compara los dígitos del CUIT completo', () => {
+  const regla = { id: 'grande', tipo: 'cheque_grande', umbral: 0, severidad: 'media', cuit: '20-12345678-6' };
+  const cheques = [
+    { cuitfirm: '20123456786', origen: 'Sin guiones', implocal: 10 },
+    { cuitfirm: '20-12345678-6', origen: 'Con guiones', implocal: 20 },
+    { cuitfirm: '120-12345678-60', origen: 'Contiene el CUIT', implocal: 30 }
+  ];
+  const [resultado] = reglas.evaluarReglas([regla], { cheques, saldos: [], hoy: MIERCOLES });
+  assert.equal(resultado.resumen, '2 cheques');
+  assert.doesNotMatch(resultado.detalle.join('\n'), /Contiene el CUIT/);
+});
+
+describe('flujo de fondos', () => {
+  test('cada empresa se compara con su propio mínimo', async () => {
+    supabase.tablas.bot_empresas = [{ codigo: 'A', cuentas: ['1'] }, { codigo: 'B', cuentas: ['2'] }];
+    await empresas.cargarEmpresas();
+
+    const { total, porEmpresa } = flujo.proyectarFlujo({
+      saldos: [
+        { codigo_cuenta: '1', saldo_total: 100 },
+        { codigo_cuenta: '2', saldo_total: 100 }
+      ],
+      cheques: [{ empresa: 'A', implocal: 50, fvto: '2025-11-20' }],
+      hoy: MIERCOLES,
+      dias: 3,
+      minimo: 150,
+      empresas: [{ codigo: 'A', flujoMinimo: 120 }, { codigo: 'B' }]
+    });
+
+    assert.equal(total.primerDiaBajoMinimo, null);
+    assert.equal(iso(porEmpresa.A.primerDiaBajoMinimo), '2025-11-19');
+    assert.equal(porEmpresa.A.final, 150);
+    assert.equal(porEmpresa.B.primerDiaBajoMinimo, null);
+  });
+});
@@ -0,0 +1,412 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHAT_ADMIN,
+  CHAT_TESORERIA,
+  CHAT_CONSULTA,
+  CHAT_DESCONOCIDO,
+  tablasDePrueba,
+  fijarFecha,
+  cargarBot
+} = require('./ayudantes');
+
+let bot, supabase, cron, errores, invalidarCache, cerrar;
+
+/**
+ * Enviar un comando y devolver el texto de la única respuesta
+ */
+async function responder(chatId, texto) {
+  const enviados = await bot.escribir(chatId, texto);
+  assert.equal(enviados.length, 1, `se esperaba una respuesta a ${texto}`);
+  return enviados[0].texto;
+}
+
+before(async () => {
+  ({ bot, supabase, cron, errores, invalidarCache, cerrar } = await cargarBot());
+});
+
+after(() => cerrar());
+
+beforeEach(() => {
+  supabase.cargar(tablasDePrueba());
+  invalidarCache();
+  errores.length = 0;
+  fijarFecha();
+});
+
+describe('autorización', () => {
+  test('un chat no registrado no puede usar comandos', async () => {
+    assert.match(await responder(CHAT_DESCONOCIDO, '/cartera'), /No estás autorizado/);
+  });
+
+  test('cada rol solo usa sus comandos', async () => {
+    assert.match(await responder(CHAT_CONSULTA, '/saldos'), /Tu rol \(consulta\) no tiene acceso a \/saldos/);
+    assert.match(await responder(CHAT_TESORERIA, '/saldos'), /TOTAL:\* \$\s950\.000,00/);
+  });
+
+  test('si allowed_users no responde se avisa el error y el chat sigue registrado', async () => {
+    supabase.fallar('allowed_users', 'timeout');
+    assert.match(await responder(CHAT_CONSULTA, '/cartera'), /No pudimos verificar tu acceso/);
+    assert.ok(!supabase.escrituras.some(e => e.tabla === 'bot_usuarios' && e.operacion === 'delete'));
+    assert.ok(errores.some(e => e.startsWith('Error verificando autorización')));
+
+    assert.match(await responder(CHAT_CONSULTA, '/cartera'), /Total:\* \$\s650\.000,00/);
+  });
+});
+
+describe('registro con código por email', () => {
+  /**
+   * Enviar el email y devolver el código que imprimió el enviador de consola
+   */
+  async function pedirCodigo(chatId, email) {
+    assert.match(await responder(chatId, email), /Te enviamos un código de verificación/);
+    const [linea] = console.log.mock.calls.map(c => String(c.arguments[0])).filter(l => l.includes(`Código para ${email}`)).slice(-1);
+    return linea.match(/: (\d{6}) /)[1];
+  }
+
+  test('un código vencido se informa como vencido', async () => {
+    const codigo = await pedirCodigo(CHAT_DESCONOCIDO, 'consulta@grandestate.com');
+    fijarFecha('2025-11-19T15:11:00Z');
+    assert.match(await responder(CHAT_DESCONOCIDO, codigo), /El código venció\./);
+    assert.match(await responder(CHAT_DESCONOCIDO, '/cartera'), /No estás autorizado/);
+  });
+
+  test('el código correcto registra el chat', async () => {
+    const codigo = await pedirCodigo(CHAT_DESCONOCIDO, 'consulta@grandestate.com');
+    assert.match(await responder(CHAT_DESCONOCIDO, codigo), /Registro exitoso/);
+    assert.match(await responder(CHAT_DESCONOCIDO, '/cartera'), /Total:\* \$\s650\.000,00/);
+  });
+
+  test('un email con _ se escapa en los mensajes con Markdown', async () => {
+    const CHAT_NUEVO = 10;
+    supabase.tablas.allowed_users.push({ email: 'juan_perez@grandestate.com', role: 'consulta', is_active: true });
+    const email = 'juan_perez@grandestate.com';
+    assert.match(await responder(CHAT_NUEVO, 'otro_usuario@grandestate.com'), /\*otro\\_usuario@grandestate\.com\*/);
+
+    const codigo = await pedirCodigo(CHAT_NUEVO, email);
+    assert.match(bot.enviados.at(-1).texto, /\*juan\\_perez@grandestate\.com\*/);
+    assert.match(await responder(CHAT_NUEVO, codigo), /Email: juan\\_perez@grandestate\.com/);
+  });
+
+  test('el email se busca sin distinguir mayúsculas y con el _ literal', async () => {
+    const CHAT_NUEVO = 11;
+    supabase.tablas.allowed_users.push({ email: 'ana_gomez@grandestate.com', role: 'consulta', is_active: true });
+    assert.match(await responder(CHAT_NUEVO, 'anaxgomez@grandestate.com'), /Email no autorizado/);
+    assert.match(await responder(CHAT_NUEVO, 'ANA_Gomez@grandestate.com'), /Te enviamos un código/);
+  });
+
+  test('sin CODIGO_ENVIO se envía por email y sin SMTP_HOST no arranca', () => {
+    const { crearEnviador } = require('../enviadorCodigos');
+    const { CODIGO_ENVIO, SMTP_HOST } = process.env;
+    delete process.env.CODIGO_ENVIO;
+    delete process.env.SMTP_HOST;
+    try {
+      assert.throws(() => crearEnviador(), /Falta SMTP_HOST/);
+    } finally {
+      process.env.CODIGO_ENVIO = CODIGO_ENVIO;
+      if (SMTP_HOST !== undefined) process.env.SMTP_HOST = SMTP_HOST;
+    }
+  });
+});
+
+describe('cartera y vencimientos', () => {
+  test('/cartera suma solo lo que está en cartera, por empresa', async () => {
+    const texto = await responder(CHAT_ADMIN, '/cartera');
+    assert.match(texto, /Total:\* \$\s650\.000,00/);
+    assert.match(texto, /Cantidad:\* 5 cheques/);
+    assert.match(texto, /Grand Estate: \$\s600\.000,00 \(4\)/);
+  });
+
+  test('/cartera po filtra por el alias de la empresa', async () => {
+    const texto = await responder(CHAT_ADMIN, '/cartera po');
+    assert.match(texto, /Pico de Oro/);
+    assert.match(texto, /Total:\* \$\s50\.000,00/);
+    assert.doesNotMatch(texto, /Grand Estate/);
+  });
+
+  test('/hoy y /manana', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/hoy'), /Cantidad:\* 1 cheques\n💰 \*Total:\* \$\s100\.000,00/);
+    assert.match(await responder(CHAT_ADMIN, '/manana'), /Constructora Sur/);
+  });
+
+  test('/semana agrupa por día de acreditación y no da NaN con importes nulos', async () => {
+    const texto = await responder(CHAT_ADMIN, '/semana');
+    assert.match(texto, /Total:\* \$\s150\.000,00/);
+    assert.match(texto, /mar 25\/11: 1 cheques/);
+    assert.doesNotMatch(texto, /NaN/);
+  });
+
+  test('/manana un jueves antes de un fin de semana largo muestra el martes', async () => {
+    fijarFecha('2025-11-20T15:00:00Z');
+    const texto = await responder(CHAT_ADMIN, '/manana');
+    assert.match(texto, /Peña Hnos S\.A\./);
+    assert.doesNotMatch(texto, /NaN/);
+  });
+
+  test('sin cheques en el rango lo informa', async () => {
+    supabase.tablas.cheques_valores = [];
+    assert.match(await responder(CHAT_ADMIN, '/hoy'), /No hay cheques que se acrediten/);
+  });
+});
+
+describe('/vencimientos', () => {
+  test('lista el rango con totales por empresa y por día de acreditación', async () => {
+    const [enviado] = await bot.escribir(CHAT_ADMIN, '/vencimientos +30');
+    assert.match(enviado.texto, /PRÓXIMOS 30 DÍAS/);
+    assert.match(enviado.texto, /Cantidad:\* 4 cheques\n💰 \*Total:\* \$\s350\.000,00/);
+    assert.match(enviado.texto, /mar 25\/11: 1 cheques - \$\s0,00/);
+    assert.match(enviado.texto, /lun 1\/12: 1 cheques - \$\s200\.000,00/);
+
+    const botones = enviado.opciones.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+    assert.deepEqual(botones.filter(b => b.startsWith('chq:')), ['chq:1', 'chq:2', 'chq:3', 'chq:4']);
+  });
+
+  test('sin rango o con uno que no entiende muestra ejemplos', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/vencimientos'), /Indicá un rango de fechas/);
+    assert.match(await responder(CHAT_ADMIN, '/vencimientos cualquier cosa'), /Indicá un rango de fechas/);
+  });
+});
+
+describe('/flujo y /planificar', () => {
+  test('/flujo suma a los saldos la cobranza de cada día', async () => {
+    const texto = await responder(CHAT_ADMIN, '/flujo 10');
+    assert.match(texto, /FLUJO PROYECTADO - 10 DÍAS/);
+    assert.match(texto, /Saldo inicial: \$\s950\.000,00\n📥 Cobranzas esperadas: \$\s450\.000,00\n💰 Saldo final: \$\s1\.400\.000,00/);
+    assert.match(texto, /Grand Estate\*: \$\s1\.000\.000,00 → \$\s1\.400\.000,00/);
+  });
+
+  test('/flujo de una empresa usa su mínimo', async () => {
+    const empresas = require('../empresas');
+    supabase.tablas.bot_empresas.find(e => e.codigo === 'PICO_DE_ORO').flujo_minimo = 60000;
+    await empresas.cargarEmpresas();
+    try {
+      const texto = await responder(CHAT_ADMIN, '/flujo po 5');
+      assert.match(texto, /Pico de Oro/);
+      assert.match(texto, /Saldo inicial: -\$\s50\.000,00/);
+      assert.match(texto, /Saldo negativo desde el 19\/11/);
+      assert.match(texto, /🟡 20\/11: \$\s0,00/);
+      assert.doesNotMatch(texto, /Grand Estate/);
+    } finally {
+      supabase.cargar(tablasDePrueba());
+      await empresas.cargarEmpresas();
+    }
+  });
+
+  test('/planificar propone cheques para cubrir las cuentas en rojo', async () => {
+    const texto = await responder(CHAT_TESORERIA, '/planificar');
+    assert.match(texto, /PLANIFICACIÓN DE DEPÓSITOS - 7 DÍAS/);
+    assert.match(texto, /Caja\* \(Pico de Oro\)\n {3}Saldo: -\$\s50\.000,00/);
+    assert.match(texto, /Constructora Sur - \$\s50\.000,00 - Vto 20\/11\/2025/);
+    assert.match(texto, /Cubre el faltante/);
+  });
+
+  test('los días se limitan a 1 como mínimo', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/flujo -5'), /FLUJO PROYECTADO - 1 DÍAS/);
+    assert.match(await responder(CHAT_TESORERIA, '/planificar 0'), /PLANIFICACIÓN DE DEPÓSITOS - 1 DÍAS/);
+  });
+});
+
+describe('/cuit y /cliente', () => {
+  test('/cuit muestra la ficha con cheques en cartera e historial', async () => {
+    const texto = await responder(CHAT_ADMIN, '/cuit 30-71234567-1');
+    assert.match(texto, /Cliente:\* Constructora Sur/);
+    assert.match(texto, /En Cartera:\* 2 cheques - \$\s250\.000,00/);
+    assert.match(texto, /dic 2025: 1 - \$\s200\.000,00/);
+  });
+
+  test('/cuit rechaza un número inválido y /cuit parcial busca por parte del número', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/cuit 123'), /CUIT inválido: El CUIT debe tener 11 dígitos/);
+
+    const [enviado] = await bot.escribir(CHAT_ADMIN, '/cuit parcial 23456789');
+    assert.match(enviado.texto, /CUITs que contienen 23456789\* \(1\)/);
+    assert.deepEqual(enviado.opciones.reply_markup.inline_keyboard, [[
+      { text: '🔎 Gómez María (27-23456789-1)', callback_data: 'cuit:27234567891:-' }
+    ]]);
+  });
+
+  test('/cliente busca por nombre sin importar mayúsculas', async () => {
+    const [enviado] = await bot.escribir(CHAT_ADMIN, '/cliente PEÑA');
+    assert.match(enviado.texto, /Peña Hnos S\.A\.\*\n {3}CUIT 20-12345678-6 - 2 en cartera \(\$\s100\.000,00\)/);
+    assert.equal(enviado.opciones.reply_markup.inline_keyboard[0][0].callback_data, 'cuit:20123456786:-');
+
+    assert.match(await responder(CHAT_ADMIN, '/cliente zzz'), /No se encontraron clientes para "zzz"/);
+    assert.match(await responder(CHAT_ADMIN, '/cliente'), /Indicá al menos 3 letras/);
+  });
+
+  test('/cliente filtra por nombre en la base y solo con errores de tipeo lee todo', async () => {
+    const consultas = () => supabase.consultas.cheques_valores || 0;
+    const antes = consultas();
+    assert.match(await responder(CHAT_ADMIN, '/cliente gomez'), /Gómez María/);
+    assert.equal(consultas() - antes, 1);
+
+    assert.match(await responder(CHAT_ADMIN, '/cliente constructra'), /Constructora Sur/);
+    assert.equal(consultas() - antes, 3);
+  });
+});
+
+describe('/exportar', () => {
+  test('la cartera en XLSX por defecto', async () => {
+    const [enviado] = await bot.escribir(CHAT_ADMIN, '/exportar cartera');
+    assert.equal(enviado.tipo, 'documento');
+    assert.equal(enviado.archivo.filename, 'cartera_2025-11-19.xlsx');
+    assert.match(enviado.texto, /5 cheques - \$\s650\.000,00/);
+  });
+
+  test('los vencimientos de un rango en CSV', async () => {
+    const [enviado] = await bot.escribir(CHAT_ADMIN, '/exportar vencimientos semana csv');
+    assert.equal(enviado.archivo.filename, 'vencimientos_2025-11-19.csv');
+    assert.equal(enviado.archivo.contentType, 'text/csv');
+
+    const filas = enviado.documento.toString('utf8').trim().split(/\r?\n/);
+    assert.match(filas[0], /Origen;CUIT;Empresa;Importe;Vencimiento;Salida$/);
+    assert.equal(filas[1], 'Peña Hnos S.A.;20-12345678-6;Grand Estate;100.000,00;19/11/2025;');
+    assert.equal(filas[filas.length - 1], 'TOTAL GENERAL (3);;;150.000,00;;');
+    assert.match(enviado.texto, /3 cheques - \$\s150\.000,00/);
+  });
+
+  test('sin indicar qué exportar muestra ejemplos', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/exportar'), /Indicá qué exportar/);
+  });
+});
+
+describe('/movimientos y /evolucion', () => {
+  test('/movimientos muestra los ingresos y salidas detectados hoy', async () => {
+    // Estado inicial: lo que ya estaba no cuenta como movimiento
+    await bot.capturar(() => cron.ejecutar('*/30 * * * *'));
+    supabase.tablas.cheques_valores.push({ id: 7, empresa: 'GRAND_ESTATE', cuitfirm: '20-12345678-6', origen: 'Peña Hnos S.A.', implocal: 80000, fvto: '2025-12-15', fecden: null });
+    supabase.tablas.cheques_valores.find(c => c.id === 2).fecden = '2025-11-19';
+
+    const texto = await responder(CHAT_ADMIN, '/movimientos');
+    assert.match(texto, /Ingresos:\* 1 cheques - \$\s80\.000,00/);
+    assert.match(texto, /Salidas:\* 1 cheques - \$\s50\.000,00/);
+    assert.match(texto, /Constructora Sur - \$\s50\.000,00 - Vto 20\/11\/2025/);
+  });
+
+  test('/evolucion compara con la foto diaria guardada', async () => {
+    fijarFecha('2025-11-12T15:00:00Z');
+    await bot.capturar(() => cron.ejecutar('50 23 * * *'));
+    fijarFecha();
+    invalidarCache();
+    supabase.tablas.cheques_valores.find(c => c.id === 4).fecden = '2025-11-18';
+
+    const texto = await responder(CHAT_ADMIN, '/evolucion');
+    assert.match(texto, /EVOLUCIÓN DE CARTERA - 7 DÍAS/);
+    assert.match(texto, /Ahora:\* \$\s450\.000,00/);
+    assert.match(texto, /mié 12\/11: \$\s650\.000,00/);
+  });
+
+  test('/evolucion sin historial lo informa', async () => {
+    assert.match(await responder(CHAT_ADMIN, '/evolucion saldos'), /Todavía no hay historial guardado/);
+  });
+});
+
+describe('/resumen', () => {
+  test('muestra las mismas ventanas que /hoy, /manana y /semana', async () => {
+    const texto = await responder(CHAT_ADMIN, '/resumen');
+    assert.match(texto, /Total: \$\s650\.000,00/);
+    assert.match(texto, /Hoy: 1 \(\$\s100\.000,00\)/);
+    assert.match(texto, /Mañana: 1 \(\$\s50\.000,00\)/);
+    assert.match(texto, /7 días: 3 \(\$\s150\.000,00\)/);
+    assert.match(texto, /15 días: 4 \(\$\s350\.000,00\)/);
+    assert.match(texto, /Saldo Total: \$\s950\.000,00/);
+    assert.match(texto, /Validez crítica: 1 cheques/);
+    assert.doesNotMatch(texto, /NaN/);
+  });
+
+  test('un jueves muestra el próximo día hábil', async () => {
+    fijarFecha('2025-11-20T15:00:00Z');
+    const texto = await responder(CHAT_ADMIN, '/resumen');
+    assert.match(texto, /Próx\. hábil \(mar 25\/11\): 1 \(\$\s0,00\)/);
+    assert.doesNotMatch(texto, /NaN/);
+  });
+
+  test('un error de la base avisa al usuario y queda registrado', async () => {
+    supabase.fallar('saldos_contables_sync', 'timeout');
+    assert.equal(await responder(CHAT_ADMIN, '/resumen'), '❌ Error al generar resumen.');
+    assert.ok(errores.some(e => e.startsWith('Error en /resumen')));
+  });
+});
+
+test('un usuario dado de baja en allowed_users pierde el acceso', async () => {
+  supabase.tablas.allowed_users = supabase.tablas.allowed_users.filter(u => u.role !== 'consulta');
+
+  assert.match(await responder(CHAT_CONSULTA, '/cartera'), /No estás autorizado/);
+  assert.ok(supabase.escrituras.some(e => e.tabla === 'bot_usuarios' && e.operacion === 'delete'));
+
+  // Ya no está en memoria: no vuelve a consultar allowed_users
+  assert.match(await responder(CHAT_CONSULTA, '/hoy'), /No estás autorizado/);
+});
+
+describe('salidas de cheques', () => {
+  /**
+   * Tocar el botón de salida, escribir el destino y devolver el callback_data
+   * del botón Confirmar
+   */
+  async function pedirSalida(chatId, boton, destino) {
+    await bot.tocar(chatId, boton);
+    const [confirmacion] = await bot.escribir(chatId, destino);
+    return confirmacion.opciones.reply_markup.inline_keyboard[0][0].callback_data;
+  }
+
+  test('registra la salida, guarda la auditoría y avisa al resto', async () => {
+    const confirmar = await pedirSalida(CHAT_TESORERIA, 'sal:1:dep', 'Banco Galicia');
+    const enviados = await bot.tocar(CHAT_TESORERIA, confirmar);
+
+    const cheque = supabase.tablas.cheques_valores.find(c => c.id === 1);
+    assert.deepEqual([cheque.fecden, cheque.destino], ['2025-11-19', 'Banco Galicia']);
+
+    const [auditoria] = supabase.tablas.bot_auditoria_cheques;
+    assert.equal(auditoria.cheque_id, '1');
+    assert.equal(auditoria.accion, 'depositar');
+    assert.equal(auditoria.email, 'tesoreria@grandestate.com');
+    assert.equal(auditoria.anterior.fecden, null);
+
+    assert.match(enviados.find(e => e.tipo === 'edicion').texto, /Cheque 1 registrado como depositado/);
+    assert.match(enviados.find(e => e.chatId === CHAT_ADMIN).texto, /CHEQUE DEPOSITADO/);
+
+    // Ya no está en cartera
+    assert.match(await responder(CHAT_ADMIN, '/cartera'), /Cantidad:\* 4 cheques/);
+  });
+
+  test('una anulación guarda el motivo como destino', async () => {
+    const confirmar = await pedirSalida(CHAT_TESORERIA, 'sal:4:anu', 'Cheque rechazado');
+    await bot.tocar(CHAT_TESORERIA, confirmar);
+    assert.equal(supabase.tablas.cheques_valores.find(c => c.id === 4).destino, 'Anulado: Cheque rechazado');
+    assert.equal(supabase.tablas.bot_auditoria_cheques[0].accion, 'anular');
+  });
+
+  test('cancelar no modifica nada', async () => {
+    await bot.tocar(CHAT_TESORERIA, 'sal:1:ent');
+    assert.match(await responder(CHAT_TESORERIA, 'cancelar'), /Acción cancelada/);
+    assert.ok(!supabase.escrituras.some(e => e.tabla === 'cheques_valores' || e.tabla === 'bot_auditoria_cheques'));
+  });
+
+  test('un cheque que ya salió de cartera no se puede registrar', async () => {
+    const [aviso] = await bot.tocar(CHAT_TESORERIA, 'sal:6:ent');
+    assert.equal(aviso.texto, '⚠️ El cheque ya salió de cartera el 10/11/2025.');
+  });
+
+  test('si no se puede guardar la auditoría el cheque no cambia y se avisa a los administradores', async () => {
+    const confirmar = await pedirSalida(CHAT_TESORERIA, 'sal:1:dep', 'Banco Galicia');
+    supabase.fallar('bot_auditoria_cheques', 'permission denied');
+    const enviados = await bot.tocar(CHAT_TESORERIA, confirmar);
+
+    const edicion = enviados.find(e => e.tipo === 'edicion');
+    assert.match(edicion.texto, /No se pudo registrar la salida: el cheque 1 sigue en cartera/);
+    assert.equal(supabase.tablas.cheques_valores.find(c => c.id === 1).fecden, null);
+    assert.ok(!supabase.escrituras.some(e => e.tabla === 'cheques_valores'));
+
+    const aviso = enviados.find(e => e.chatId === CHAT_ADMIN);
+    assert.match(aviso.texto, /SALIDA NO REGISTRADA/);
+    assert.match(aviso.texto, /permission denied/);
+    assert.ok(errores.some(e => e.startsWith('Error registrando la salida del cheque 1')));
+  });
+
+  test('empezar otra salida avisa que se descarta la pendiente', async () => {
+    await bot.tocar(CHAT_TESORERIA, 'sal:1:dep');
+    const enviados = await bot.tocar(CHAT_TESORERIA, 'sal:4:ent');
+    assert.match(enviados[0].texto, /Se descartó la acción pendiente \(depositar el cheque 1\)/);
+
+    assert.match(await responder(CHAT_TESORERIA, 'cancelar'), /Acción cancelada/);
+  });
+});
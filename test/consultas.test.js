@@ -0,0 +1,175 @@
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AHORA, tablasDePrueba, fijarFecha, usarSupabaseFalso } = require('./ayudantes');
+
+const supabase = usarSupabaseFalso();
+const consultas = require('../consultas');
+const rangos = require('../rangos');
+const empresas = require('../empresas');
+const { inicioDelDia } = require('../fechas');
+
+const MIERCOLES = inicioDelDia('2025-11-19');
+const JUEVES = inicioDelDia('2025-11-20');
+
+const ids = filas => filas.map(f => f.id);
+
+beforeEach(() => {
+  supabase.cargar(tablasDePrueba());
+  consultas.invalidarCache();
+  fijarFecha();
+});
+
+/**
+ * Cartera de `cantidad` cheques de $1 que vencen el 1/12
+ */
+function carteraGrande(cantidad) {
+  return Array.from({ length: cantidad }, (_, i) => ({
+    id: i + 1,
+    empresa: 'GRAND_ESTATE',
+    cuitfirm: '20-12345678-6',
+    implocal: 1,
+    fvto: '2025-12-01',
+    fecden: null
+  }));
+}
+
+describe('cheques', () => {
+  test('la cartera excluye los entregados y viene ordenada por vencimiento', async () => {
+    assert.deepEqual(ids(await consultas.chequesEnCartera()), [5, 1, 2, 3, 4]);
+    assert.deepEqual(ids(await consultas.chequesEnCartera('PICO_DE_ORO')), [2]);
+  });
+
+  test('los vencimientos se buscan por día de acreditación', async () => {
+    const manana = await consultas.consultarVencimientos(rangos.interpretarRango('manana', MIERCOLES));
+    assert.deepEqual(ids(manana), [2]);
+
+    // Del jueves salta al martes 25: entra el cheque del sábado 22
+    const proximoHabil = await consultas.consultarVencimientos(rangos.interpretarRango('manana', JUEVES));
+    assert.deepEqual(ids(proximoHabil), [3]);
+
+    const semana = await consultas.consultarVencimientos(rangos.interpretarRango('semana', MIERCOLES), 'GRAND_ESTATE');
+    assert.deepEqual(ids(semana), [1, 3]);
+  });
+
+  test('por CUIT encuentra los cheques se hayan cargado con o sin guiones', async () => {
+    supabase.tablas.cheques_valores.push({ id: 7, cuitfirm: '30712345671', implocal: 1, fvto: '2025-12-10', fecden: null });
+
+    assert.deepEqual(ids(await consultas.consultarChequesCuit('30712345671')), [2, 4, 7]);
+    assert.deepEqual(ids(await consultas.consultarChequesCuit('30-71234567-1', 'GRAND_ESTATE')), [4]);
+  });
+
+  test('la búsqueda parcial incluye los entregados', async () => {
+    const encontrados = await consultas.buscarCuitParcial('23456789');
+    assert.deepEqual(encontrados.map(c => c.fecden), [null, '2025-11-10']);
+  });
+
+  test('por nombre, las vocales y la n solo aceptan sus variantes acentuadas', async () => {
+    supabase.tablas.cheques_valores.push({ id: 7, cuitfirm: '20-11111111-2', origen: 'Pino Hnos', implocal: 1, fvto: '2025-12-10', fecden: null });
+
+    const origenes = filas => [...new Set(filas.map(f => f.origen))];
+    assert.deepEqual(origenes(await consultas.buscarChequesPorNombre('pena')), ['Peña Hnos S.A.']);
+    assert.deepEqual(origenes(await consultas.buscarChequesPorNombre('gomez maria')), ['Gómez María']);
+    assert.deepEqual(origenes(await consultas.buscarChequesPorNombre('pino')), ['Pino Hnos']);
+  });
+
+  test('un cheque por id, o null si no existe', async () => {
+    assert.equal((await consultas.consultarCheque(2)).origen, 'Constructora Sur');
+    assert.equal(await consultas.consultarCheque(99), null);
+  });
+});
+
+describe('saldos', () => {
+  before(() => empresas.cargarEmpresas());
+
+  test('ordenados por cuenta y filtrados por empresa', async () => {
+    const todos = await consultas.saldosContables();
+    assert.deepEqual(todos.map(s => s.codigo_cuenta), ['1.1.1', '1.1.2', '2.1.1']);
+
+    const pico = await consultas.saldosContables('PICO_DE_ORO');
+    assert.deepEqual(pico.map(s => s.codigo_cuenta), ['2.1.1']);
+  });
+
+  test('no piden una columna de empresa (sale del registro de empresas)', async () => {
+    supabase.tablas.saldos_contables_sync[0].empresa = 'GRAND_ESTATE';
+    const [saldo] = await consultas.saldosContables();
+    assert.deepEqual(Object.keys(saldo).sort(), ['codigo_cuenta', 'nombre_cuenta', 'saldo_total']);
+  });
+});
+
+test('un error de Supabase se lanza', async () => {
+  supabase.fallar('cheques_valores', 'connection refused');
+  await assert.rejects(consultas.chequesEnCartera(), { message: 'connection refused' });
+
+  supabase.fallar('saldos_contables_sync', 'timeout');
+  await assert.rejects(consultas.saldosContables(), { message: 'timeout' });
+});
+
+describe('paginado', () => {
+  test('lee más de las 1000 filas que devuelve PostgREST por respuesta', async () => {
+    supabase.tablas.cheques_valores = carteraGrande(2500);
+
+    const cheques = await consultas.chequesEnCartera();
+    assert.equal(cheques.length, 2500);
+    assert.equal(new Set(ids(cheques)).size, 2500);
+    assert.equal(supabase.consultas.cheques_valores, 3);
+  });
+
+  test('completa el total aunque el servidor devuelva páginas más chicas', async () => {
+    supabase.tablas.cheques_valores = carteraGrande(1200);
+    supabase.maxFilas = 500;
+    try {
+      assert.equal((await consultas.todosLosCheques()).length, 1200);
+    } finally {
+      supabase.maxFilas = 1000;
+    }
+  });
+
+  test('trae solo las columnas que se usan', async () => {
+    supabase.tablas.cheques_valores[0].observaciones = 'texto largo';
+
+    const [cheque] = await consultas.chequesEnCartera();
+    assert.deepEqual(Object.keys(cheque).sort(), ['cuitfirm', 'destino', 'empresa', 'fecden', 'fvto', 'id', 'implocal', 'origen']);
+  });
+});
+
+describe('caché', () => {
+  test('reutiliza la cartera y los saldos mientras no vencen', async () => {
+    await Promise.all([consultas.chequesEnCartera(), consultas.chequesEnCartera()]);
+    await consultas.saldosContables();
+    await consultas.saldosContables('PICO_DE_ORO');
+    assert.equal(supabase.consultas.cheques_valores, 1);
+    assert.equal(supabase.consultas.saldos_contables_sync, 1);
+
+    fijarFecha(new Date(new Date(AHORA).getTime() + 61 * 1000).toISOString());
+    await consultas.chequesEnCartera();
+    assert.equal(supabase.consultas.cheques_valores, 2);
+  });
+
+  test('cada llamada recibe su propia lista', async () => {
+    const primera = await consultas.chequesEnCartera();
+    primera.reverse();
+    assert.deepEqual(ids(await consultas.chequesEnCartera()), [5, 1, 2, 3, 4]);
+  });
+
+  test('invalidarCache obliga a volver a leer', async () => {
+    assert.equal((await consultas.chequesEnCartera()).length, 5);
+    supabase.tablas.cheques_valores.push({ id: 7, empresa: 'GRAND_ESTATE', implocal: 1, fvto: '2025-12-10', fecden: null });
+    assert.equal((await consultas.chequesEnCartera()).length, 5);
+
+    consultas.invalidarCache();
+    assert.equal((await consultas.chequesEnCartera()).length, 6);
+  });
+
+  test('un error no queda guardado', async () => {
+    supabase.fallar('cheques_valores', 'timeout');
+    await assert.rejects(consultas.chequesEnCartera());
+    assert.equal((await consultas.chequesEnCartera()).length, 5);
+  });
+
+  test('la búsqueda por CUIT y la ficha de un cheque no usan la caché', async () => {
+    await consultas.consultarChequesCuit('30-71234567-1');
+    await consultas.consultarChequesCuit('30-71234567-1');
+    await consultas.consultarCheque(2);
+    assert.equal(supabase.consultas.cheques_valores, 3);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * node-cron falso para los tests
+ *
+ * Guarda las tareas programadas sin ejecutarlas; ejecutar(expresion) corre
+ * las tareas activas de ese horario y espera a que terminen.
+ */
+
+const { validate } = require('node-cron');
+
+function crearCronFalso() {
+  const tareas = [];
+
+  return {
+    tareas,
+    validate,
+    schedule(expresion, fn, opciones = {}) {
+      const tarea = {
+        expresion,
+        fn,
+        opciones,
+        activa: true,
+        stop() {
+          tarea.activa = false;
+        }
+      };
+      tareas.push(tarea);
+      return tarea;
+    },
+    async ejecutar(expresion) {
+      const activas = tareas.filter(t => t.activa && t.expresion === expresion);
+      if (activas.length === 0) throw new Error(`No hay tareas programadas para "${expresion}"`);
+      for (const tarea of activas) await tarea.fn();
+    }
+  };
+}
+
+module.exports = { crearCronFalso };
@@ -0,0 +1,237 @@
+/**
+ * Cliente de Supabase en memoria para los tests
+ *
+ * Implementa la parte del query builder que usa el bot (select, filtros,
+ * match/imatch con filter(), order, limit, range, insert, upsert, update, delete) sobre tablas que son
+ * arrays de filas. Las filas devueltas son copias, como las de una consulta
+ * real, y como PostgREST cada respuesta trae a lo sumo `maxFilas` filas
+ * (1000 por defecto; se puede cambiar en el cliente). Las filas insertadas sin
+ * id reciben uno, como con una columna identity.
+ * Con fallar(tabla, mensaje) la próxima consulta a esa tabla devuelve error.
+ * `consultas` cuenta los select hechos a cada tabla.
+ */
+
+/**
+ * Comparar dos valores como lo haría Postgres con columnas de texto o número
+ */
+function iguales(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+function comparar(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Columnas de un select ('*' o 'a, b, c')
+ */
+function proyectar(fila, columnas) {
+  if (!columnas || columnas.trim() === '*') return { ...fila };
+  const resultado = {};
+  columnas.split(',').map(c => c.trim()).filter(Boolean).forEach(c => {
+    resultado[c] = fila[c] === undefined ? null : fila[c];
+  });
+  return resultado;
+}
+
+/**
+ * Patrón de like/ilike a expresión regular (\ escapa un comodín, como en Postgres)
+ */
+function patronLike(patron, flags) {
+  const literal = c => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const texto = String(patron).replace(/\\(.)|./gs, (c, escapado) => {
+    if (escapado !== undefined) return literal(escapado);
+    if (c === '%') return '.*';
+    if (c === '_') return '.';
+    return literal(c);
+  });
+  return new RegExp(`^${texto}$`, flags);
+}
+
+function crearSupabaseFalso(tablasIniciales = {}) {
+  const tablas = {};
+  const fallas = new Map();
+  const escrituras = [];
+  const consultas = {};
+  // Ids para las filas insertadas sin id (como una columna identity)
+  let ultimoId = 1000;
+
+  const tabla = nombre => {
+    if (!tablas[nombre]) tablas[nombre] = [];
+    return tablas[nombre];
+  };
+
+  function cargar(datos) {
+    Object.keys(tablas).forEach(nombre => delete tablas[nombre]);
+    Object.entries(datos).forEach(([nombre, filas]) => {
+      tablas[nombre] = filas.map(f => ({ ...f }));
+    });
+    fallas.clear();
+    escrituras.length = 0;
+    Object.keys(consultas).forEach(nombre => delete consultas[nombre]);
+  }
+
+  function from(nombre) {
+    const filtros = [];
+    let operacion = { tipo: 'select', columnas: '*', contar: false };
+    let devolverFilas = false;
+    let columnasDevueltas = '*';
+    let orden = [];
+    let limite = null;
+    let desde = 0;
+    let unico = null;
+
+    const filtrar = fn => { filtros.push(fn); return builder; };
+    const coincide = fila => filtros.every(fn => fn(fila));
+
+    function ejecutar() {
+      if (fallas.has(nombre)) {
+        const mensaje = fallas.get(nombre);
+        fallas.delete(nombre);
+        return { data: null, error: { message: mensaje } };
+      }
+
+      const filas = tabla(nombre);
+      let afectadas = [];
+
+      if (operacion.tipo === 'insert') {
+        afectadas = operacion.filas.map(f => ({ id: ++ultimoId, ...f }));
+        filas.push(...afectadas);
+      } else if (operacion.tipo === 'upsert') {
+        const claves = (operacion.onConflict || 'id').split(',').map(c => c.trim());
+        afectadas = operacion.filas.map(nueva => {
+          const existente = filas.find(f => claves.every(c => iguales(f[c], nueva[c])));
+          if (existente) return operacion.ignoreDuplicates ? null : Object.assign(existente, nueva);
+          const fila = { ...nueva };
+          filas.push(fila);
+          return fila;
+        }).filter(Boolean);
+      } else if (operacion.tipo === 'update') {
+        afectadas = filas.filter(coincide);
+        afectadas.forEach(f => Object.assign(f, operacion.cambios));
+      } else if (operacion.tipo === 'delete') {
+        afectadas = filas.filter(coincide);
+        tablas[nombre] = filas.filter(f => !afectadas.includes(f));
+      }
+
+      if (operacion.tipo !== 'select') {
+        escrituras.push({ tabla: nombre, operacion: operacion.tipo, filas: afectadas.map(f => ({ ...f })) });
+        if (!devolverFilas) return { data: null, error: null };
+        const devueltas = afectadas.map(f => proyectar(f, columnasDevueltas));
+        return { data: unico ? devueltas[0] || null : devueltas, error: null };
+      }
+
+      consultas[nombre] = (consultas[nombre] || 0) + 1;
+      let resultado = filas.filter(coincide);
+      const count = operacion.contar ? resultado.length : null;
+      orden.forEach(({ columna, ascendente }) => {
+        resultado = [...resultado].sort((a, b) => {
+          if (a[columna] == null) return b[columna] == null ? 0 : 1;
+          if (b[columna] == null) return -1;
+          return ascendente ? comparar(a[columna], b[columna]) : comparar(b[columna], a[columna]);
+        });
+      });
+      resultado = resultado.slice(desde, desde + Math.min(limite === null ? Infinity : limite, cliente.maxFilas))
+        .map(f => proyectar(f, operacion.columnas));
+
+      if (unico === 'maybe') return { data: resultado[0] || null, error: null };
+      if (unico === 'single') {
+        return resultado.length === 1
+          ? { data: resultado[0], error: null }
+          : { data: null, error: { message: `Se esperaba una fila y hubo ${resultado.length}` } };
+      }
+      return { data: resultado, error: null, count };
+    }
+
+    const builder = {
+      select(columnas = '*', opciones = {}) {
+        if (operacion.tipo === 'select') Object.assign(operacion, { columnas, contar: opciones.count === 'exact' });
+        else { devolverFilas = true; columnasDevueltas = columnas; }
+        return builder;
+      },
+      insert(filas) {
+        operacion = { tipo: 'insert', filas: [].concat(filas) };
+        return builder;
+      },
+      upsert(filas, opciones = {}) {
+        operacion = { tipo: 'upsert', filas: [].concat(filas), onConflict: opciones.onConflict, ignoreDuplicates: opciones.ignoreDuplicates };
+        return builder;
+      },
+      update(cambios) {
+        operacion = { tipo: 'update', cambios };
+        return builder;
+      },
+      delete() {
+        operacion = { tipo: 'delete' };
+        return builder;
+      },
+      eq: (columna, valor) => filtrar(f => iguales(f[columna], valor)),
+      neq: (columna, valor) => filtrar(f => !iguales(f[columna], valor)),
+      is: (columna, valor) => filtrar(f => (f[columna] ?? null) === valor),
+      in: (columna, valores) => filtrar(f => valores.some(v => iguales(f[columna], v))),
+      gt: (columna, valor) => filtrar(f => f[columna] != null && comparar(f[columna], valor) > 0),
+      gte: (columna, valor) => filtrar(f => f[columna] != null && comparar(f[columna], valor) >= 0),
+      lt: (columna, valor) => filtrar(f => f[columna] != null && comparar(f[columna], valor) < 0),
+      lte: (columna, valor) => filtrar(f => f[columna] != null && comparar(f[columna], valor) <= 0),
+      like: (columna, patron) => filtrar(f => patronLike(patron, '').test(String(f[columna] ?? ''))),
+      ilike: (columna, patron) => filtrar(f => patronLike(patron, 'i').test(String(f[columna] ?? ''))),
+      filter(columna, operador, valor) {
+        if (operador !== 'match' && operador !== 'imatch') throw new Error(`Operador no soportado: ${operador}`);
+        const expresion = new RegExp(valor, operador === 'imatch' ? 'i' : '');
+        return filtrar(f => expresion.test(String(f[columna] ?? '')));
+      },
+      not(columna, operador, valor) {
+        if (operador === 'in') {
+          const valores = String(valor).replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+          return filtrar(f => !valores.some(v => iguales(f[columna], v)));
+        }
+        if (operador === 'is') return filtrar(f => (f[columna] ?? null) !== valor);
+        return filtrar(f => !iguales(f[columna], valor));
+      },
+      order(columna, { ascending = true } = {}) {
+        orden.unshift({ columna, ascendente: ascending });
+        return builder;
+      },
+      limit(cantidad) {
+        limite = cantidad;
+        return builder;
+      },
+      range(inicio, fin) {
+        desde = inicio;
+        limite = fin - inicio + 1;
+        return builder;
+      },
+      maybeSingle() {
+        unico = 'maybe';
+        return builder;
+      },
+      single() {
+        unico = 'single';
+        return builder;
+      },
+      then(resolver, rechazar) {
+        return Promise.resolve().then(ejecutar).then(resolver, rechazar);
+      }
+    };
+    return builder;
+  }
+
+  cargar(tablasIniciales);
+
+  const cliente = {
+    from,
+    maxFilas: 1000,
+    tablas,
+    escrituras,
+    consultas,
+    cargar,
+    fallar(nombre, mensaje = 'Error simulado') {
+      fallas.set(nombre, mensaje);
+    }
+  };
+  return cliente;
+}
+
+module.exports = { crearSupabaseFalso };
@@ -0,0 +1,180 @@
+/**
+ * Bot de Telegram falso para los tests (reemplaza a node-telegram-bot-api)
+ *
+ * Registra todo lo que el bot envía en `enviados` y reparte los updates a
+ * los handlers de onText y on('message' | 'callback_query') como la
+ * librería real. escribir() y tocar() simulan al usuario y esperan a que
+ * terminen todos los handlers antes de devolver lo enviado.
+ */
+
+const EventEmitter = require('events');
+
+class BotFalso extends EventEmitter {
+  constructor(token, opciones = {}) {
+    super();
+    this.token = token;
+    this.opciones = opciones;
+    this.enviados = [];
+    this.regexps = [];
+    this.enCurso = new Set();
+    this.bloqueados = new Set();
+    this.polling = false;
+    this.webhook = '';
+    this.ultimoId = 0;
+    BotFalso.instancia = this;
+  }
+
+  /**
+   * Seguir una promesa devuelta por un handler para poder esperarla
+   */
+  seguir(valor) {
+    if (valor && typeof valor.then === 'function') {
+      const promesa = Promise.resolve(valor).catch(() => {}).finally(() => this.enCurso.delete(promesa));
+      this.enCurso.add(promesa);
+    }
+  }
+
+  on(evento, listener) {
+    return super.on(evento, (...args) => this.seguir(listener(...args)));
+  }
+
+  onText(regexp, callback) {
+    this.regexps.push({ regexp, callback });
+  }
+
+  processUpdate(update) {
+    const mensaje = update.message;
+    if (mensaje) {
+      this.emit('message', mensaje);
+      if (typeof mensaje.text === 'string') {
+        this.regexps.forEach(({ regexp, callback }) => {
+          const resultado = regexp.exec(mensaje.text);
+          regexp.lastIndex = 0;
+          if (resultado) this.seguir(callback(mensaje, resultado));
+        });
+      }
+    }
+    if (update.callback_query) this.emit('callback_query', update.callback_query);
+  }
+
+  /**
+   * Esperar a que terminen los handlers en curso (y lo que disparen)
+   */
+  async esperar() {
+    do {
+      await Promise.all([...this.enCurso]);
+      await new Promise(resolve => setImmediate(resolve));
+    } while (this.enCurso.size > 0);
+  }
+
+  /**
+   * Lo enviado durante fn()
+   */
+  async capturar(fn) {
+    const inicio = this.enviados.length;
+    await fn();
+    await this.esperar();
+    return this.enviados.slice(inicio);
+  }
+
+  /**
+   * Simular un mensaje de texto del usuario
+   * Devuelve lo que el bot envió en respuesta
+   */
+  escribir(chatId, texto) {
+    return this.capturar(() => this.processUpdate({
+      update_id: ++this.ultimoId,
+      message: {
+        message_id: this.ultimoId,
+        chat: { id: chatId, type: 'private' },
+        from: { id: chatId, is_bot: false, first_name: 'Test' },
+        date: Math.floor(Date.now() / 1000),
+        text: texto
+      }
+    }));
+  }
+
+  /**
+   * Simular que el usuario toca un botón inline
+   */
+  tocar(chatId, data, mensaje = {}) {
+    return this.capturar(() => this.processUpdate({
+      update_id: ++this.ultimoId,
+      callback_query: {
+        id: String(this.ultimoId),
+        from: { id: chatId, is_bot: false, first_name: 'Test' },
+        data,
+        message: { message_id: 1, chat: { id: chatId, type: 'private' }, ...mensaje }
+      }
+    }));
+  }
+
+  registrar(envio) {
+    if (envio.chatId !== undefined && this.bloqueados.has(envio.chatId)) {
+      const error = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+      error.response = { statusCode: 403 };
+      return Promise.reject(error);
+    }
+    this.enviados.push(envio);
+    return Promise.resolve({ message_id: this.enviados.length, chat: { id: envio.chatId } });
+  }
+
+  sendMessage(chatId, texto, opciones = {}) {
+    return this.registrar({ tipo: 'mensaje', chatId, texto, opciones });
+  }
+
+  sendDocument(chatId, documento, opciones = {}, archivo = {}) {
+    return this.registrar({ tipo: 'documento', chatId, documento, texto: opciones.caption, opciones, archivo });
+  }
+
+  editMessageText(texto, opciones = {}) {
+    return this.registrar({ tipo: 'edicion', chatId: opciones.chat_id, texto, opciones });
+  }
+
+  editMessageReplyMarkup(teclado, opciones = {}) {
+    return this.registrar({ tipo: 'teclado', chatId: opciones.chat_id, teclado });
+  }
+
+  answerCallbackQuery(id, opciones = {}) {
+    this.enviados.push({ tipo: 'aviso', id, texto: opciones.text });
+    return Promise.resolve(true);
+  }
+
+  sendChatAction() {
+    return Promise.resolve(true);
+  }
+
+  startPolling() {
+    this.polling = true;
+    return Promise.resolve();
+  }
+
+  stopPolling() {
+    this.polling = false;
+    return Promise.resolve();
+  }
+
+  isPolling() {
+    return this.polling;
+  }
+
+  getMe() {
+    return Promise.resolve({ id: 1, is_bot: true, username: 'tesoreria_test_bot' });
+  }
+
+  setWebHook(url) {
+    this.webhook = url;
+    return Promise.resolve(true);
+  }
+
+  getWebHookInfo() {
+    return Promise.resolve({ url: this.webhook });
+  }
+
+  deleteWebHook() {
+    this.webhook = '';
+    return Promise.resolve(true);
+  }
+}
+
+module.exports = BotFalso;
@@ -0,0 +1,211 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHAT_ADMIN,
+  CHAT_TESORERIA,
+  CHAT_CONSULTA,
+  tablasDePrueba,
+  fijarFecha,
+  cargarBot
+} = require('./ayudantes');
+const { inicioDelDia } = require('../fechas');
+
+let bot, supabase, cron, errores, invalidarCache, cerrar;
+
+/**
+ * Ejecutar una tarea programada y devolver lo enviado
+ */
+function ejecutar(expresion) {
+  return bot.capturar(() => cron.ejecutar(expresion));
+}
+
+const destinatarios = enviados => enviados.map(e => e.chatId).sort();
+
+before(async () => {
+  ({ bot, supabase, cron, errores, invalidarCache, cerrar } = await cargarBot());
+});
+
+after(() => cerrar());
+
+beforeEach(() => {
+  supabase.cargar(tablasDePrueba());
+  invalidarCache();
+  errores.length = 0;
+  fijarFecha();
+});
+
+describe('resumen diario (8:00)', () => {
+  test('llega a los roles que lo reciben, con las cifras de /resumen', async () => {
+    const enviados = await ejecutar('0 8 * * *');
+
+    assert.deepEqual(destinatarios(enviados), [CHAT_ADMIN, CHAT_TESORERIA]);
+    const texto = enviados[0].texto;
+    assert.match(texto, /Cartera: \$\s650\.000,00/);
+    assert.match(texto, /Tesorería: \$\s950\.000,00/);
+    assert.match(texto, /Se acreditan hoy: 1 cheques\n {3}\$\s100\.000,00/);
+    assert.doesNotMatch(texto, /NaN/);
+  });
+
+  test('no se envía en días no hábiles', async () => {
+    fijarFecha('2025-11-22T15:00:00Z');
+    assert.deepEqual(await ejecutar('0 8 * * *'), []);
+
+    fijarFecha('2025-11-24T15:00:00Z');
+    assert.deepEqual(await ejecutar('0 8 * * *'), []);
+  });
+
+  test('un error de la base no envía nada y queda registrado', async () => {
+    supabase.fallar('cheques_valores', 'timeout');
+    assert.deepEqual(await ejecutar('0 8 * * *'), []);
+    assert.ok(errores.some(e => e.startsWith('Error en resumen diario')));
+  });
+});
+
+describe('vencimientos del próximo día hábil (18:00)', () => {
+  test('un miércoles avisa lo que se acredita mañana', async () => {
+    const enviados = await ejecutar('0 18 * * *');
+
+    assert.deepEqual(destinatarios(enviados), [CHAT_ADMIN, CHAT_TESORERIA, CHAT_CONSULTA]);
+    assert.match(enviados[0].texto, /VENCIMIENTOS MAÑANA/);
+    assert.match(enviados[0].texto, /1 cheques se acreditan mañana\n💰 Total: \$\s50\.000,00/);
+  });
+
+  test('antes de un fin de semana largo avisa el próximo día hábil', async () => {
+    fijarFecha('2025-11-20T21:00:00Z');
+    const [enviado] = await ejecutar('0 18 * * *');
+
+    assert.match(enviado.texto, /PRÓXIMO DÍA HÁBIL/);
+    assert.match(enviado.texto, /se acreditan el mar 25\/11/);
+    assert.doesNotMatch(enviado.texto, /NaN/);
+  });
+
+  test('sin vencimientos no se envía nada', async () => {
+    supabase.tablas.cheques_valores = [];
+    assert.deepEqual(await ejecutar('0 18 * * *'), []);
+  });
+});
+
+describe('detección de movimientos (cada 30 minutos)', () => {
+  const registrados = () => supabase.tablas.bot_movimientos.map(m => `${m.tipo}:${m.cheque_id}:${m.fecha}`).sort();
+
+  test('la primera corrida registra el estado inicial sin fecha', async () => {
+    await ejecutar('*/30 * * * *');
+    assert.equal(registrados().length, 7);
+    assert.ok(registrados().every(m => m.endsWith(':null')));
+  });
+
+  test('si dos corridas se cruzan, queda la primera fecha y la salida se informa una vez', async () => {
+    await ejecutar('*/30 * * * *');
+    supabase.tablas.cheques_valores.find(c => c.id === 1).fecden = '2025-11-19';
+
+    // Las dos leen bot_movimientos antes de que la otra registre la salida
+    // (movimientos.js se carga después del Supabase falso de cargarBot)
+    const movimientos = require('../movimientos');
+    const [primera, segunda] = await Promise.all([
+      movimientos.detectarMovimientos(supabase.tablas.cheques_valores, inicioDelDia('2025-11-19')),
+      movimientos.detectarMovimientos(supabase.tablas.cheques_valores, inicioDelDia('2025-11-20'))
+    ]);
+    assert.deepEqual(primera.map(m => `${m.tipo}:${m.cheque_id}`), ['salida:1']);
+    assert.deepEqual(segunda, []);
+    assert.ok(registrados().includes('salida:1:2025-11-19'));
+  });
+});
+
+describe('validez crítica (cada 6 horas)', () => {
+  const niveles = () => supabase.tablas.bot_alertas_validez.map(f => `${f.cheque_id}:${f.nivel}`);
+
+  test('avisa una vez por nivel y guarda el nivel notificado', async () => {
+    const enviados = await ejecutar('0 */6 * * *');
+    assert.deepEqual(destinatarios(enviados), [CHAT_ADMIN, CHAT_TESORERIA, CHAT_CONSULTA]);
+    assert.match(enviados[0].texto, /1 cheques próximos a perder validez/);
+    assert.deepEqual(niveles(), ['5:2']);
+
+    assert.deepEqual(await ejecutar('0 */6 * * *'), []);
+  });
+
+  test('si el aviso no llega a nadie, no se guarda y se reintenta', async () => {
+    const envio = mock.method(bot, 'sendMessage', () => Promise.reject(new Error('ETIMEDOUT')));
+    try {
+      assert.deepEqual(await ejecutar('0 */6 * * *'), []);
+    } finally {
+      envio.mock.restore();
+    }
+    assert.deepEqual(supabase.tablas.bot_alertas_validez || [], []);
+
+    assert.equal((await ejecutar('0 */6 * * *')).length, 3);
+    assert.deepEqual(niveles(), ['5:2']);
+  });
+
+  test('borra el estado de los cheques que salieron de la ventana', async () => {
+    supabase.tablas.bot_alertas_validez = [
+      { cheque_id: '5', nivel: 2 },
+      { cheque_id: '99', nivel: 1 }
+    ];
+    assert.deepEqual(await ejecutar('0 */6 * * *'), []);
+    assert.deepEqual(niveles(), ['5:2']);
+  });
+
+  test('con varias reglas no borra el estado de la ventana de las otras', async () => {
+    // validez: ventana de 5 días cada 6 horas; validez_amplia: 15 días a las 12
+    supabase.tablas.bot_reglas_alerta = [
+      { id: 'validez', tipo: 'validez_critica', umbral: 25, severidad: 'critica', horario: '0 */6 * * *', activa: true },
+      { id: 'validez_amplia', tipo: 'validez_critica', umbral: 15, severidad: 'alta', horario: '0 12 * * *', activa: true }
+    ];
+    supabase.tablas.cheques_valores.push(
+      { id: 7, empresa: 'GRAND_ESTATE', cuitfirm: '20-12345678-6', origen: 'Peña Hnos S.A.', implocal: 10000, fvto: '2025-10-30', fecden: null }
+    );
+    supabase.tablas.bot_alertas_validez = [{ cheque_id: '7', nivel: 0 }, { cheque_id: '99', nivel: 1 }];
+    try {
+      await cron.ejecutar('*/15 * * * *');
+      await ejecutar('0 */6 * * *');
+      assert.deepEqual(niveles().sort(), ['5:2', '7:0']);
+    } finally {
+      supabase.cargar(tablasDePrueba());
+      await cron.ejecutar('*/15 * * * *');
+    }
+  });
+});
+
+test('la foto diaria guarda cartera y saldos en bot_snapshots', async () => {
+  await ejecutar('50 23 * * *');
+
+  const fotos = supabase.escrituras.filter(e => e.tabla === 'bot_snapshots');
+  assert.equal(fotos.length, 1);
+  assert.equal(fotos[0].operacion, 'upsert');
+  assert.ok(fotos[0].filas.every(f => f.fecha === '2025-11-19'));
+  assert.ok(fotos[0].filas.every(f => !Number.isNaN(Number(f.monto))));
+});
+
+test('durante el horario de silencio se retiene y se entrega al terminar', async () => {
+  await bot.escribir(CHAT_TESORERIA, '/notificaciones silencio 11 13');
+  try {
+    // 12:00: tesorería está en silencio
+    assert.deepEqual(destinatarios(await ejecutar('0 8 * * *')), [CHAT_ADMIN]);
+    assert.deepEqual(await ejecutar('0 * * * *'), []);
+
+    // 13:00: termina el silencio y se entrega lo retenido
+    fijarFecha('2025-11-19T16:00:00Z');
+    const entregados = await ejecutar('0 * * * *');
+    assert.deepEqual(destinatarios(entregados), [CHAT_TESORERIA]);
+    assert.match(entregados[0].texto, /RESUMEN DIARIO/);
+    assert.deepEqual(await ejecutar('0 * * * *'), []);
+  } finally {
+    await bot.escribir(CHAT_TESORERIA, '/notificaciones silencio no');
+  }
+});
+
+test('si un usuario bloqueó el bot se lo da de baja', async () => {
+  bot.bloqueados.add(CHAT_TESORERIA);
+  try {
+    const enviados = await ejecutar('0 8 * * *');
+    assert.deepEqual(destinatarios(enviados), [CHAT_ADMIN]);
+
+    const bajas = supabase.escrituras.filter(e => e.tabla === 'bot_usuarios' && e.operacion === 'delete');
+    assert.deepEqual(bajas.flatMap(e => e.filas.map(f => f.chat_id)), [CHAT_TESORERIA]);
+
+    // Ya no recibe notificaciones
+    assert.deepEqual(destinatarios(await ejecutar('0 18 * * *')), [CHAT_ADMIN, CHAT_CONSULTA]);
+  } finally {
+    bot.bloqueados.clear();
+  }
+});
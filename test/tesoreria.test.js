@@ -0,0 +1,128 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { tablasDePrueba, usarSupabaseFalso } = require('./ayudantes');
+
+usarSupabaseFalso();
+const tesoreria = require('../tesoreria');
+const empresas = require('../empresas');
+const { inicioDelDia } = require('../fechas');
+
+const MIERCOLES = inicioDelDia('2025-11-19');
+const JUEVES = inicioDelDia('2025-11-20');
+
+const enCartera = () => tablasDePrueba().cheques_valores.filter(c => !c.fecden);
+const saldos = () => tablasDePrueba().saldos_contables_sync;
+
+// Las cuentas de cada empresa salen del registro (bot_empresas de prueba)
+before(() => empresas.cargarEmpresas());
+
+describe('sumarImportes', () => {
+  test('cuenta como 0 los importes nulos, faltantes o no numéricos', () => {
+    const cheques = [{ implocal: 100 }, { implocal: null }, {}, { implocal: 'abc' }, { implocal: '50.5' }];
+    assert.equal(tesoreria.sumarImportes(cheques), 150.5);
+  });
+
+  test('una lista vacía suma 0', () => {
+    assert.equal(tesoreria.sumarImportes([]), 0);
+  });
+});
+
+describe('filtros por empresa', () => {
+  test('sin empresa devuelve todos los cheques', () => {
+    const cheques = enCartera();
+    assert.equal(tesoreria.filtrarPorEmpresa(cheques, null), cheques);
+  });
+
+  test('con empresa deja solo sus cheques y sus cuentas', () => {
+    assert.deepEqual(tesoreria.filtrarPorEmpresa(enCartera(), 'PICO_DE_ORO').map(c => c.id), [2]);
+    assert.deepEqual(tesoreria.filtrarSaldosPorEmpresa(saldos(), 'PICO_DE_ORO').map(s => s.codigo_cuenta), ['2.1.1']);
+  });
+});
+
+describe('agrupaciones', () => {
+  test('agruparPorEmpresa respeta el orden del registro y suma los cheques sin empresa aparte', () => {
+    const grupos = tesoreria.agruparPorEmpresa([
+      ...enCartera(),
+      { id: 9, empresa: null, implocal: 10, fvto: '2025-11-19' }
+    ]);
+    assert.deepEqual(grupos, [
+      { codigo: 'GRAND_ESTATE', nombre: 'Grand Estate', cantidad: 4, monto: 600000 },
+      { codigo: 'PICO_DE_ORO', nombre: 'Pico de Oro', cantidad: 1, monto: 50000 },
+      { codigo: null, nombre: 'Sin empresa', cantidad: 1, monto: 10 }
+    ]);
+  });
+
+  test('agruparPorDia agrupa por día de acreditación (fines de semana y feriados al próximo hábil)', () => {
+    const dias = tesoreria.agruparPorDia([
+      { fvto: '2025-11-22', implocal: 10 }, // sábado
+      { fvto: '2025-11-24', implocal: 20 }, // feriado
+      { fvto: '2025-11-25', implocal: null },
+      { fvto: '2025-11-19', implocal: 5 }
+    ]);
+    assert.deepEqual(dias, [
+      { fecha: '2025-11-19', cantidad: 1, monto: 5 },
+      { fecha: '2025-11-25', cantidad: 3, monto: 30 }
+    ]);
+  });
+
+  test('agruparSaldosPorEmpresa omite empresas sin cuentas y tolera saldos nulos', () => {
+    const grupos = tesoreria.agruparSaldosPorEmpresa([
+      ...saldos().filter(s => s.codigo_cuenta.startsWith('1.')),
+      { codigo_cuenta: '9.9', nombre_cuenta: 'Suelta', saldo_total: 5 }
+    ]);
+    assert.deepEqual(grupos.map(g => [g.codigo, g.subtotal, g.cuentas.length]), [
+      ['GRAND_ESTATE', 1000000, 2],
+      [null, 5, 1]
+    ]);
+  });
+
+  test('totalesCheques y totalSaldos', () => {
+    const { total, cantidad, porEmpresa } = tesoreria.totalesCheques(enCartera());
+    assert.equal(total, 650000);
+    assert.equal(cantidad, 5);
+    assert.equal(porEmpresa.length, 2);
+    assert.equal(tesoreria.totalSaldos(saldos()), 950000);
+  });
+});
+
+describe('vencimientosProximoHabil', () => {
+  test('un miércoles es el jueves', () => {
+    const v = tesoreria.vencimientosProximoHabil(enCartera(), MIERCOLES);
+    assert.equal(v.fecha.toISOString().slice(0, 10), '2025-11-20');
+    assert.equal(v.esManana, true);
+    assert.deepEqual([v.cantidad, v.monto], [1, 50000]);
+  });
+
+  test('antes de un fin de semana largo salta los feriados e incluye lo que vence en el medio', () => {
+    const v = tesoreria.vencimientosProximoHabil(enCartera(), JUEVES);
+    assert.equal(v.fecha.toISOString().slice(0, 10), '2025-11-25');
+    assert.equal(v.esManana, false);
+    // El cheque del sábado 22 se acredita el martes 25 y no tiene importe
+    assert.deepEqual([v.cantidad, v.monto], [1, 0]);
+  });
+});
+
+describe('calcularResumen', () => {
+  test('usa las ventanas de /hoy, /manana y /semana sin dar NaN con importes nulos', () => {
+    const resumen = tesoreria.calcularResumen({ cheques: enCartera(), saldos: saldos(), hoy: MIERCOLES });
+
+    assert.deepEqual(resumen.cartera, { total: 650000, cantidad: 5 });
+    assert.deepEqual(resumen.vencimientos.hoy, { cantidad: 1, monto: 100000 });
+    assert.deepEqual(
+      [resumen.vencimientos.proximoHabil.cantidad, resumen.vencimientos.proximoHabil.monto],
+      [1, 50000]
+    );
+    assert.deepEqual(resumen.vencimientos.semana, { cantidad: 3, monto: 150000 });
+    assert.deepEqual(resumen.vencimientos.quincena, { cantidad: 4, monto: 350000 });
+    assert.equal(resumen.saldos, 950000);
+    assert.equal(resumen.validezCritica, 1);
+  });
+
+  test('sin cheques ni saldos todo queda en 0', () => {
+    const resumen = tesoreria.calcularResumen({ cheques: [], saldos: [], hoy: MIERCOLES });
+    assert.deepEqual(resumen.cartera, { total: 0, cantidad: 0 });
+    assert.deepEqual(resumen.vencimientos.semana, { cantidad: 0, monto: 0 });
+    assert.equal(resumen.saldos, 0);
+    assert.equal(resumen.validezCritica, 0);
+  });
+});
@@ -0,0 +1,142 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { AHORA, CHAT_ADMIN, tablasDePrueba, fijarFecha, cargarBot } = require('./ayudantes');
+
+const ENV = {
+  WEBHOOK_URL: 'https://bot.test',
+  WEBHOOK_SECRET: 'secreto_de_prueba',
+  METRICAS_TOKEN: 'token-de-metricas-de-prueba'
+};
+
+let bot, server, supabase, invalidarCache, cerrar, ruta;
+
+/**
+ * POST al servidor del bot
+ * Devuelve { status, texto }
+ */
+function enviar(camino, cuerpo, { secreto = ENV.WEBHOOK_SECRET, method = 'POST' } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secreto) headers['X-Telegram-Bot-Api-Secret-Token'] = secreto;
+
+    const req = http.request({ port: server.address().port, path: camino, method, headers }, res => {
+      const partes = [];
+      res.on('data', parte => partes.push(parte));
+      res.on('end', () => resolve({ status: res.statusCode, texto: Buffer.concat(partes).toString('utf8') }));
+    });
+    // Con un cuerpo demasiado grande el servidor puede cerrar antes de que termine de enviarse
+    req.on('error', error => (error.code === 'EPIPE' || error.code === 'ECONNRESET') ? null : reject(error));
+    req.end(cuerpo);
+  });
+}
+
+/**
+ * GET al servidor del bot, con el token en Authorization si se indica
+ * Devuelve { status, texto }
+ */
+async function consultar(camino, token) {
+  const respuesta = await fetch(`http://127.0.0.1:${server.address().port}${camino}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return { status: respuesta.status, texto: await respuesta.text() };
+}
+
+/**
+ * Update de Telegram con un mensaje de texto
+ */
+function update(texto, updateId = 1) {
+  return JSON.stringify({
+    update_id: updateId,
+    message: {
+      message_id: updateId,
+      chat: { id: CHAT_ADMIN, type: 'private' },
+      from: { id: CHAT_ADMIN, is_bot: false, first_name: 'Test' },
+      date: Math.floor(Date.now() / 1000),
+      text: texto
+    }
+  });
+}
+
+before(async () => {
+  ({ bot, server, supabase, invalidarCache, cerrar } = await cargarBot({ env: ENV }));
+  ruta = new URL(bot.webhook).pathname;
+});
+
+after(() => cerrar());
+
+beforeEach(() => {
+  supabase.cargar(tablasDePrueba());
+  invalidarCache();
+  fijarFecha();
+});
+
+test('al iniciar registra el webhook con el secreto', () => {
+  assert.match(bot.webhook, /^https:\/\/bot\.test\/telegram\/[0-9a-f]{32}\?i=/);
+});
+
+test('un update con el secreto correcto llega a bot.processUpdate', async () => {
+  const inicio = bot.enviados.length;
+  const { status } = await enviar(ruta, update('/cartera'));
+  assert.equal(status, 200);
+
+  await bot.esperar();
+  const [respuesta] = bot.enviados.slice(inicio);
+  assert.equal(respuesta.chatId, CHAT_ADMIN);
+  assert.match(respuesta.texto, /Total:\* \$\s650\.000,00/);
+});
+
+test('sin el secreto o con otro se rechaza con 401', async () => {
+  const inicio = bot.enviados.length;
+  assert.equal((await enviar(ruta, update('/cartera'), { secreto: null })).status, 401);
+  assert.equal((await enviar(ruta, update('/cartera'), { secreto: 'otro_secreto' })).status, 401);
+
+  await bot.esperar();
+  assert.equal(bot.enviados.length, inicio);
+});
+
+test('un cuerpo de más de 1 MB se rechaza con 413', async () => {
+  const { status } = await enviar(ruta, JSON.stringify({ update_id: 1, relleno: 'x'.repeat(2 * 1024 * 1024) }));
+  assert.equal(status, 413);
+});
+
+test('solo se admite POST', async () => {
+  assert.equal((await enviar(ruta, undefined, { method: 'GET' })).status, 405);
+});
+
+test('JSON inválido o sin update_id da 400', async () => {
+  assert.equal((await enviar(ruta, '{no es json')).status, 400);
+  assert.equal((await enviar(ruta, JSON.stringify({ message: {} }))).status, 400);
+});
+
+describe('salud y métricas', () => {
+  test('/metrics pide METRICAS_TOKEN y cuenta los errores de cada comando', async () => {
+    assert.equal((await consultar('/metrics')).status, 401);
+    assert.equal((await consultar('/metrics', 'otro-token-cualquiera')).status, 401);
+
+    supabase.fallar('cheques_valores', 'timeout');
+    await enviar(ruta, update('/cartera', 2));
+    await bot.esperar();
+
+    const { status, texto } = await consultar('/metrics', ENV.METRICAS_TOKEN);
+    assert.equal(status, 200);
+    assert.match(texto, /bot_handler_errores_total\{handler="\/cartera"\} 1/);
+  });
+
+  test('/readyz informa si el webhook dejó de estar registrado', async () => {
+    const { status } = await consultar('/readyz');
+    assert.equal(status, 200);
+
+    const url = bot.webhook;
+    await bot.deleteWebHook();
+    try {
+      // Pasado el tiempo de caché del chequeo anterior
+      fijarFecha(new Date(new Date(AHORA).getTime() + 20 * 1000).toISOString());
+      const respuesta = await consultar('/readyz');
+      assert.equal(respuesta.status, 503);
+      assert.equal(JSON.parse(respuesta.texto).servicios.telegram.detalle, 'webhook no registrado');
+    } finally {
+      await bot.setWebHook(url);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Persistencia de usuarios registrados del bot
+ *
+ * Los chats registrados se guardan en la tabla `bot_usuarios` de Supabase
+ * para que sobrevivan a reinicios y deploys.
+ */
+
+const supabase = require('./supabaseClient');
+
+/**
+ * Convertir una fila de bot_usuarios al formato usado en memoria
+ */
+function filaAUsuario(fila) {
+  return {
+    email: fila.email,
+    role: fila.role,
+    registradoEn: fila.registrado_en,
+    ultimaActividad: fila.ultima_actividad
+  };
+}
+
+/**
+ * Cargar todos los usuarios registrados (chatId -> usuario)
+ */
+async function cargarUsuarios() {
+  const { data, error } = await supabase
+    .from('bot_usuarios')
+    .select('chat_id, email, role, registrado_en, ultima_actividad');
+
+  if (error) throw error;
+
+  const usuarios = new Map();
+  (data || []).forEach(fila => usuarios.set(Number(fila.chat_id), filaAUsuario(fila)));
+  return usuarios;
+}
+
+/**
+ * Guardar (o reemplazar) el registro de un chat
+ */
+async function guardarUsuario(chatId, { email, role }) {
+  const ahora = new Date().toISOString();
+  const fila = {
+    chat_id: chatId,
+    email,
+    role,
+    registrado_en: ahora,
+    ultima_actividad: ahora
+  };
+
+  const { error } = await supabase
+    .from('bot_usuarios')
+    .upsert(fila, { onConflict: 'chat_id' });
+
+  if (error) throw error;
+  return filaAUsuario(fila);
+}
+
+/**
+ * Eliminar el registro de un chat
+ */
+async function eliminarUsuario(chatId) {
+  const { error } = await supabase
+    .from('bot_usuarios')
+    .delete()
+    .eq('chat_id', chatId);
+
+  if (error) throw error;
+}
+
+/**
+ * Actualizar la fecha de última actividad de un chat
+ */
+async function registrarActividad(chatId) {
+  const ahora = new Date().toISOString();
+  const { error } = await supabase
+    .from('bot_usuarios')
+    .update({ ultima_actividad: ahora })
+    .eq('chat_id', chatId);
+
+  if (error) throw error;
+  return ahora;
+}
+
+/**
+ * Buscar un email activo en allowed_users (sin distinguir mayúsculas)
+ * El filtro va en la consulta: ilike con los comodines escapados, para que
+ * un "_" del email no coincida con cualquier letra.
+ * Devuelve { email, role } o null si no está habilitado; si la consulta
+ * falla lanza el error (no es lo mismo que no estar habilitado)
+ */
+async function buscarUsuarioPermitido(email) {
+  const buscado = email.toLowerCase().trim().replace(/[\\%_]/g, '\\$&');
+  const { data, error } = await supabase
+    .from('allowed_users')
+    .select('email, role')
+    .ilike('email', buscado)
+    .eq('is_active', true)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+module.exports = {
+  cargarUsuarios,
+  guardarUsuario,
+  eliminarUsuario,
+  registrarActividad,
+  buscarUsuarioPermitido
+};
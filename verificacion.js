@@ -0,0 +1,146 @@
+/**
+ * Verificación de email por código de un solo uso
+ *
+ * Al registrarse, el chat recibe un código en su email corporativo y
+ * solo queda vinculado cuando lo escribe de vuelta en el bot.
+ * Los desafíos pendientes viven en memoria: si el bot se reinicia,
+ * el usuario simplemente vuelve a pedir el código.
+ */
+
+const crypto = require('crypto');
+
+// Vigencia del código
+const MINUTOS_VALIDEZ = 10;
+
+// Intentos fallidos antes de anular el código
+const MAX_INTENTOS = 3;
+
+// Códigos que un chat puede pedir por hora
+const MAX_CODIGOS_POR_HORA = 3;
+
+const UNA_HORA_MS = 60 * 60 * 1000;
+
+// Desafíos pendientes (chatId -> { email, role, hash, expira, intentos })
+const pendientes = new Map();
+
+// Emisiones recientes por chat (chatId -> [timestamps])
+const emisiones = new Map();
+
+/**
+ * Hash del código (no se guarda el código en claro)
+ */
+function hashCodigo(codigo) {
+  return crypto.createHash('sha256').update(String(codigo)).digest('hex');
+}
+
+/**
+ * Generar un código numérico de 6 dígitos
+ */
+function generarCodigo() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+/**
+ * Descartar los desafíos vencidos hace más de una hora y los chats sin
+ * emisiones en la última hora (los vencidos recientes se conservan para
+ * poder responder que el código venció)
+ */
+function limpiar(ahora) {
+  for (const [chatId, pendiente] of pendientes) {
+    if (ahora - pendiente.expira > UNA_HORA_MS) pendientes.delete(chatId);
+  }
+  for (const [chatId, marcas] of emisiones) {
+    if (marcas.every(t => ahora - t >= UNA_HORA_MS)) emisiones.delete(chatId);
+  }
+}
+
+/**
+ * Emisiones de la última hora para un chat
+ */
+function emisionesRecientes(chatId, ahora) {
+  const recientes = (emisiones.get(chatId) || []).filter(t => ahora - t < UNA_HORA_MS);
+  emisiones.set(chatId, recientes);
+  return recientes;
+}
+
+/**
+ * Iniciar un desafío para un chat
+ * Devuelve { ok: true, codigo } o { ok: false, motivo: 'limite' }
+ */
+function iniciarVerificacion(chatId, usuario) {
+  const ahora = Date.now();
+  limpiar(ahora);
+  const recientes = emisionesRecientes(chatId, ahora);
+
+  if (recientes.length >= MAX_CODIGOS_POR_HORA) {
+    return { ok: false, motivo: 'limite' };
+  }
+
+  const codigo = generarCodigo();
+  recientes.push(ahora);
+
+  pendientes.set(chatId, {
+    email: usuario.email,
+    role: usuario.role,
+    hash: hashCodigo(codigo),
+    expira: ahora + MINUTOS_VALIDEZ * 60 * 1000,
+    intentos: 0
+  });
+
+  return { ok: true, codigo };
+}
+
+/**
+ * Indica si el chat tiene un desafío pendiente, aunque haya vencido
+ * (verificarCodigo informa si venció)
+ */
+function tieneVerificacionPendiente(chatId) {
+  return pendientes.has(chatId);
+}
+
+/**
+ * Verificar el código ingresado
+ * Devuelve { estado: 'ok', usuario } | { estado: 'sin_pendiente' } |
+ *          { estado: 'expirado' } | { estado: 'incorrecto', restantes } |
+ *          { estado: 'bloqueado' }
+ */
+function verificarCodigo(chatId, codigo) {
+  const pendiente = pendientes.get(chatId);
+  if (!pendiente) return { estado: 'sin_pendiente' };
+
+  if (Date.now() > pendiente.expira) {
+    pendientes.delete(chatId);
+    return { estado: 'expirado' };
+  }
+
+  const esperado = Buffer.from(pendiente.hash, 'hex');
+  const recibido = Buffer.from(hashCodigo(codigo.trim()), 'hex');
+
+  if (crypto.timingSafeEqual(esperado, recibido)) {
+    pendientes.delete(chatId);
+    return { estado: 'ok', usuario: { email: pendiente.email, role: pendiente.role } };
+  }
+
+  pendiente.intentos++;
+  if (pendiente.intentos >= MAX_INTENTOS) {
+    pendientes.delete(chatId);
+    return { estado: 'bloqueado' };
+  }
+
+  return { estado: 'incorrecto', restantes: MAX_INTENTOS - pendiente.intentos };
+}
+
+/**
+ * Descartar el desafío pendiente de un chat
+ */
+function cancelarVerificacion(chatId) {
+  pendientes.delete(chatId);
+}
+
+module.exports = {
+  MINUTOS_VALIDEZ,
+  iniciarVerificacion,
+  tieneVerificacionPendiente,
+  verificarCodigo,
+  cancelarVerificacion
+};
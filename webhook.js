@@ -0,0 +1,158 @@
+/**
+ * Modo webhook: Telegram envía los updates por POST al servidor HTTP del bot
+ *
+ * Se activa definiendo WEBHOOK_URL (URL pública del servicio). Los updates
+ * llegan a una ruta secreta derivada de WEBHOOK_SECRET y cada pedido debe
+ * traer ese secreto en el encabezado X-Telegram-Bot-Api-Secret-Token.
+ * Sin WEBHOOK_URL el bot sigue usando polling (desarrollo local).
+ */
+
+const crypto = require('crypto');
+
+const ENCABEZADO_SECRETO = 'x-telegram-bot-api-secret-token';
+
+// Tamaño máximo de un update (bytes)
+const MAX_CUERPO = 1024 * 1024;
+
+// Tipos de update que usa el bot
+const UPDATES_PERMITIDOS = ['message', 'callback_query'];
+
+/**
+ * Configuración del modo de recepción a partir de las variables de entorno
+ * Sin WEBHOOK_SECRET el secreto se deriva del token del bot.
+ * `instancia` distingue el webhook de cada proceso (ver desactivarWebhook).
+ * Devuelve { modo: 'polling' } o { modo: 'webhook', url, ruta, secreto }
+ */
+function configurarWebhook({ env = process.env, token, instancia = crypto.randomBytes(4).toString('hex') } = {}) {
+  const base = (env.WEBHOOK_URL || '').trim().replace(/\/+$/, '');
+  if (!base) return { modo: 'polling' };
+
+  const secreto = (env.WEBHOOK_SECRET || '').trim() ||
+    crypto.createHmac('sha256', String(token)).update('webhook').digest('hex');
+
+  // Telegram solo acepta A-Z, a-z, 0-9, _ y - en el secreto
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(secreto)) {
+    throw new Error('WEBHOOK_SECRET solo admite letras, números, _ y - (hasta 256 caracteres)');
+  }
+
+  const ruta = `/telegram/${crypto.createHash('sha256').update(secreto).digest('hex').slice(0, 32)}`;
+  return { modo: 'webhook', url: `${base}${ruta}?i=${instancia}`, ruta, secreto };
+}
+
+/**
+ * Comparar el secreto recibido sin filtrar información por tiempos
+ */
+function secretoValido(recibido, esperado) {
+  const a = Buffer.from(String(recibido || ''));
+  const b = Buffer.from(String(esperado));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Leer el cuerpo de un pedido (rechaza si supera MAX_CUERPO)
+ * Al pasarse deja de leer: el resto no se acumula y la conexión se cierra al responder
+ */
+function leerCuerpo(req) {
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    let largo = 0;
+    const recibir = parte => {
+      largo += parte.length;
+      if (largo > MAX_CUERPO) {
+        req.off('data', recibir);
+        req.pause();
+        partes.length = 0;
+        reject(Object.assign(new Error('Cuerpo demasiado grande'), { status: 413 }));
+        return;
+      }
+      partes.push(parte);
+    };
+    req.on('data', recibir);
+    req.on('end', () => resolve(Buffer.concat(partes).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function responder(res, status, texto) {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(texto);
+}
+
+/**
+ * Atender un pedido HTTP si es para la ruta del webhook
+ * `procesar(update)` recibe cada update válido (bot.processUpdate); si es
+ * null el bot todavía no está listo y se responde 503 para que Telegram reintente.
+ * Devuelve false si el pedido es para otra ruta y no lo respondió.
+ */
+async function atenderPedido(req, res, config, procesar) {
+  if (config.modo !== 'webhook') return false;
+
+  const ruta = (req.url || '').split('?')[0];
+  if (ruta !== config.ruta) return false;
+
+  if (req.method !== 'POST') {
+    responder(res, 405, 'Método no permitido');
+    return true;
+  }
+  if (!secretoValido(req.headers[ENCABEZADO_SECRETO], config.secreto)) {
+    responder(res, 401, 'No autorizado');
+    return true;
+  }
+  if (!procesar) {
+    responder(res, 503, 'Iniciando');
+    return true;
+  }
+
+  let update;
+  try {
+    update = JSON.parse(await leerCuerpo(req));
+  } catch (error) {
+    if (error.status === 413) res.setHeader('Connection', 'close');
+    responder(res, error.status || 400, error.status ? error.message : 'JSON inválido');
+    return true;
+  }
+  if (!update || typeof update !== 'object' || typeof update.update_id !== 'number') {
+    responder(res, 400, 'Update inválido');
+    return true;
+  }
+
+  // Se responde enseguida: si Telegram no recibe 200 reintenta el mismo update
+  responder(res, 200, 'OK');
+  try {
+    procesar(update);
+  } catch (error) {
+    console.error(`Error procesando update ${update.update_id}:`, error);
+  }
+  return true;
+}
+
+/**
+ * Registrar el webhook en Telegram
+ */
+async function activarWebhook(bot, config) {
+  await bot.setWebHook(config.url, {
+    secret_token: config.secreto,
+    allowed_updates: JSON.stringify(UPDATES_PERMITIDOS)
+  });
+}
+
+/**
+ * Borrar el webhook al apagar, solo si sigue siendo el de este proceso
+ * En un deploy la instancia nueva registra su webhook antes de que se apague
+ * la anterior; si la anterior lo borrara, la nueva dejaría de recibir updates.
+ * Devuelve true si lo borró.
+ */
+async function desactivarWebhook(bot, config) {
+  const info = await bot.getWebHookInfo();
+  if (!info || info.url !== config.url) return false;
+  await bot.deleteWebHook();
+  return true;
+}
+
+module.exports = {
+  ENCABEZADO_SECRETO,
+  configurarWebhook,
+  atenderPedido,
+  activarWebhook,
+  desactivarWebhook
+};